@@ -146,7 +146,9 @@ inquirer
         const config = {
             TELEGRAM_TOKEN: token,
             owners: [admin.id],
-            activePlugins: Array.from(enabledPlugins)
+            activePlugins: Array.from(enabledPlugins),
+            // Plugins use their own defaults (see /plugindefault)
+            chatDefaults: {}
         };
         fs.writeFileSync(configPath, JSON.stringify(config, null, 4));
         const message = "You configured the bot successfully! The setup procedure will now end.";
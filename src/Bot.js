@@ -7,6 +7,7 @@ const fs = require("fs");
 const path = require("path");
 const TelegramBot = require(process.env.IS_TEST_ENVIRONMENT ? process.env.MOCK_NTBA : "node-telegram-bot-api");
 const PluginManager = require("./PluginManager");
+const Webhook = require("./helpers/Webhook");
 const Config = JSON.parse(fs.readFileSync("./config.json", "utf8"));
 const Logger = require("./Log");
 const log = new Logger("Bot", Config);
@@ -35,28 +36,102 @@ if (Config.globalAdmins) {
     fs.writeFileSync("./config.json", JSON.stringify(Config, null, 4));
 }
 
+const isWebhook = Config.mode === "webhook";
+if (Config.mode && !isWebhook && Config.mode !== "polling") {
+    log.error(`Unknown mode "${Config.mode}" in config.json: must be either "polling" or "webhook".`);
+    process.exit(1);
+}
+
+// Telegram doesn't send chat_member updates unless they're asked for explicitly
+const ALLOWED_UPDATES = [
+    "message",
+    "edited_message",
+    "channel_post",
+    "edited_channel_post",
+    "inline_query",
+    "chosen_inline_result",
+    "callback_query",
+    "my_chat_member",
+    "chat_member"
+];
+
+// Methods node-telegram-bot-api doesn't have yet (media groups only take file IDs and URLs)
+const polyfills = {
+    sendMediaGroup(chatId, media, form = {}) {
+        return this._request("sendMediaGroup", {form: Object.assign({chat_id: chatId, media: JSON.stringify(media)}, form)});
+    },
+    sendPoll(chatId, question, answers, form = {}) {
+        return this._request("sendPoll", {form: Object.assign({chat_id: chatId, question, options: JSON.stringify(answers)}, form)});
+    },
+    sendDice(chatId, form = {}) {
+        return this._request("sendDice", {form: Object.assign({chat_id: chatId}, form)});
+    }
+};
+for (const method of Object.keys(polyfills)) {
+    if (typeof TelegramBot.prototype[method] !== "function")
+        TelegramBot.prototype[method] = polyfills[method];
+}
+
 log.verbose("Creating a TelegramBot instance...");
-const bot = new TelegramBot(Config.TELEGRAM_TOKEN, {polling: true});
+// Don't poll for updates until the plugins are loaded
+const bot = new TelegramBot(Config.TELEGRAM_TOKEN, {
+    polling: isWebhook ? false : {
+        autoStart: false,
+        params: {allowed_updates: JSON.stringify(ALLOWED_UPDATES)}
+    }
+});
+// node-telegram-bot-api doesn't emit chat_member and my_chat_member updates yet
+if (typeof bot.processUpdate === "function") {
+    const processUpdate = bot.processUpdate.bind(bot);
+    bot.processUpdate = update => {
+        for (const type of ["chat_member", "my_chat_member"]) {
+            if (update[type])
+                bot.emit(type, update[type]);
+        }
+        return processUpdate(update);
+    };
+}
 log.info("Instance created.");
 
+let webhook;
+if (isWebhook) {
+    try {
+        webhook = new Webhook(bot, Object.assign({allowedUpdates: ALLOWED_UPDATES}, Config.webhook), log);
+    } catch (e) {
+        log.error(e.message);
+        process.exit(1);
+    }
+}
+
 log.verbose("Loading plugins...");
 const pluginManager = new PluginManager(bot, Config, auth);
-pluginManager.loadPlugins(Config.activePlugins, false);
-pluginManager.startSynchronization();
-log.info("Plugins loaded.");
-
-log.info("The bot is online!");
+pluginManager.loadPlugins(Config.activePlugins, false)
+    .then(() => {
+        pluginManager.startSynchronization();
+        log.info("Plugins loaded.");
+        if (webhook)
+            return webhook.start();
+        return bot.startPolling();
+    })
+    .then(() => log.info("The bot is online!"))
+    .catch(err => {
+        log.error("Couldn't start the bot", err);
+        process.exit(1);
+    });
 
 function handleShutdown(reason) {
     return err => {
         if (err && (err != "SIGINT")) log.error(err);
         log.warn("Shutting down, reason: " + reason);
         log.info("Stopping safely all the plugins...");
-        pluginManager.stopSynchronization();
-        pluginManager.stopPlugins().then(function() {
-            log.info("All plugins stopped correctly.");
-            process.exit();
-        });
+        (webhook ? webhook.stop() : Promise.resolve())
+            .then(() => pluginManager.stopPlugins())
+            .then(() => pluginManager.sendQueue.drain())
+            .then(() => pluginManager.stopSynchronization())
+            .then(function() {
+                log.info("All plugins stopped correctly.");
+                process.exit();
+            });
     };
 }
 
@@ -1,9 +1,19 @@
 /* eslint no-sync: 0 */
 const fs = require("fs");
-const walk = require("walk-sync");
 const inquirer = require("inquirer");
+const PluginDiscovery = require("./PluginDiscovery");
 
-const descriptionsToPathsMap = {};
+const configPath = `${__dirname}/../config.json`;
+
+// Reuse the plugin paths from an existing configuration, if any, to list external plugins too.
+let existingConfig = {};
+try {
+    existingConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+} catch (e) {
+    existingConfig = {};
+}
+
+const descriptionsToNamesMap = {};
 const pluginQuestions = [];
 
 const questions = [
@@ -17,28 +27,19 @@ const questions = [
         type: "checkbox",
         name: "activePlugins",
         message: "What plugins would you like to enable?",
-        // Find every file in the plugins folder.
-        choices: walk(`${__dirname}/plugins`)
-            // Use only .js files.
-            .filter(item => /\.js$/i.test(item))
-            .map(path => {
-                // Remove the extension.
-                path = path.replace(/\.js$/i, "");
-                let plugin;
-
-                try {
-                    plugin = require(`${__dirname}/plugins/${path}`, false).plugin;
-                } catch (e) {
-                    let message = e.message;
-                    message = message.replace(/^Cannot find module '([^']+)'$/, "Must install \"$1\" first");
+        choices: PluginDiscovery.discover(existingConfig)
+            .map(entry => {
+                if (entry.error) {
                     return {
-                        name: ` ${path}.js`,
-                        disabled: message
+                        name: ` ${entry.name}`,
+                        disabled: entry.error.replace(/`/g, "\"")
                     };
                 }
 
-                const string = " " + plugin.name + (plugin.description ? ` - ${plugin.description}` : "");
-                descriptionsToPathsMap[string] = path;
+                const string = " " + entry.name +
+                    (entry.source === "builtin" ? "" : ` v${entry.version || "?"}`) +
+                    (entry.description ? ` - ${entry.description}` : "");
+                descriptionsToNamesMap[string] = entry.name;
 
                 return {name: string};
             })
@@ -74,8 +75,6 @@ const questions = [
     }
 ];
 
-const configPath = `${__dirname}/../config.json`;
-
 inquirer.prompt({
     type: "confirm",
     name: "force",
@@ -93,7 +92,12 @@ inquirer.prompt({
     if (!force) process.exit(0);
     return inquirer.prompt(questions);
 }).then(answers => {
-    answers.activePlugins = answers.activePlugins.map(description => descriptionsToPathsMap[description]);
+    answers.activePlugins = answers.activePlugins.map(description => descriptionsToNamesMap[description]);
+    if (existingConfig.pluginPaths)
+        answers.pluginPaths = existingConfig.pluginPaths;
+    // New configurations use the plugins' defaults; older ones are migrated on boot (see PluginManager#keepLegacyDefaults)
+    if ("chatDefaults" in existingConfig || !existingConfig.TELEGRAM_TOKEN)
+        answers.chatDefaults = existingConfig.chatDefaults || {};
     fs.writeFileSync(configPath, JSON.stringify(answers, null, 4));
     process.exit(0);
 });
\ No newline at end of file
@@ -1,4 +1,6 @@
 const Logger = require("./Log");
+const Keyboard = require("./helpers/Keyboard");
+const Messages = require("./helpers/Messages");
 
 module.exports = class Plugin {
     static get plugin() {
@@ -17,15 +19,21 @@ module.exports = class Plugin {
             message: "onMessage",
 
             _command: "onCommand",
+            // Returns inline results, see PluginManager#answerInlineQuery
             _inline_command: "onInlineCommand",
 
             audio: "onAudio",
             callback_query: "onCallbackQuery",
+            channel_post: "onChannelPost",
+            chat_member: "onChatMember",
             contact: "onContact",
             document: "onDocument",
+            edited_channel_post: "onEditedChannelPost",
+            edited_message: "onEditedMessage",
             inline_query: "onInline",
             left_chat_member: "onLeftChatMember",
             location: "onLocation",
+            my_chat_member: "onMyChatMember",
             new_chat_members: "onNewChatMembers",
             photo: "onPhoto",
             sticker: "onSticker",
@@ -40,7 +48,54 @@ module.exports = class Plugin {
         return this.constructor.plugin;
     }
 
-    constructor({db, blacklist, config /* , bot, auth */}) {
+    /* Besides the event handlers (see handlerNames), plugins may define the
+     * members below; the PluginManager skips the ones that are missing.
+     *
+     * `get commands()`: the commands handled by this plugin, an object mapping
+     * each command name to either a handler function or a declaration like
+     *
+     *     {
+     *         description: "Kicks a user",
+     *         args: [{name: "target", type: "user"}], // See helpers/Arguments.js
+     *         privilege: "admin", // "owner", "admin", or omitted for everyone
+     *         cooldown: {user: 30, chat: 5}, // Seconds, see helpers/Cooldowns.js
+     *         handler: ({message, params}) => ...
+     *     }
+     *
+     * Privileges and arguments are checked before the handler runs, and /help
+     * is generated from the declarations. Handlers get {message, command, args, tokens, params, state}
+     * and return a reply, just like onCommand. Declaring a command claims it: no
+     * other plugin's handler (nor onCommand) is called for it.
+     *
+     * `get conversationHandlers()`: handlers for conversations that outlived
+     * the bot, see waitForMessage. An object mapping each `resume` name to a
+     * function, which gets {message, data, chat, user} (message is null on
+     * timeout) and returns a reply.
+     *
+     * `get conversationFilters()`: filters for conversations that outlive the
+     * bot, an object mapping names to functions, which get a message and
+     * return whether it is an answer. Pass the name as waitForMessage's `filter`.
+     *
+     * `get callbacks()`: handlers for the buttons of keyboards built with
+     * inlineKeyboard, an object mapping each callback name to a function, which
+     * gets {query, message, payload, state} (message is the one with the
+     * keyboard, if any). It returns the answer to the query: a string (shown as
+     * a notification), an object with the options of answerCallbackQuery (eg.
+     * {text, show_alert: true}), or nothing.
+     *
+     * `onLoad()`, `onUnload()`, `onChatEnabled(chatID)`, `onChatDisabled(chatID)`:
+     * lifecycle hooks, awaited by the PluginManager (they may return promises).
+     * onLoad runs before the plugin receives any update, and onUnload when the
+     * plugin is disabled or the bot shuts down; a plugin that fails to load is
+     * not added. onChatEnabled and onChatDisabled run on "/enable Plugin chat"
+     * and "/disable Plugin chat".
+     * Do your setup in onLoad rather than in the constructor, and register event
+     * listeners, timers and Scheduler events through listen(), setTimeout(),
+     * setInterval() and this.scheduler: they are cleaned up after onUnload.
+     * (`stop()` is the deprecated name of onUnload.)
+     */
+
+    constructor({db, blacklist, whitelist, config = {} /* , bot, auth */}) {
         if (new.target === Plugin) {
             throw new TypeError("Cannot construct Plugin instances directly!");
         }
@@ -48,47 +103,236 @@ module.exports = class Plugin {
         this.log = new Logger(this.plugin.name, config);
 
         this.db = db;
-        this.blacklist = new Set(blacklist); // Chats where the plugin is disabled
+        this.blacklist = new Set(blacklist); // Chats where the plugin was disabled
+        this.whitelist = new Set(whitelist); // Chats where the plugin was enabled
+        // Whether the plugin is active in chats that neither enabled nor disabled it
+        const chatDefaults = config.chatDefaults || {};
+        this.enabledByDefault = (this.plugin.name in chatDefaults) ? chatDefaults[this.plugin.name] : (this.plugin.enabledByDefault !== false);
+        this.replyToMessage = Boolean(config.replyToMessage); // See smartReply
+
+        this._cleanup = []; // Undoes what was registered through the plugin-scoped API
+        this._timers = new Set();
     }
 
-    smartReply(ret, message) {
-        if (typeof ret === "string" || typeof ret === "number") {
-            this.sendMessage(message.chat.id, ret);
-            return;
+    // Whether the plugin handles updates from the chat, see "/enable Plugin chat".
+    isEnabledIn(chatID) {
+        if (this.whitelist.has(chatID))
+            return true;
+        if (this.blacklist.has(chatID))
+            return false;
+        return this.enabledByDefault;
+    }
+
+    // emitter.on(event, listener), undone when the plugin is unloaded.
+    listen(emitter, event, listener) {
+        emitter.on(event, listener);
+        this._cleanup.push(() => emitter.removeListener(event, listener));
+    }
+
+    setTimeout(fn, delay) {
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            fn();
+        }, delay);
+        this._timers.add(timer);
+        return timer;
+    }
+
+    setInterval(fn, delay) {
+        const timer = setInterval(fn, delay);
+        this._timers.add(timer);
+        return timer;
+    }
+
+    // Clears a timer created with this.setTimeout or this.setInterval.
+    clearTimer(timer) {
+        clearTimeout(timer);
+        this._timers.delete(timer);
+    }
+
+    /* Waits for the next message in a chat, from a user or from anyone:
+     *
+     *     const answer = await this.waitForMessage({chat: message.chat.id, user: message.from.id, types: ["photo"]});
+     *
+     * Resolves to the message, or to null on timeout or if the user sends /cancel.
+     * The message is not passed on to the other handlers. See helpers/Conversations.js
+     * for the options; to survive restarts, pass a `resume` name and declare it
+     * in conversationHandlers.
+     */
+    waitForMessage(options) {
+        if (!this.conversations)
+            return Promise.reject(new Error("Conversations are only available to loaded plugins."));
+        return this.conversations.wait(this.plugin.name, options);
+    }
+
+    /* Builds the reply_markup of an inline keyboard whose buttons call this
+     * plugin's callbacks:
+     *
+     *     reply_markup: this.inlineKeyboard([[{text: "Reveal", callback: "reveal", payload: text}]])
+     *
+     * Payloads are stored by the bot, so they aren't subject to Telegram's 64
+     * bytes limit; pass `ttl` (in milliseconds) to forget them sooner than in a
+     * month, after which the button answers "This button has expired.".
+     * Buttons without `callback` (eg. {text, url}) are left as they are.
+     */
+    inlineKeyboard(rows) {
+        if (!this.callbackStore)
+            throw new Error("Inline keyboards are only available to loaded plugins.");
+        return Keyboard.build(this.plugin.name, rows, this.callbackStore);
+    }
+
+    /* The Scheduler, scoped to this plugin (see Scheduler.scope): events are
+     * tagged with the plugin name, and they are suspended rather than lost
+     * while the plugin is unloaded.
+     */
+    get scheduler() {
+        if (!this._scheduler) {
+            // Required here, so that plugins that don't use it don't load its database
+            const Scheduler = require("./helpers/Scheduler");
+            this._scheduler = Scheduler.scope(this.plugin.name);
+            this._cleanup.push(() => {
+                this._scheduler.release();
+                this._scheduler = undefined;
+            });
         }
+        return this._scheduler;
+    }
+
+    // Called by the PluginManager after onUnload.
+    releaseResources() {
+        for (const timer of this._timers)
+            clearTimeout(timer);
+        this._timers.clear();
+        for (const undo of this._cleanup.splice(0).reverse())
+            undo();
+    }
+
+    /* Sends what a handler returned to the chat of `message`:
+     *
+     *     "Some text" (or a number)
+     *     {type: "text", text, options}
+     *     {type: "audio" | "document" | "photo" | "sticker" | "video" | "voice", [type]: file, options}
+     *     {type: "mediaGroup", media: [{type: "photo", media: fileID, caption}, ...], options}
+     *     {type: "location", latitude, longitude, options}
+     *     {type: "poll", question, answers: ["Yes", "No"], options}
+     *     {type: "dice", emoji, options}
+     *     {type: "status", status: "typing"}
+     *     {type: "edit", message_id, text | caption | reply_markup, options}
+     *     {type: "delete", message_id} (deletes the triggering message if message_id is omitted)
+     *     an array of replies, sent in order
+     *
+     * Texts longer than Telegram's limit are split into several messages, and
+     * sent as plain text if their formatting is invalid (see helpers/Messages.js).
+     * Replies quote the triggering message with `reply: true`, or by default if
+     * config.replyToMessage is set (`reply: false` opts out). Replies with a
+     * `ttl` are deleted after that many seconds, unless the plugin is unloaded first.
+     */
+    smartReply(ret, message) {
         if (typeof ret === "undefined")
             return;
+        if (Array.isArray(ret)) {
+            return ret.reduce(
+                (sent, item) => sent.then(results => Promise.resolve(this.smartReply(item, message)).then(result => results.concat([result]))),
+                Promise.resolve([])
+            );
+        }
+        if (typeof ret === "string" || typeof ret === "number")
+            ret = {type: "text", text: ret};
+
+        const chatID = message.chat.id;
+        const options = Object.assign({}, ret.options);
+        const reply = (ret.reply === undefined) ? this.replyToMessage : ret.reply;
+        if (reply && message.message_id !== undefined && !("reply_to_message_id" in options))
+            options.reply_to_message_id = message.message_id;
+
+        let sent;
         switch (ret.type) {
             case "text":
-                return this.sendMessage(message.chat.id, ret.text, ret.options);
+                sent = Messages.send(this.sendMessage.bind(this), chatID, ret.text, options);
+                break;
 
             case "audio":
-                return this.sendAudio(message.chat.id, ret.audio, ret.options);
+                sent = this.sendAudio(chatID, ret.audio, options);
+                break;
 
             case "document":
-                return this.sendDocument(message.chat.id, ret.document, ret.options);
+                sent = this.sendDocument(chatID, ret.document, options);
+                break;
 
             case "photo":
-                return this.sendPhoto(message.chat.id, ret.photo, ret.options);
+                sent = this.sendPhoto(chatID, ret.photo, options);
+                break;
 
             case "sticker":
-                return this.sendSticker(message.chat.id, ret.sticker, ret.options);
+                sent = this.sendSticker(chatID, ret.sticker, options);
+                break;
 
             case "video":
-                return this.sendVideo(message.chat.id, ret.video, ret.options);
+                sent = this.sendVideo(chatID, ret.video, options);
+                break;
 
             case "voice":
-                return this.sendVoice(message.chat.id, ret.voice, ret.options);
+                sent = this.sendVoice(chatID, ret.voice, options);
+                break;
+
+            case "mediaGroup":
+                sent = this.sendMediaGroup(chatID, ret.media, options);
+                break;
+
+            case "location":
+                sent = this.sendLocation(chatID, ret.latitude, ret.longitude, options);
+                break;
+
+            case "poll":
+                sent = this.sendPoll(chatID, ret.question, ret.answers, options);
+                break;
+
+            case "dice":
+                sent = this.sendDice(chatID, Object.assign({emoji: ret.emoji}, options));
+                break;
 
             case "status": case "chatAction":
-                return this.sendChatAction(message.chat.id, ret.status, ret.options);
+                return this.sendChatAction(chatID, ret.status, ret.options);
+
+            case "edit":
+                return this.edit(chatID, ret);
+
+            case "delete":
+                return this.deleteMessage(chatID, (ret.message_id === undefined) ? message.message_id : ret.message_id);
 
             default:
                 this.log.error(`Unrecognized reply type ${ret.type}`);
                 return Promise.reject(new Error(`Unrecognized reply type ${ret.type}`));
         }
+
+        if (!ret.ttl)
+            return sent;
+        return Promise.resolve(sent).then(result => {
+            this.deleteAfter(chatID, result, ret.ttl);
+            return result;
+        });
+    }
+
+    // Private method
+    edit(chatID, ret) {
+        const options = Object.assign({chat_id: chatID, message_id: ret.message_id}, ret.options);
+        if ("text" in ret)
+            return this.editMessageText(ret.text, options);
+        if ("caption" in ret)
+            return this.editMessageCaption(ret.caption, options);
+        return this.editMessageReplyMarkup(ret.reply_markup, options);
     }
 
-    stop() {
+    // Deletes the messages that were sent (one, or a media group) after `ttl` seconds.
+    deleteAfter(chatID, sent, ttl) {
+        const messageIDs = [].concat(sent)
+            .filter(it => it && it.message_id !== undefined)
+            .map(it => it.message_id);
+        this.setTimeout(() => {
+            for (const messageID of messageIDs) {
+                Promise.resolve(this.deleteMessage(chatID, messageID))
+                    .catch(err => this.log.warn(`Couldn't delete message ${messageID} in ${chatID}:`, err));
+            }
+        }, ttl * 1000);
     }
 };
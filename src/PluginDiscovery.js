@@ -0,0 +1,150 @@
+/* eslint no-sync: 0 */
+const fs = require("fs");
+const path = require("path");
+const Plugin = require("./Plugin");
+const Logger = require("./Log");
+
+const builtinPath = path.join(__dirname, "plugins");
+const nodeModulesPath = path.join(__dirname, "..", "node_modules");
+const packagePrefix = "nikoro-plugin-";
+
+// Paths of the plugins shadowed by built-in ones that were already reported
+const reportedCollisions = new Set();
+
+/* Finds the plugins available to the bot:
+ *
+ *  - the built-in ones, in src/plugins;
+ *  - the ones in the directories listed in the "pluginPaths" key of
+ *    config.json (each .js file or directory with an index.js is a plugin);
+ *  - npm packages named nikoro-plugin-* (or @scope/nikoro-plugin-*).
+ *
+ * External plugins must declare their name (and should declare their version)
+ * in `static get plugin()`. They can either require Nikoro's Plugin class, or
+ * export a function that receives it and returns the plugin class:
+ *
+ *     module.exports = Plugin => class MyPlugin extends Plugin { ... };
+ */
+
+// Lists the .js files and the directories inside a directory.
+function listModules(directory) {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory);
+    } catch (e) {
+        return [];
+    }
+    return entries
+        .filter(entry => !entry.startsWith("."))
+        .map(entry => path.join(directory, entry))
+        .filter(entryPath => /\.js$/.test(entryPath) || fs.statSync(entryPath).isDirectory());
+}
+
+function listPackages() {
+    const packages = [];
+    for (const entry of listModules(nodeModulesPath)) {
+        const basename = path.basename(entry);
+        if (basename.startsWith(packagePrefix))
+            packages.push(entry);
+        else if (basename.startsWith("@"))
+            packages.push(...listModules(entry).filter(scoped => path.basename(scoped).startsWith(packagePrefix)));
+    }
+    return packages;
+}
+
+function packageVersion(modulePath) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(modulePath, "package.json"), "utf8")).version;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// Returns the plugin class exported by a module, calling plugin factories if needed.
+function requirePlugin(modulePath) {
+    const exported = require(modulePath);
+    if (typeof exported === "function" && !(exported.prototype instanceof Plugin) && !exported.plugin)
+        return exported(Plugin);
+    return exported;
+}
+
+function describe(modulePath, source) {
+    const fallbackName = path.basename(modulePath).replace(/\.js$/, "").replace(packagePrefix, "");
+    const entry = {name: fallbackName, path: modulePath, source};
+    let info;
+    try {
+        info = requirePlugin(modulePath).plugin;
+    } catch (e) {
+        entry.error = e.message.replace(/^Cannot find module '([^']+)'[^]*$/, "Must install `$1` first");
+        return entry;
+    }
+    if (!info || !info.name) {
+        entry.error = "Doesn't declare a name";
+        return entry;
+    }
+    // Built-in plugins are known by their filename (eg. 8ball is "The8Ball").
+    if (source !== "builtin")
+        entry.name = info.name;
+    entry.description = info.description;
+    entry.version = info.version || (source === "npm" ? packageVersion(modulePath) : undefined);
+    if (source === "builtin" && !entry.version)
+        entry.version = require("../package.json").version;
+    return entry;
+}
+
+// Returns the list of available plugins, as {name, path, source, version, description, error}.
+function discover(config = {}) {
+    const candidates = listModules(builtinPath).map(modulePath => describe(modulePath, "builtin"));
+    for (const directory of config.pluginPaths || []) {
+        for (const modulePath of listModules(path.resolve(directory)))
+            candidates.push(describe(modulePath, "path"));
+    }
+    for (const modulePath of listPackages())
+        candidates.push(describe(modulePath, "npm"));
+
+    /* Two plugins with the same name would share a database and a config entry:
+     * built-in plugins win, otherwise both are refused.
+     */
+    const byName = new Map();
+    for (const candidate of candidates) {
+        const key = candidate.name.toLowerCase();
+        if (!byName.has(key))
+            byName.set(key, []);
+        byName.get(key).push(candidate);
+    }
+    for (const group of byName.values()) {
+        if (group.length < 2) continue;
+        const builtin = group.find(candidate => candidate.source === "builtin");
+        for (const candidate of group) {
+            if (candidate === builtin) continue;
+            if (builtin) {
+                candidate.error = `Name collides with the built-in plugin ${builtin.name}`;
+                if (!reportedCollisions.has(candidate.path))
+                    new Logger("PluginDiscovery", config).warn(`Ignoring ${candidate.path}: ${candidate.error}`);
+                reportedCollisions.add(candidate.path);
+                continue;
+            }
+            const others = group.filter(other => other !== candidate).map(other => other.path);
+            candidate.error = `Name collides with ${others.join(", ")}`;
+        }
+    }
+    return candidates;
+}
+
+/* Finds a plugin by name (case-insensitively), among `entries` if given (from
+ * discover(), to look several plugins up at once). Throws if there is no such
+ * plugin, or if it can't be used.
+ */
+function find(name, config, entries = discover(config)) {
+    const entry = entries.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+    if (!entry)
+        throw new Error("No such file.");
+    if (entry.error)
+        throw new Error(`Can't load ${entry.name} (${entry.path}): ${entry.error}`);
+    return entry;
+}
+
+module.exports = {
+    discover,
+    find,
+    requirePlugin
+};
@@ -1,14 +1,123 @@
 /* eslint no-sync: 0 */
 const fs = require("fs");
-const path = require("path");
 const Logger = require("./Log");
 const Plugin = require("./Plugin");
+const Storage = require("./storage");
+const Arguments = require("./helpers/Arguments");
+const PluginDiscovery = require("./PluginDiscovery");
+const ErrorReporter = require("./helpers/ErrorReporter");
+const SendQueue = require("./helpers/SendQueue");
+const Middleware = require("./helpers/Middleware");
+const Conversations = require("./helpers/Conversations");
+const CallbackStore = require("./helpers/CallbackStore");
+const Cooldowns = require("./helpers/Cooldowns");
+const Keyboard = require("./helpers/Keyboard");
+const InlineQueries = require("./helpers/InlineQueries");
+const Messages = require("./helpers/Messages");
+const Util = require("./Util");
+
+// Hardcoded commands reply in Markdown
+const md = Util.formatter("Markdown");
 
 // A small utility functor to find a plugin with a given name
 const nameMatches = targetName => pl => pl.plugin.name.toLowerCase() === targetName.toLowerCase();
 
 const SYNC_INTERVAL = 5000;
 
+/* Updates that aren't new messages: they don't trigger onMessage, and commands
+ * are only parsed in channel posts.
+ */
+const UPDATE_EVENTS = ["channel_post", "edited_message", "edited_channel_post", "chat_member", "my_chat_member"];
+const COMMAND_UPDATE_EVENTS = ["channel_post"];
+
+// Maps errors thrown by handlers to the name of the plugin they came from
+const handlerErrors = new WeakMap();
+
+// Remembers which plugin threw, for the error report
+function tagError(e, plugin) {
+    if (e && typeof e === "object" && !handlerErrors.has(e))
+        handlerErrors.set(e, plugin.plugin.name);
+}
+
+/* Returns the plugin's command declarations, with bare handlers expanded to
+ * {handler}. Declarations without a handler are skipped; the map has no
+ * prototype, so that eg. "/constructor" matches no command.
+ */
+function commandsOf(plugin) {
+    const commands = plugin.commands || {};
+    const declarations = Object.create(null);
+    for (const name of Object.keys(commands)) {
+        const declaration = (typeof commands[name] === "function") ? {handler: commands[name]} : commands[name];
+        if (declaration && typeof declaration.handler === "function")
+            declarations[name] = declaration;
+    }
+    return declarations;
+}
+
+// The cooldown rule the plugin sets for the command, if any: see helpers/Cooldowns.js
+function cooldownOf(plugin, command) {
+    const declaration = commandsOf(plugin)[command];
+    if (declaration && declaration.cooldown !== undefined)
+        return declaration.cooldown;
+    const cooldowns = plugin.plugin.cooldowns || {};
+    return cooldowns.hasOwnProperty(command) ? cooldowns[command] : undefined;
+}
+
+function describeCommand(name, declaration) {
+    const usage = "`" + Arguments.usage(name, declaration.args) + "`";
+    return declaration.description ? `${usage} - ${declaration.description}` : usage;
+}
+
+// Runs one of the plugin's optional hooks (see Plugin), if it has it.
+function callHook(plugin, hook, ...args) {
+    return (typeof plugin[hook] === "function") ? plugin[hook](...args) : undefined;
+}
+
+function pluginHelp(plugin) {
+    const commands = commandsOf(plugin);
+    const commandList = Object.keys(commands)
+        .map(name => describeCommand(name, commands[name]))
+        .join("\n");
+    return [
+        `${md.bold(plugin.plugin.name)} - ${md.escape(plugin.plugin.description)}`,
+        plugin.plugin.help,
+        commandList ? "Commands:\n" + commandList : ""
+    ].filter(Boolean).join("\n\n");
+}
+
+/* Opts the chat in, or out, of the plugin regardless of its default: see
+ * Plugin#isEnabledIn. The hooks only run if the plugin was off (or on).
+ */
+async function enableInChat(plugin, chatID) {
+    const wasEnabled = plugin.isEnabledIn(chatID);
+    plugin.blacklist.delete(chatID);
+    plugin.whitelist.add(chatID);
+    if (!wasEnabled)
+        await callHook(plugin, "onChatEnabled", chatID);
+}
+
+async function disableInChat(plugin, chatID) {
+    const wasEnabled = plugin.isEnabledIn(chatID);
+    plugin.whitelist.delete(chatID);
+    plugin.blacklist.add(chatID);
+    if (wasEnabled)
+        await callHook(plugin, "onChatDisabled", chatID);
+}
+
+/* The chat an update comes from: callback queries carry the message with the
+ * keyboard, if any, and inline queries come from no chat at all.
+ */
+function chatOf(message) {
+    if (message.chat) return message.chat;
+    if (message.message) return message.message.chat;
+}
+
+// Plugins are enabled per chat, so updates from no chat reach every plugin
+const isEnabledIn = message => {
+    const chat = chatOf(message);
+    return pl => !chat || pl.isEnabledIn(chat.id);
+};
+
 function messageIsCommand(message) {
     if (!message.entities) return;
     const entity = message.entities[0];
@@ -27,12 +136,15 @@ function parseCommand(message) {
     else
         command = rawCommand.substring(0, rawCommand.search("@"));
 
+    // `args` are the words as typed, like before quoting existed; declared
+    // commands are parsed from the tokens instead
     let args = [];
     if (message.text.length > entity.length) {
         args = message.text.slice(entity.length + 1).split(" ");
     }
+    const tokens = Arguments.tokenize(message.text, message.entities, entity.length);
 
-    return {args, command};
+    return {args, tokens, command};
 }
 
 module.exports = class PluginManager {
@@ -41,8 +153,25 @@ module.exports = class PluginManager {
         this.log = new Logger("PluginManager", config);
         this.auth = auth;
         this.plugins = [];
+        // Maps every loaded plugin to its storage adapter and change tracker
+        this.databases = new Map();
 
         this.config = config;
+        // Everything the bot sends goes through the queue, to respect Telegram's rate limits
+        this.sendQueue = new SendQueue(bot, config.sendQueue, this.log);
+        this.sendMessage = this.sendQueue.wrap("sendMessage");
+        this.errorReporter = new ErrorReporter(this, auth, config.errorReporting, this.log);
+        this.conversations = new Conversations({
+            onResume: (conversation, message) => this.resumeConversation(conversation, message),
+            getFilter: (pluginName, name) => {
+                const plugin = this.plugins.find(nameMatches(pluginName));
+                const filter = plugin && (plugin.conversationFilters || {})[name];
+                return filter && (message => filter.call(plugin, message));
+            }
+        });
+        this.callbackStore = new CallbackStore();
+        this.inlineQueries = new InlineQueries(config.inline);
+        this.cooldowns = new Cooldowns({config: config.cooldowns});
 
         const events = Object.keys(Plugin.handlerNames)
             // We handle the message event by ourselves.
@@ -51,35 +180,37 @@ module.exports = class PluginManager {
             .filter(prop => prop[0] !== "_");
 
         // Registers a handler for every Telegram event.
-        // It runs the message through the proxy and forwards it to the plugin manager.
+        // It runs the message through the middleware and forwards it to the plugin manager.
         for (const eventName of events) {
             bot.on(
                 eventName,
                 async message => {
                     // const messageID = message.message_id + '@' + message.chat.id;
                     // console.time(messageID);
-                    this.parseHardcoded(message);
-                    try {
-                        await Promise.all(this.plugins
-                            .filter(plugin => plugin.plugin.isProxy)
-                            .map(plugin => plugin.proxy(eventName, message))
-                        );
-                    } catch (err) {
-                        if (err)
-                            this.log.error("Message rejected with error", err);
-                    }
+                    const ctx = new Middleware.Context(eventName, message);
                     try {
-                        await this.emit("message", message);
-                        await this.emit(eventName, message);
-                        this.log.debug("Message chain completed.");
-                    } catch (e) {
-                        if (!e) {
-                            this.log.error("Message chain failed with no error message.");
-                            this.bot.sendMessage(message.chat.id, "An error occurred.");
+                        await Middleware.run(this.plugins, ctx, tagError);
+                        if (ctx.dropped) {
+                            this.log.verbose(`${ctx.droppedBy} dropped ${eventName}: ${ctx.reason}`);
                             return;
                         }
-                        this.log.error(e);
-                        this.bot.sendMessage(message.chat.id, e.stack.split("\n").slice(0, 2).join("\n"));
+                        if (eventName === "callback_query" && await this.routeCallback(ctx))
+                            return;
+                        const isUpdate = UPDATE_EVENTS.includes(eventName);
+                        if (!isUpdate && this.handleConversation(ctx.message))
+                            return;
+                        if (!isUpdate || COMMAND_UPDATE_EVENTS.includes(eventName))
+                            this.parseHardcoded(ctx.message);
+                        if (!isUpdate)
+                            await this.emit("message", ctx);
+                        await this.emit(eventName, ctx);
+                        this.log.debug("Message chain completed.");
+                    } catch (e) {
+                        this.errorReporter.report(e, {
+                            plugin: handlerErrors.get(e),
+                            event: eventName,
+                            message
+                        });
                     }
                     // console.timeEnd(messageID);
                 }
@@ -87,6 +218,69 @@ module.exports = class PluginManager {
         }
     }
 
+    // Hands the message to a pending conversation, if any. Returns true if it was consumed.
+    handleConversation(message) {
+        if (!message.chat || !message.from) return false;
+        const isAvailable = pluginName => this.plugins.some(pl => nameMatches(pluginName)(pl) && pl.isEnabledIn(message.chat.id));
+        if (messageIsCommand(message)) {
+            // Commands are never answers, except for /cancel
+            if (parseCommand(message).command !== "cancel")
+                return false;
+            const isAdmin = this.auth.isChatAdmin(message.from.id, message.chat.id);
+            if (this.conversations.cancel(message.chat.id, message.from.id, isAdmin) === 0)
+                return false;
+            this.sendMessage(message.chat.id, "Cancelled.");
+            return true;
+        }
+        return this.conversations.handle(message, isAvailable);
+    }
+
+    // Hands the answer to a conversation that outlived its awaiting code to the plugin's handler.
+    resumeConversation(conversation, message) {
+        const plugin = this.plugins.find(nameMatches(conversation.plugin));
+        const handler = plugin && (plugin.conversationHandlers || {})[conversation.resume];
+        if (!handler) {
+            this.log.warn(`Dropping a conversation of ${conversation.plugin}: no handler for "${conversation.resume}"`);
+            return;
+        }
+        const {chat, user, data} = conversation;
+        Promise.resolve()
+            .then(() => handler.call(plugin, {message, data, chat, user}))
+            .then(ret => plugin.smartReply(ret, {chat: {id: chat}}))
+            .catch(e => this.errorReporter.report(e, {plugin: plugin.plugin.name, event: "conversation", message}));
+    }
+
+    /* Hands a callback query from a keyboard built with Plugin#inlineKeyboard to
+     * the plugin's callback, and answers the query with what it returns.
+     * Returns false for callback data in another format, which is emitted to
+     * the onCallbackQuery handlers instead.
+     */
+    async routeCallback({message: query, state}) {
+        const route = Keyboard.parse(query.data);
+        const plugin = route && this.plugins.find(nameMatches(route.plugin));
+        if (!plugin) return false;
+
+        const answer = options => this.bot.answerCallbackQuery(Object.assign({callback_query_id: query.id}, options));
+        const callback = (plugin.callbacks || {})[route.callback];
+        if (!callback || !isEnabledIn(query)(plugin))
+            return answer({text: "This button is no longer available."}).then(() => true);
+        const payload = route.token ? this.callbackStore.get(route.token) : undefined;
+        if (route.token && payload === undefined)
+            return answer({text: "This button has expired."}).then(() => true);
+
+        let ret;
+        try {
+            ret = await callback.call(plugin, {query, message: query.message, payload, state});
+        } catch (e) {
+            tagError(e, plugin);
+            // Stops the button's loading indicator before reporting
+            await answer({}).catch(() => {});
+            throw e;
+        }
+        await answer((typeof ret === "string") ? {text: ret} : ret);
+        return true;
+    }
+
     parseHardcoded(message) {
         // Hardcoded commands
         if (!messageIsCommand(message)) return;
@@ -96,89 +290,104 @@ module.exports = class PluginManager {
             && command !== "start"
             && command !== "plugins"
             && command !== "enable"
-            && command !== "disable") return;
-
-        const response = this.processHardcoded(command, pluginName, targetChat, message);
-        this.bot.sendMessage(message.chat.id, response, {
-            parse_mode: "markdown",
-            disable_web_page_preview: true
-        });
+            && command !== "disable"
+            && command !== "plugindefault"
+            && command !== "cooldown") return;
+
+        this.processHardcoded(command, pluginName, targetChat, message)
+            .then(response => Messages.send(this.sendMessage, message.chat.id, response, {
+                parse_mode: "markdown",
+                disable_web_page_preview: true
+            }))
+            .catch(e => this.errorReporter.report(e, {event: "/" + command, message}));
     }
 
-    processHardcoded(command, pluginName, targetChat, message) {
+    async processHardcoded(command, pluginName, targetChat, message) {
         if (command === "start") {
             let text = `*Nikoro* v${require("../package.json").version}
 
 Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how to use the currently active plugins.`;
-            if (this.auth.isOwner(message.from.id))
+            if (message.from && this.auth.isOwner(message.from.id))
                 text += `\n\nYou can also use /plugins for a list of available plugins, or browse the [user guide](https://telegram-bot-node.github.io/Nikoro/user.html) for more information on this bot's features.`;
             return text;
         }
         if (command === "help") {
             const availablePlugins = this.plugins
-                .map(pl => pl.plugin)
-                .filter(pl => !pl.isHidden);
+                .filter(pl => !pl.plugin.isHidden)
+                .filter(pl => pl.isEnabledIn(message.chat.id));
 
             if (!pluginName)
-                return "The following plugins are enabled:\n\n" + availablePlugins
-                    .map(pl => `*${pl.name}*`)
-                    .join("\n") + "\n\nFor help about a specific plugin, use /help PluginName.";
-
-            const plugin = availablePlugins
-                .find(pl => pl.name.toLowerCase() === pluginName.toLowerCase());
-
-            if (!plugin)
-                return "No such plugin.";
-            return `*${plugin.name}* - ${plugin.description}\n\n${plugin.help}`;
+                return "The following plugins are enabled in this chat:\n\n" + availablePlugins
+                    .map(pl => md.bold(pl.plugin.name))
+                    .join("\n") + "\n\nFor help about a specific plugin, use /help PluginName. For help about a command, use /help command.";
+
+            const plugin = /^\//.test(pluginName) ? undefined : availablePlugins.find(nameMatches(pluginName));
+            if (plugin)
+                return pluginHelp(plugin);
+
+            const commandHelp = this.commandHelp(pluginName.replace(/^\//, ""));
+            if (commandHelp)
+                return commandHelp;
+            return "No such plugin or command.";
         }
 
         if (command === "plugins") {
-            const pluginPath = path.join(__dirname, "plugins");
-            const files = fs.readdirSync(pluginPath).map(filename => filename.replace(/\.js$/, ""));
-            const plugins = files.map(filename => {
-                try {
-                    const plugin = require(path.join(pluginPath, filename), false).plugin;
-                    return {
-                        name: filename,
-                        description: plugin.description
-                    };
-                } catch (e) {
-                    let message = e.message;
-                    message = message.replace(/^Cannot find module '([^']+)'$/, "Must install `$1` first");
-                    return {
-                        name: `${filename}`,
-                        disabled: message
-                    };
-                }
-            });
-            // Does the list of plugins contain the given name?
-            const isEnabled = pl => this.plugins.some(nameMatches(pl.name))
+            const plugins = PluginDiscovery.discover(this.config).map(entry => ({
+                name: entry.name,
+                // External plugins also show their version
+                label: entry.name + (entry.source === "builtin" ? "" : ` v${entry.version || "?"}`),
+                description: entry.description,
+                disabled: entry.error
+            }));
+            const loadedPlugin = pl => this.plugins.find(nameMatches(pl.name));
+            const describe = pl => `${md.bold(pl.label)}: ${md.escape(pl.description)}`;
             const enabled = plugins
-                .filter(pl => isEnabled(pl))
-                .map(pl => `*${pl.name}*: ${pl.description}`)
-                .join("\n");
+                .filter(pl => loadedPlugin(pl) && loadedPlugin(pl).isEnabledIn(message.chat.id))
+                .map(describe)
+                .join("\n") || "None.";
+            const disabled = plugins
+                .filter(pl => loadedPlugin(pl) && !loadedPlugin(pl).isEnabledIn(message.chat.id))
+                .map(describe)
+                .join("\n") || "None.";
             const available = plugins
-                .filter(pl => !isEnabled(pl))
-                .map(pl => `*${pl.name}*` + (pl.disabled ? ` (${pl.disabled})` : `: ${pl.description}`))
-                .join("\n");
-            return "Enabled:\n" + enabled + "\n\nAvailable:\n" + available + "\n\nUse \"/enable PluginName\" to load a plugin.";
+                .filter(pl => !loadedPlugin(pl))
+                .map(pl => md.bold(pl.label) + (pl.disabled ? ` (${md.escape(pl.disabled)})` : `: ${md.escape(pl.description)}`))
+                .join("\n") || "None.";
+            return "Enabled in this chat:\n" + enabled +
+                "\n\nDisabled in this chat:\n" + disabled +
+                "\n\nAvailable:\n" + available +
+                "\n\nChat admins can use \"/enable PluginName chat\" and \"/disable PluginName chat\" to turn plugins on and off in this chat. Owners can use \"/enable PluginName\" to load a plugin, and \"/plugindefault PluginName on|off\" to turn it on or off in every chat that didn't choose, existing ones included.";
         }
 
-        if (!this.auth.isOwner(message.from.id, message.chat.id))
-            return "Insufficient privileges (owner required).";
+        if (command === "cooldown")
+            return this.processCooldown(message, parseCommand(message).args);
+
+        if (!pluginName)
+            return (command === "plugindefault") ? "Syntax: `/plugindefault PluginName on|off`" : `Syntax: \`/${command} PluginName [chat]\``;
         // Syntax: /("enable"|"disable") pluginName [targetChat|"chat"]
         // The string "chat" will enable the plugin in the current chat.
         if (targetChat === "chat") targetChat = message.chat.id;
-        targetChat = Number(targetChat);
+        const isOwner = Boolean(message.from) && this.auth.isOwner(message.from.id, message.chat.id);
+        // Chat admins can turn loaded plugins on and off in their own chat
+        const isChatAdmin = Boolean(message.from) && this.auth.isChatAdmin(message.from.id, message.chat.id);
+        const isOwnChat = targetChat === message.chat.id;
+        if (!isOwner && !(command !== "plugindefault" && isOwnChat && isChatAdmin))
+            return "Insufficient privileges (owner required).";
         // Checks if it is already in this.plugins
         const isGloballyEnabled = this.plugins.some(nameMatches(pluginName));
+        if (command === "plugindefault")
+            return this.setChatDefault(pluginName, targetChat);
+        targetChat = Number(targetChat);
         switch (command) {
             case "enable":
                 if (targetChat) {
+                    if (!isGloballyEnabled && !isOwner)
+                        return "Plugin isn't loaded. Ask the bot's owners to /enable it.";
                     try {
-                        this.loadAndAdd(pluginName);
+                        if (!isGloballyEnabled)
+                            await this.enablePlugin(pluginName);
                         const plugin = this.plugins.find(nameMatches(pluginName));
-                        plugin.blacklist.delete(targetChat);
+                        await enableInChat(plugin, targetChat);
                         return `Plugin enabled successfully for chat ${targetChat}.`;
                     } catch (e) {
                         this.log.warn(e);
@@ -193,12 +402,17 @@ Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how
 
                 this.log.info(`Enabling ${pluginName} from message interface`);
                 try {
-                    this.loadAndAdd(pluginName);
+                    const loaded = await this.enablePlugin(pluginName);
+                    const dependencies = loaded.filter(name => name.toLowerCase() !== pluginName.toLowerCase());
+                    if (dependencies.length > 0)
+                        return `Plugin enabled successfully, along with its dependencies: ${dependencies.join(", ")}.`;
                     return "Plugin enabled successfully.";
                 } catch (e) {
                     this.log.warn(e);
                     if (e.message === "No such file.")
                         return "No such plugin.\n\nIf you can't find the plugin you want, try running /plugins.";
+                    if (/^Can't load /.test(e.message))
+                        return e.message;
                     if (!/^Cannot find module/.test(e.message))
                         return "Couldn't load plugin, check console for errors.";
                     return e.message.replace(/Cannot find module '([^']+)'/, "The plugin has a missing dependency: `$1`");
@@ -209,28 +423,61 @@ Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how
                     if (!isGloballyEnabled)
                         return "Plugin isn't enabled.";
                     const plugin = this.plugins.find(nameMatches(pluginName));
-                    plugin.blacklist.add(targetChat);
+                    await disableInChat(plugin, targetChat);
                     return `Plugin disabled successfully for chat ${targetChat}.`;
                 }
                 if (isGloballyEnabled) {
-                    const outcome = this.removePlugin(pluginName);
+                    const dependents = this.getDependents(pluginName);
+                    if (dependents.length > 0)
+                        return `Can't disable ${pluginName}: ${dependents.join(", ")} ${dependents.length === 1 ? "requires" : "require"} it. Disable ${dependents.length === 1 ? "it" : "them"} first.`;
+                    const outcome = await this.removePlugin(pluginName);
                     return outcome ? "Plugin disabled successfully." : "An error occurred.";
                 }
                 return "Plugin already disabled.";
         }
     }
 
+    // Sets whether the plugin is on in chats that didn't enable nor disable it.
+    setChatDefault(pluginName, value) {
+        if (value !== "on" && value !== "off")
+            return "Syntax: `/plugindefault PluginName on|off`";
+        const entry = PluginDiscovery.discover(this.config).find(nameMatches(pluginName));
+        if (!entry)
+            return "No such plugin.\n\nIf you can't find the plugin you want, try running /plugins.";
+        const enabled = value === "on";
+        this.config.chatDefaults = Object.assign({}, this.config.chatDefaults, {[entry.name]: enabled});
+        fs.writeFileSync("config.json", JSON.stringify(this.config, null, 4));
+        const plugin = this.plugins.find(nameMatches(entry.name));
+        if (plugin)
+            plugin.enabledByDefault = enabled;
+        return `${entry.name} is now ${enabled ? "on" : "off"} in every chat that didn't enable or disable it, existing chats included.`;
+    }
+
+    commandHelp(name) {
+        for (const plugin of this.plugins) {
+            const declaration = commandsOf(plugin)[name];
+            if (!declaration) continue;
+            const lines = [describeCommand(name, declaration)];
+            for (const arg of declaration.args || []) {
+                lines.push(`- ${arg.name}: ${arg.type || "string"}${arg.optional ? ", optional" : ""}` +
+                    (arg.description ? ` (${arg.description})` : ""));
+            }
+            if (declaration.privilege === "owner")
+                lines.push("\nOnly the bot's owners can use this command.");
+            else if (declaration.privilege === "admin")
+                lines.push("\nOnly chat admins can use this command.");
+            lines.push(`\nFrom the *${plugin.plugin.name}* plugin.`);
+            return lines.join("\n");
+        }
+        return undefined;
+    }
+
     // Instantiates the plugin.
     // Case-insensitive.
     // Returns the plugin itself.
-    loadPlugin(_pluginName) {
-        // Find a matching filename, case-insensitively
-        const files = fs.readdirSync(path.join(__dirname, "plugins")).map(filename => filename.replace(/\.js$/, ""));
-        const pluginName = files.find(filename => filename.toLowerCase() === _pluginName.toLowerCase());
-        if (!pluginName)
-            throw new Error("No such file.");
+    loadPlugin(_pluginName, entry = PluginDiscovery.find(_pluginName, this.config)) {
+        const pluginName = entry.name;
 
-        const pluginPath = path.join(__dirname, "plugins", pluginName);
         /* Invalidates the require() cache.
          * This allows for "hot fixes" to plugins: just /disable it, make the
          * required changes, and /enable it again.
@@ -238,37 +485,45 @@ Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how
          * cache rather than from disk, meaning that your changes wouldn't apply.
          * Method: https://stackoverflow.com/a/16060619
          */
-        delete require.cache[require.resolve(pluginPath)];
-        const ThisPlugin = require(pluginPath);
+        delete require.cache[require.resolve(entry.path)];
+        const ThisPlugin = PluginDiscovery.requirePlugin(entry.path);
 
         this.log.debug(`Required ${pluginName}`);
 
-        // Load the blacklist and database from disk
-        const databasePath = PluginManager.getDatabasePath(pluginName);
-        let db = {};
-        let blacklist = [];
-
-        if (fs.existsSync(databasePath)) {
-            const data = JSON.parse(fs.readFileSync(databasePath, "utf8"));
-            db = data.db;
-            blacklist = data.blacklist;
-        }
+        // Load the chat lists and database from disk
+        const storage = Storage.create(pluginName, this.config);
+        const {db, blacklist, whitelist} = storage.load();
+        const tracker = new Storage.ChangeTracker(db);
 
         const loadedPlugin = new ThisPlugin({
-            db,
+            db: tracker.proxy,
             blacklist,
+            whitelist,
             bot: this.bot,
             config: this.config,
             auth: this.auth
         });
 
+        this.databases.set(loadedPlugin, {
+            storage,
+            tracker,
+            chatLists: JSON.stringify({blacklist, whitelist}),
+            pending: Promise.resolve()
+        });
+
+        loadedPlugin.conversations = this.conversations;
+        loadedPlugin.callbackStore = this.callbackStore;
+
         // Bind all the methods from the bot API
         for (const method of Object.getOwnPropertyNames(Object.getPrototypeOf(this.bot))) {
             if (typeof this.bot[method] !== "function") continue;
             if (method === "constructor" || method === "on" || method === "onText") continue;
             if (/^_/.test(method)) continue; // Do not expose internal methods
             this.log.debug(`Binding ${method}`);
-            loadedPlugin[method] = this.bot[method].bind(this.bot);
+            if (SendQueue.isSendMethod(method))
+                loadedPlugin[method] = this.sendQueue.wrap(method);
+            else
+                loadedPlugin[method] = this.bot[method].bind(this.bot);
         }
 
         this.log.debug(`Created ${pluginName}.`);
@@ -283,11 +538,20 @@ Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how
     }
 
     // Returns true if the plugin was added successfully, false otherwise.
-    loadAndAdd(pluginName, persist = true) {
+    // `entry` is the plugin's, from PluginDiscovery (optional).
+    async loadAndAdd(pluginName, persist = true, entry) {
         try {
-            const plugin = this.loadPlugin(pluginName);
+            const plugin = this.loadPlugin(pluginName, entry);
+            try {
+                await callHook(plugin, "onLoad");
+            } catch (e) {
+                plugin.releaseResources();
+                this.databases.delete(plugin);
+                throw e;
+            }
             this.log.debug(pluginName + " loaded correctly.");
             this.addPlugin(plugin);
+            this.conversations.attach(plugin.plugin.name);
             if (persist) {
                 this.config.activePlugins.push(pluginName);
                 fs.writeFileSync("config.json", JSON.stringify(this.config, null, 4));
@@ -298,95 +562,264 @@ Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how
         }
     }
 
-    // Load and add every plugin in the list.
-    loadPlugins(pluginNames, persist = true) {
+    /* Works out which plugins to load, and in which order, so that every plugin
+     * comes after the plugins it `requires` (and after its `optionalRequires`, if
+     * they are being loaded too).
+     * Missing dependencies are added to the list, unless "autoEnableDependencies"
+     * is set to false in config.json.
+     * Returns {order, errors}: `order` lists {name, entry, requires, optionalRequires}
+     * in load order (`entry` is from PluginDiscovery), `errors` maps lowercase
+     * plugin names to the Error explaining why they can't be loaded.
+     */
+    planLoad(pluginNames) {
+        const entries = PluginDiscovery.discover(this.config);
+        const autoEnable = this.config.autoEnableDependencies !== false;
+        const isLoaded = name => this.plugins.some(nameMatches(name));
+        const infos = new Map();
+        const errors = {};
+
+        const queue = pluginNames.slice();
+        while (queue.length > 0) {
+            const name = queue.shift();
+            const key = name.toLowerCase();
+            if (infos.has(key) || key in errors) continue;
+            try {
+                const entry = PluginDiscovery.find(name, this.config, entries);
+                const declared = PluginDiscovery.requirePlugin(entry.path).plugin;
+                infos.set(key, {
+                    name: entry.name,
+                    entry,
+                    requires: declared.requires || [],
+                    optionalRequires: declared.optionalRequires || []
+                });
+            } catch (e) {
+                errors[key] = e;
+                continue;
+            }
+            if (!autoEnable) continue;
+            for (const dependency of infos.get(key).requires) {
+                if (isLoaded(dependency) || queue.concat(pluginNames).some(it => it.toLowerCase() === dependency.toLowerCase()))
+                    continue;
+                this.log.info(`Enabling ${dependency}, required by ${name}`);
+                queue.push(dependency);
+            }
+        }
+
+        // Depth-first topological sort
+        const order = [];
+        const done = new Set();
+        const visit = (key, path) => {
+            if (done.has(key)) return true;
+            if (key in errors) return false;
+            const info = infos.get(key);
+            if (path.includes(key)) {
+                errors[key] = new Error(`Circular dependency: ${path.concat(key).map(it => infos.get(it).name).join(" -> ")}`);
+                return false;
+            }
+            for (const dependency of info.requires) {
+                const dependencyKey = dependency.toLowerCase();
+                if (isLoaded(dependency)) continue;
+                if (!infos.has(dependencyKey)) {
+                    const reason = (dependencyKey in errors) ? errors[dependencyKey].message : "it is not enabled";
+                    errors[key] = new Error(`${info.name} requires ${dependency}, but ${reason}`);
+                    return false;
+                }
+                if (!visit(dependencyKey, path.concat(key))) {
+                    if (!(key in errors))
+                        errors[key] = new Error(`${info.name} requires ${dependency}, which couldn't be loaded: ${errors[dependencyKey].message}`);
+                    return false;
+                }
+            }
+            for (const dependency of info.optionalRequires) {
+                if (infos.has(dependency.toLowerCase()))
+                    visit(dependency.toLowerCase(), path.concat(key));
+            }
+            done.add(key);
+            order.push(info);
+            return true;
+        };
+        for (const key of infos.keys())
+            visit(key, []);
+
+        return {order, errors};
+    }
+
+    /* Loads a plugin along with its dependencies.
+     * Returns the names of the plugins that were loaded; throws if the plugin can't be loaded.
+     */
+    async enablePlugin(pluginName, persist = true) {
+        const {order, errors} = this.planLoad([pluginName]);
+        const error = errors[pluginName.toLowerCase()];
+        if (error)
+            throw error;
+        for (const {name, entry} of order)
+            await this.loadAndAdd(name, persist, entry);
+        return order.map(({name}) => name);
+    }
+
+    // Load and add every plugin in the list, along with their dependencies.
+    async loadPlugins(pluginNames, persist = true) {
         this.log.verbose(`Loading and adding ${pluginNames.length} plugins...`);
         Error.stackTraceLimit = 5; // Avoid printing useless data in stack traces
 
-        const log = pluginNames.map(name => {
+        const {order, errors} = this.planLoad(pluginNames);
+        const failed = Object.keys(errors);
+        for (const key of failed)
+            this.log.warn(errors[key]);
+        this.keepLegacyDefaults(order);
+
+        for (const {name, entry, requires} of order) {
+            const failedDependency = requires.find(dependency => failed.includes(dependency.toLowerCase()));
+            if (failedDependency) {
+                this.log.warn(`Not loading ${name}: its dependency ${failedDependency} failed to load.`);
+                failed.push(name.toLowerCase());
+                continue;
+            }
             try {
-                this.loadAndAdd(name, persist);
-                return true;
+                await this.loadAndAdd(name, persist, entry);
             } catch (e) {
                 this.log.warn(e);
-                return false;
+                failed.push(name.toLowerCase());
             }
-        });
-        if (log.some(result => result !== true)) {
+        }
+        if (failed.length > 0) {
             this.log.warn("Some plugins couldn't be loaded.");
         }
 
         Error.stackTraceLimit = 10; // Reset to default value
     }
 
-    // Returns true if at least one plugin was removed
-    removePlugin(pluginName, persist = true) {
+    /* Configurations from before per-plugin defaults have no "chatDefaults":
+     * back then, the plugins that are now off by default were on in every
+     * chat, and they stay so until the owners use /plugindefault.
+     */
+    keepLegacyDefaults(order) {
+        if ("chatDefaults" in this.config) return;
+        const chatDefaults = {};
+        for (const {entry} of order) {
+            const declared = PluginDiscovery.requirePlugin(entry.path).plugin;
+            if (declared.enabledByDefault !== false) continue;
+            chatDefaults[declared.name] = true;
+            this.log.info(`${declared.name} is now off by default, but stays on in every chat: use "/plugindefault ${entry.name} off" to change that.`);
+        }
+        this.config.chatDefaults = chatDefaults;
+        fs.writeFileSync("config.json", JSON.stringify(this.config, null, 4));
+    }
+
+    // Returns the names of the loaded plugins that require the given one.
+    getDependents(pluginName) {
+        return this.plugins
+            .filter(pl => (pl.plugin.requires || []).some(dependency => dependency.toLowerCase() === pluginName.toLowerCase()))
+            .map(pl => pl.plugin.name);
+    }
+
+    // Runs the plugin's teardown hooks; errors are logged rather than thrown.
+    async unloadPlugin(plugin) {
+        try {
+            await callHook(plugin, "onUnload");
+            await callHook(plugin, "stop");
+        } catch (e) {
+            this.log.error(`Error while unloading ${plugin.plugin.name}:`, e);
+        }
+        plugin.releaseResources();
+        this.conversations.release(plugin.plugin.name);
+    }
+
+    // Resolves to true if at least one plugin was removed
+    async removePlugin(pluginName, persist = true) {
         this.log.verbose(`Removing plugin ${pluginName}`);
         if (persist) {
-            this.config.activePlugins = this.config.activePlugins.filter(name => !nameMatches(name));
+            this.config.activePlugins = this.config.activePlugins.filter(name => name.toLowerCase() !== pluginName.toLowerCase());
             fs.writeFileSync("config.json", JSON.stringify(this.config, null, 4));
         }
-        const prevPluginNum = this.plugins.length;
         const isCurrentPlugin = nameMatches(pluginName);
-        this.plugins.filter(isCurrentPlugin).forEach(pl => pl.stop());
+        const removed = this.plugins.filter(isCurrentPlugin);
+        // Stop delivering updates before tearing the plugins down
         this.plugins = this.plugins.filter(pl => !isCurrentPlugin(pl));
-        const curPluginNum = this.plugins.length;
-        return (prevPluginNum - curPluginNum) > 0;
+        for (const pl of removed) {
+            await this.unloadPlugin(pl);
+            await this.synchronizePlugin(pl);
+            this.databases.delete(pl);
+        }
+        return removed.length > 0;
     }
 
+    // Unloads every plugin; their databases are written by stopSynchronization.
     stopPlugins() {
-        return Promise.all(this.plugins.map(pl => pl.stop()));
-    }
-
-    static getDatabasePath(pluginName) {
-        return path.join(__dirname, "..", "db", "plugin_" + pluginName + ".json");
+        return Promise.all(this.plugins.map(pl => this.unloadPlugin(pl)));
     }
 
     startSynchronization() {
-        this.synchronizationInterval = setInterval(() => {
-            this.log.debug("Starting synchronization");
-            this.auth.synchronize();
-            this.plugins.forEach(plugin => {
-                fs.writeFile(
-                    PluginManager.getDatabasePath(plugin.plugin.name),
-                    JSON.stringify({
-                        db: plugin.db,
-                        blacklist: Array.from(plugin.blacklist)
-                    }),
-                    err => {
-                        if (err) {
-                            this.log.error("Error synchronizing the database", err);
-                        }
-                    }
-                );
-            });
-        }, SYNC_INTERVAL);
+        this.synchronizationInterval = setInterval(() => this.synchronize(), SYNC_INTERVAL);
     }
 
+    // Stops the periodic synchronization, and writes any pending changes.
     stopSynchronization() {
         if (this.synchronizationInterval) {
             clearInterval(this.synchronizationInterval);
         }
+        return this.synchronize();
+    }
+
+    synchronize() {
+        this.log.debug("Starting synchronization");
+        const authPromise = this.auth.synchronize()
+            .catch(err => this.log.error("Error synchronizing the auth database", err));
+        const cooldownsPromise = this.cooldowns.synchronize()
+            .catch(err => this.log.error("Error synchronizing the cooldowns", err));
+        const callbacksPromise = this.callbackStore.synchronize()
+            .catch(err => this.log.error("Error synchronizing the callback payloads", err));
+        return Promise.all([authPromise, cooldownsPromise, callbacksPromise].concat(this.plugins.map(plugin => this.synchronizePlugin(plugin))));
     }
 
-    emit(event, message) {
+    // Writes the keys that changed since the last synchronization.
+    synchronizePlugin(plugin) {
+        const database = this.databases.get(plugin);
+        if (!database) return Promise.resolve();
+
+        let changedKeys;
+        if (plugin.db === database.tracker.proxy) {
+            changedKeys = database.tracker.flush();
+        } else {
+            // The plugin replaced its database object: write it whole, and track it from now on.
+            database.tracker = new Storage.ChangeTracker(plugin.db);
+            plugin.db = database.tracker.proxy;
+            changedKeys = null;
+        }
+        const blacklist = Array.from(plugin.blacklist);
+        const whitelist = Array.from(plugin.whitelist);
+        const chatLists = JSON.stringify({blacklist, whitelist});
+        if (changedKeys && changedKeys.size === 0 && chatLists === database.chatLists)
+            return database.pending;
+        database.chatLists = chatLists;
+
+        // Saves are serialized, so that an adapter never writes the same file twice at once.
+        database.pending = database.pending
+            .then(() => database.storage.save(database.tracker.target, changedKeys, blacklist, whitelist))
+            .catch(err => this.log.error("Error synchronizing the database", err));
+        return database.pending;
+    }
+
+    // Emits the event in ctx (see helpers/Middleware.js) to the plugins.
+    emit(event, {message, state}) {
         this.log.debug(`Triggered event ${event}`);
 
         let cmdPromise;
-        if (event !== "message") {
+        if (event !== "message" && (!UPDATE_EVENTS.includes(event) || COMMAND_UPDATE_EVENTS.includes(event))) {
             // Command emitter
             if (messageIsCommand(message)) {
-                const {command, args} = parseCommand(message);
-                cmdPromise = this._emit("_command", {message, command, args});
-            } else if (message.query !== undefined) {
+                const {command, args, tokens} = parseCommand(message);
+                cmdPromise = this.dispatchCommand({message, command, args, tokens, state});
+            } else if (event === "inline_query") {
                 const parts = message.query.split(" ");
                 const command = parts[0].toLowerCase();
                 const args = parts.length > 1 ? parts.slice(1) : [];
-                cmdPromise = this._emit("_inline_command", {message, command, args});
+                const tokens = Arguments.tokenize(message.query).slice(1);
+                cmdPromise = this.answerInlineQuery({message, command, args, tokens, state});
             }
         }
 
-        const msgPromise = this._emit(event, {message});
+        const msgPromise = this._emit(event, {message, state});
         return Promise.all([cmdPromise, msgPromise]);
     }
 
@@ -396,18 +829,186 @@ Nikoro is a plugin-based Telegram bot. To get started, use /help to find out how
             // If the plugin exposes a listener
             .filter(pl => handlerName in pl)
             // If the plugin is disabled in this chat
-            .filter(pl => ("chat" in data.message) && !pl.blacklist.has(data.message.chat.id))
-            .map(pl => {
-                try {
-                    const ret = pl[handlerName](data)
-                    const smartReply = pl.smartReply.bind(pl);
-                    if (ret && ret.then)
-                        return ret.then(x => smartReply(x, data.message));
-                    return smartReply(ret, data.message);
-                } catch (e) {
-                    return Promise.reject(e);
-                }
-            })
+            .filter(isEnabledIn(data.message))
+            .map(pl => PluginManager.callHandler(pl, pl[handlerName], data))
         );
     }
+
+    /* Answers an inline query with the results returned by the plugins'
+     * onInlineCommand handlers (arrays of InlineQueryResult, without IDs), a
+     * page at a time. The handlers run once the user stops typing, and their
+     * results are cached per user and query text, so that the next pages don't
+     * run them again. If no handler returns results, the query is left to the plugins
+     * that answer it by themselves.
+     */
+    async answerInlineQuery(data) {
+        const query = data.message;
+        let results = this.inlineQueries.get(query);
+        if (!results) {
+            // Next pages are only requested once the user stopped typing
+            if (!query.offset && !(await this.inlineQueries.debounce(query)))
+                return;
+            const contributions = await Promise.all(this.plugins
+                .filter(pl => "onInlineCommand" in pl)
+                .map(pl => Promise.resolve()
+                    .then(() => pl.onInlineCommand(data))
+                    .catch(e => {
+                        this.errorReporter.report(e, {plugin: pl.plugin.name, event: "inline_query", message: query});
+                        return [];
+                    })
+                    .then(ret => ({plugin: pl.plugin.name, results: ret}))
+                ));
+            const returned = contributions.filter(it => Array.isArray(it.results));
+            if (returned.length === 0) return;
+            results = InlineQueries.merge(returned);
+            this.inlineQueries.set(query, results);
+        }
+        const page = this.inlineQueries.page(results, query.offset);
+        return this.bot.answerInlineQuery(query.id, page.results, {
+            cache_time: this.inlineQueries.options.cacheTime,
+            // Telegram would otherwise show one user's results to the others
+            is_personal: true,
+            next_offset: page.nextOffset
+        });
+    }
+
+    /* Runs the command handlers one plugin at a time, stopping once the command
+     * is claimed: declaring the command in `commands` claims it, and onCommand
+     * handlers can claim it by calling stopPropagation().
+     * An error in one handler doesn't prevent the others from running.
+     */
+    async dispatchCommand(data) {
+        const {message, command} = data;
+        let claimed = false;
+        const stopPropagation = () => {
+            claimed = true;
+        };
+        const plugins = this.plugins.filter(isEnabledIn(message));
+        const run = (plugin, fn) => fn().catch(e => this.errorReporter.report(e, {
+            plugin: plugin.plugin.name,
+            event: "/" + command,
+            message
+        }));
+
+        if (!this.checkCooldown(plugins, data))
+            return;
+
+        const owner = plugins.find(pl => commandsOf(pl)[command]);
+        if (owner)
+            return run(owner, () => this.runCommand(owner, commandsOf(owner)[command], Object.assign({stopPropagation}, data)));
+
+        for (const pl of plugins.filter(pl => "onCommand" in pl)) {
+            await run(pl, () => PluginManager.callHandler(pl, pl.onCommand, Object.assign({stopPropagation}, data)));
+            if (claimed) {
+                this.log.debug(`/${command} claimed by ${pl.plugin.name}`);
+                break;
+            }
+        }
+    }
+
+    /* Returns false if the command is cooling down for this user or chat, in
+     * which case the user may be told when to try again. Owners are exempt.
+     */
+    checkCooldown(plugins, {message, command}) {
+        const pluginRule = plugins.map(pl => cooldownOf(pl, command)).find(rule => rule !== undefined);
+        const rule = this.cooldowns.rule(command, message.chat.id, pluginRule);
+        if (message.from && this.auth.isOwner(message.from.id))
+            return true;
+        const userID = message.from ? message.from.id : undefined;
+        const secondsLeft = this.cooldowns.hit(command, message.chat.id, userID, rule);
+        if (secondsLeft === 0)
+            return true;
+        this.log.verbose(`/${command} is cooling down in ${message.chat.id} (${secondsLeft}s left)`);
+        if (rule.notify !== false && this.cooldowns.shouldNotify(command, message.chat.id, userID, secondsLeft))
+            this.sendMessage(message.chat.id, `Try again in ${secondsLeft}s.`, {reply_to_message_id: message.message_id})
+                .catch(e => this.errorReporter.report(e, {event: "/" + command, message}));
+        return false;
+    }
+
+    /* Syntax: /cooldown [command [user|chat seconds | notify on|off | reset]]
+     * Chat admins can change the cooldowns of their chat.
+     */
+    processCooldown(message, [command, scope, value]) {
+        const syntax = "Syntax: `/cooldown [command [user|chat seconds | notify on|off | reset]]`";
+        const chatID = message.chat.id;
+        const describe = name => {
+            const pluginRule = this.plugins.map(pl => cooldownOf(pl, name)).find(rule => rule !== undefined);
+            const rule = this.cooldowns.rule(name, chatID, pluginRule);
+            const parts = Cooldowns.SCOPES
+                .filter(it => rule[it] > 0)
+                .map(it => `${rule[it]}s per ${it}`);
+            return `${md.code("/" + name)}: ${parts.join(", ") || "no cooldown"}` + (rule.notify === false ? " (silent)" : "");
+        };
+
+        if (!command) {
+            const declared = new Set(this.cooldowns.customizedIn(chatID).concat(Object.keys(this.config.cooldowns || {})));
+            for (const pl of this.plugins) {
+                Object.keys(pl.plugin.cooldowns || {})
+                    .concat(Object.keys(commandsOf(pl)))
+                    .filter(name => cooldownOf(pl, name) !== undefined)
+                    .forEach(name => declared.add(name));
+            }
+            if (declared.size === 0)
+                return "No cooldowns in this chat.\n\n" + syntax;
+            return "Cooldowns in this chat:\n" + Array.from(declared).sort().map(describe).join("\n");
+        }
+        command = command.replace(/^\//, "").toLowerCase();
+        if (!scope)
+            return describe(command);
+
+        if (!message.from || !this.auth.isChatAdmin(message.from.id, chatID))
+            return "Insufficient privileges (chat admin required).";
+        if (scope === "reset") {
+            this.cooldowns.reset(chatID, command);
+        } else if (scope === "notify" && (value === "on" || value === "off")) {
+            this.cooldowns.set(chatID, command, "notify", value === "on");
+        } else if (Cooldowns.SCOPES.includes(scope) && /^\d+$/.test(value)) {
+            this.cooldowns.set(chatID, command, scope, Number(value));
+        } else {
+            return syntax;
+        }
+        return describe(command);
+    }
+
+    runCommand(plugin, declaration, {message, command, args, tokens, state}) {
+        // Channel posts have no sender, but only admins can post in channels
+        const isOwner = Boolean(message.from) && this.auth.isOwner(message.from.id);
+        const isChatAdmin = message.from ? this.auth.isChatAdmin(message.from.id, message.chat.id) : message.chat.type === "channel";
+        if (declaration.privilege === "owner" && !isOwner)
+            return plugin.smartReply("Insufficient privileges (owner required).", message);
+        if (declaration.privilege === "admin" && !isChatAdmin)
+            return plugin.smartReply("Insufficient privileges (chat admin required).", message);
+
+        let params;
+        try {
+            params = Arguments.parse(declaration.args, tokens.map(token => token.value), message, tokens);
+        } catch (e) {
+            if (!(e instanceof Arguments.ArgumentError))
+                return Promise.reject(e);
+            return plugin.smartReply({
+                type: "text",
+                text: `${e.message}\n\nSyntax: \`${Arguments.usage(command, declaration.args)}\``,
+                options: {parse_mode: "Markdown"}
+            }, message);
+        }
+
+        return PluginManager.callHandler(plugin, declaration.handler, {message, command, args, tokens, params, state});
+    }
+
+    // Calls a handler, and sends whatever it returns as a reply.
+    static callHandler(plugin, handler, data) {
+        const rejectWith = e => {
+            tagError(e, plugin);
+            return Promise.reject(e);
+        };
+        try {
+            const ret = handler.call(plugin, data);
+            const smartReply = plugin.smartReply.bind(plugin);
+            if (ret && ret.then)
+                return ret.then(x => smartReply(x, data.message)).catch(rejectWith);
+            return Promise.resolve(smartReply(ret, data.message)).catch(rejectWith);
+        } catch (e) {
+            return rejectWith(e);
+        }
+    }
 };
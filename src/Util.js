@@ -6,9 +6,8 @@
     which could be used when developing plugins
 */
 
-const request = require("request");
-const fs = require("fs");
 const Logger = require("./Log");
+const Http = require("./helpers/Http");
 const log = new Logger("Util", {loggingLevel: "info"}); // todo: figure out how to manage this
 
 /* Because of architectural reasons (i.e. being able to synchronize the db), this
@@ -43,6 +42,9 @@ class NameResolver {
 
 const nameResolver = new NameResolver();
 
+// The HTTP client plugins should use, see helpers/Http.js
+const http = new Http();
+
 /* Makes it possible to run commands (eg. /ignore) both as "/ignore username", "/ignore ID",
  * or replying "/ignore" to a message sent by @username.
  */
@@ -90,21 +92,23 @@ function makeUUID() {
     );
 }
 
-// `callback` receives the temporary path (eg. /tmp/notavirus.exe).
+// Media can be much larger than API responses: Telegram takes files up to 50 MB
+const TEMP_RESOURCE_OPTIONS = {maxSize: 50 * 1024 * 1024, timeout: 2 * 60 * 1000};
+
+/* `callback` receives the temporary path (eg. /tmp/notavirus.exe), or
+ * undefined and the error if the download failed.
+ */
 function downloadAndSaveTempResource(url, extension, callback) {
     log.warn("Using deprecated function Util.downloadAndSaveTempResource; can you use this.sendPhoto directly?");
     log.info(`Downloading and saving resource from ${url}`);
 
     const fn = `/tmp/${makeUUID()}.${extension}`;
 
-    request({
-        url,
-        headers: {
-            "User-Agent": "stagefright/1.2 (Linux;Android 5.0)"
-        }
-    })
-        .pipe(fs.createWriteStream(fn))
-        .on("close", () => callback(fn));
+    http.download(url, fn, TEMP_RESOURCE_OPTIONS)
+        .then(() => callback(fn), err => {
+            log.error(`Couldn't download ${url}`, err);
+            callback(undefined, err);
+        });
 }
 
 function buildPrettyUserName(user) {
@@ -139,6 +143,56 @@ function buildPrettyChatName(chat) {
     return name.trim();
 }
 
+const durationUnits = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/* Parses durations such as "90s", "10m", "2h30m" or "1d" into milliseconds.
+ * A bare number is taken as seconds. Returns NaN for invalid input.
+ */
+function parseDuration(str) {
+    if (/^\d+$/.test(str))
+        return Number(str) * 1000;
+    if (!/^(\d+[smhdw])+$/i.test(str))
+        return NaN;
+    let total = 0;
+    const re = /(\d+)([smhdw])/gi;
+    let match;
+    while ((match = re.exec(str)) !== null)
+        total += Number(match[1]) * durationUnits[match[2].toLowerCase()];
+    return total;
+}
+
+// The inverse of parseDuration, eg. 9000000 => "2h30m".
+function formatDuration(ms) {
+    const units = ["w", "d", "h", "m", "s"];
+    let rest = Math.round(ms / 1000) * 1000;
+    let str = "";
+    for (const unit of units) {
+        const n = Math.floor(rest / durationUnits[unit]);
+        if (n === 0) continue;
+        str += n + unit;
+        rest -= n * durationUnits[unit];
+    }
+    return str || "0s";
+}
+
+/* Telegram restricts users forever when the restriction ends in less than
+ * 30 seconds (the minimum leaves room for the request to get there) or in
+ * more than 366 days.
+ */
+const MIN_RESTRICTION = 40 * 1000;
+const MAX_RESTRICTION = 366 * durationUnits.d;
+
+// The until_date of a restriction that ends at `time`, lengthened if it is too short.
+function restrictionDate(time) {
+    return Math.ceil(Math.max(time, Date.now() + MIN_RESTRICTION) / 1000);
+}
+
 const escapeHTML = str => str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 
 function makeHTMLLink(title, url) {
@@ -148,14 +202,67 @@ function makeHTMLLink(title, url) {
     return `<a href="${url}">${escapeHTML(title)}</a>`;
 }
 
+const escapeMarkdown = str => String(str).replace(/[_*`\[]/g, "\\$&");
+
+function userDisplayName(user) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ");
+    return name || (user.username ? "@" + user.username : String(user.id));
+}
+
+/* Formatting helpers that escape user-supplied text, for the given parse mode
+ * ("Markdown" or "HTML"):
+ *
+ *     const f = Util.formatter("Markdown");
+ *     const text = `${f.bold("Username")}: ${f.mention(message.from)}, ${f.escape(whatever)}`;
+ *
+ * Markdown entities can't contain their own delimiter, not even escaped, so
+ * it is dropped (or replaced, in code blocks).
+ */
+const formatters = {
+    markdown: {
+        escape: escapeMarkdown,
+        bold: str => `*${String(str).replace(/\*/g, "")}*`,
+        italic: str => `_${String(str).replace(/_/g, "")}_`,
+        code: str => "`" + String(str).replace(/`/g, "'") + "`",
+        pre: str => "```\n" + String(str).replace(/```/g, "'''") + "\n```",
+        link: (title, url) => `[${String(title).replace(/[\[\]]/g, "")}](${String(url).replace(/\)/g, "%29")})`,
+        mention: user => formatters.markdown.link(userDisplayName(user), `tg://user?id=${user.id}`)
+    },
+    html: {
+        escape: str => escapeHTML(String(str)),
+        bold: str => `<b>${escapeHTML(String(str))}</b>`,
+        italic: str => `<i>${escapeHTML(String(str))}</i>`,
+        code: str => `<code>${escapeHTML(String(str))}</code>`,
+        pre: str => `<pre>${escapeHTML(String(str))}</pre>`,
+        link: (title, url) => `<a href="${escapeHTML(String(url)).replace(/"/g, "&quot;")}">${escapeHTML(String(title))}</a>`,
+        mention: user => formatters.html.link(userDisplayName(user), `tg://user?id=${user.id}`)
+    }
+};
+
+function formatter(parseMode) {
+    const mode = String(parseMode).toLowerCase();
+    if (!(mode in formatters))
+        throw new Error(`Unsupported parse mode ${parseMode}`);
+    return formatters[mode];
+}
+
 module.exports = {
     nameResolver,
+    http,
     getTargetID,
     escapeRegExp,
     escapeHTML,
+    escapeMarkdown,
+    formatter,
+    userDisplayName,
     makeUUID,
     downloadAndSaveTempResource,
     buildPrettyUserName,
     buildPrettyChatName,
-    makeHTMLLink
+    makeHTMLLink,
+    parseDuration,
+    formatDuration,
+    MIN_RESTRICTION,
+    MAX_RESTRICTION,
+    restrictionDate
 };
\ No newline at end of file
@@ -0,0 +1,204 @@
+/* Splits and parses command arguments.
+ *
+ * tokenize() splits the text after a command into arguments, shell-style:
+ * "double" or 'single' quotes group words, a backslash escapes whitespace,
+ * quotes and itself, and message entities (links, code spans, mentions of
+ * users without a username...) are always kept as a single argument.
+ *
+ * parse() checks arguments against the declarations in a plugin's `commands`
+ * (see Plugin.js). Each argument is declared as
+ *
+ *     {name: "target", type: "user", optional: false, description: "..."}
+ *
+ * Supported types:
+ *  - string: a single word;
+ *  - integer: a whole number;
+ *  - duration: eg. "90s", "10m", "2h30m", "1d", parsed to milliseconds;
+ *  - user: a user ID or @username; can be omitted when replying to the user's message;
+ *  - text: the rest of the message, as typed (must be the last argument).
+ */
+
+const Util = require("../Util");
+
+class ArgumentError extends Error {}
+
+// Entities that must never be split, nor have quotes or backslashes interpreted.
+const atomicEntities = ["url", "email", "code", "pre", "text_mention", "text_link", "mention", "hashtag"];
+
+/* Returns the arguments found in text, starting at the given offset, as a list
+ * of {value, offset, length, entity}: `offset` and `length` locate the
+ * argument in the original text (quotes included), and `entity` is set if
+ * the argument is a message entity.
+ */
+function tokenize(text, entities = [], from = 0) {
+    const tokens = [];
+    const entityAt = new Map(entities
+        .filter(e => atomicEntities.includes(e.type))
+        .map(e => [e.offset, e]));
+    let i = from;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+        const start = i;
+
+        const entity = entityAt.get(i);
+        if (entity) {
+            i += entity.length;
+            tokens.push({value: text.substr(start, entity.length), offset: start, length: entity.length, entity});
+            continue;
+        }
+
+        let value = "";
+        // Quotes only open at the start of an argument, so that eg. "don't" stays as it is.
+        const quote = text[i];
+        if (quote === "\"" || quote === "'") {
+            i++;
+            while (i < text.length && text[i] !== quote) {
+                if (quote === "\"" && text[i] === "\\" && /["\\]/.test(text[i + 1]))
+                    i++;
+                value += text[i++];
+            }
+            if (i < text.length) {
+                i++; // Skip the closing quote
+            } else {
+                // Unterminated quote: take it literally.
+                i = start;
+                value = "";
+            }
+        }
+        while (i < text.length && !/\s/.test(text[i])) {
+            if (text[i] === "\\" && i + 1 < text.length && /[\s"'\\]/.test(text[i + 1]))
+                i++;
+            value += text[i++];
+        }
+        tokens.push({value, offset: start, length: i - start});
+    }
+    return tokens;
+}
+
+function isTextMention(token) {
+    return Boolean(token && token.entity && token.entity.type === "text_mention");
+}
+
+function looksLikeUser(str, token) {
+    return isTextMention(token) || /^\d+$/.test(str) || /^@[a-z0-9_]+$/i.test(str);
+}
+
+function replyTarget(message) {
+    const reply = message.reply_to_message;
+    if (!reply) return undefined;
+    if (reply.new_chat_participant)
+        return reply.new_chat_participant.id;
+    if (reply.left_chat_participant)
+        return reply.left_chat_participant.id;
+    return reply.from && reply.from.id;
+}
+
+const types = {
+    string(str, arg) {
+        if (str === undefined)
+            throw new ArgumentError(`Missing argument <${arg.name}>.`);
+        return str;
+    },
+
+    integer(str, arg) {
+        if (!/^-?\d+$/.test(str || ""))
+            throw new ArgumentError(`<${arg.name}> must be a whole number.`);
+        return Number(str);
+    },
+
+    duration(str, arg) {
+        const ms = Util.parseDuration(str || "");
+        if (isNaN(ms))
+            throw new ArgumentError(`<${arg.name}> must be a duration, eg. 90s, 10m or 2h30m.`);
+        return ms;
+    },
+
+    user(str, arg) {
+        if (/^\d+$/.test(str || ""))
+            return Number(str);
+        if (!/^@[a-z0-9_]+$/i.test(str || ""))
+            throw new ArgumentError(`<${arg.name}> must be a user ID or @username, or you can reply to the user's message.`);
+        let target;
+        try {
+            target = Number(Util.nameResolver.getUserIDFromUsername(str));
+        } catch (e) {
+            throw new ArgumentError("Couldn't resolve username. Did you /enable UserInfo?");
+        }
+        if (!target)
+            throw new ArgumentError("I've never seen that username.");
+        return target;
+    }
+};
+
+/* Returns an object mapping argument names to their parsed values.
+ * Throws an ArgumentError if the input doesn't match the declaration.
+ * `tokens` (from tokenize()) is optional: without it, "text" arguments are
+ * rebuilt by joining the words with spaces.
+ */
+function parse(declaredArgs = [], args, message, tokens) {
+    const params = {};
+    let i = 0;
+    for (const arg of declaredArgs) {
+        if (arg.type === "text") {
+            let text;
+            if (tokens && message.text)
+                text = (i < tokens.length) ? message.text.slice(tokens[i].offset) : "";
+            else
+                text = args.slice(i).join(" ");
+            i = args.length;
+            if (text === "" && !arg.optional)
+                throw new ArgumentError(`Missing argument <${arg.name}>.`);
+            params[arg.name] = text === "" ? undefined : text;
+            continue;
+        }
+
+        const token = tokens && tokens[i];
+        if (arg.type === "user" && isTextMention(token)) {
+            params[arg.name] = token.entity.user.id;
+            i++;
+            continue;
+        }
+        if (arg.type === "user" && !looksLikeUser(args[i], token)) {
+            const target = replyTarget(message);
+            if (target !== undefined) {
+                params[arg.name] = target;
+                continue;
+            }
+        }
+
+        if (args[i] === undefined) {
+            if (!arg.optional)
+                throw new ArgumentError(`Missing argument <${arg.name}>.`);
+            params[arg.name] = undefined;
+            continue;
+        }
+
+        const parser = types[arg.type || "string"];
+        if (!parser)
+            throw new Error(`Unknown argument type "${arg.type}"`);
+        params[arg.name] = parser(args[i], arg);
+        i++;
+    }
+
+    if (i < args.length)
+        throw new ArgumentError("Too many arguments.");
+    return params;
+}
+
+// Eg. "/remind <when> <text>" or "/quote [id]".
+function usage(commandName, declaredArgs = []) {
+    return ["/" + commandName]
+        .concat(declaredArgs.map(arg => arg.optional ? `[${arg.name}]` : `<${arg.name}>`))
+        .join(" ");
+}
+
+module.exports = {
+    ArgumentError,
+    types,
+    tokenize,
+    parse,
+    usage
+};
@@ -1,5 +1,8 @@
-const fs = require("fs");
+/* eslint no-sync: 0 */
 const assert = require("assert");
+const AtomicFile = require("../storage/AtomicFile");
+
+const dbPath = "./db/helper_Auth.json";
 
 // https://stackoverflow.com/a/1584377
 Array.prototype.unique = function() {
@@ -17,8 +20,9 @@ Array.prototype.unique = function() {
 module.exports = class Auth {
     constructor(config, logger) {
         try {
-            const data = fs.readFileSync("./db/helper_Auth.json", "utf-8");
-            this.db = JSON.parse(data);
+            this.db = AtomicFile.readSync(dbPath);
+            if (!this.db)
+                throw new Error("helper_Auth.json does not exist");
             this.db._owners = this.db._owners.concat(config.owners).unique();
         } catch (err) {
             logger.warn(err);
@@ -31,13 +35,7 @@ module.exports = class Auth {
     }
 
     synchronize() {
-        fs.writeFile(
-            "./db/helper_Auth.json",
-            JSON.stringify(this.db),
-            err => {
-                if (err) throw err;
-            }
-        );
+        return AtomicFile.write(dbPath, JSON.stringify(this.db));
     }
 
     isChatAdmin(_userId, _chatId) {
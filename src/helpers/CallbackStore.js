@@ -0,0 +1,67 @@
+/* eslint no-sync: 0 */
+const path = require("path");
+const crypto = require("crypto");
+const AtomicFile = require("../storage/AtomicFile");
+
+const defaultDbPath = path.join(__dirname, "../../db/helper_Callbacks.json");
+
+// Buttons usually stay around for a while: keep their payloads for a month by default
+const DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/* Stores callback payloads server-side, behind short random tokens, because
+ * Telegram limits callback_data to 64 bytes. Payloads must be serializable,
+ * and are forgotten after their TTL. New payloads are written to disk by
+ * synchronize(), along with the other databases.
+ */
+module.exports = class CallbackStore {
+    constructor({dbPath = defaultDbPath} = {}) {
+        this.dbPath = dbPath;
+        // Maps tokens to {payload, expires}
+        this.entries = AtomicFile.readSync(this.dbPath) || {};
+        this.dirty = false;
+        this.prune();
+    }
+
+    // Stores the payload, and returns its token.
+    put(payload, ttl = DEFAULT_TTL) {
+        let token;
+        do {
+            // 6 bytes make 8 base64 characters; "-" and "_" rather than "+" and "/"
+            token = crypto.randomBytes(6).toString("base64").replace(/\+/g, "-").replace(/\//g, "_");
+        } while (token in this.entries);
+        this.entries[token] = {payload, expires: Date.now() + ttl};
+        this.dirty = true;
+        return token;
+    }
+
+    // Returns the payload, or undefined if the token is unknown or expired.
+    get(token) {
+        const entry = this.entries[token];
+        if (!entry || entry.expires < Date.now())
+            return undefined;
+        return entry.payload;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const token of Object.keys(this.entries)) {
+            if (this.entries[token].expires < now)
+                delete this.entries[token];
+        }
+    }
+
+    synchronize() {
+        if (!this.dirty)
+            return Promise.resolve();
+        this.prune();
+        this.dirty = false;
+        return AtomicFile.write(this.dbPath, JSON.stringify(this.entries))
+            .catch(err => {
+                // The payloads are still in memory; the next synchronization will retry
+                this.dirty = true;
+                throw err;
+            });
+    }
+};
+
+module.exports.DEFAULT_TTL = DEFAULT_TTL;
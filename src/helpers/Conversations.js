@@ -0,0 +1,172 @@
+/* eslint no-sync: 0 */
+const path = require("path");
+const AtomicFile = require("../storage/AtomicFile");
+const Logger = require("../Log");
+const log = new Logger("Conversations", {loggingLevel: "info"});
+
+const defaultDbPath = path.join(__dirname, "../../db/helper_Conversations.json");
+
+// setTimeout can only schedule 2^31 - 1 ms in the future
+const MAX_TIMEOUT = Math.pow(2, 31) - 1;
+
+// The message types a conversation can wait for, see Plugin.handlerNames
+const MESSAGE_TYPES = ["text", "audio", "contact", "document", "location", "photo", "sticker", "video", "video_note", "voice"];
+
+/* Keeps track of plugins waiting for the next message from a user (or from
+ * anyone) in a chat; see Plugin#waitForMessage.
+ *
+ * Conversations with a `resume` name are written to disk: after a restart the
+ * awaiting code is gone, so the answer (or null, on timeout) is handed to
+ * `onResume(conversation, message)` instead, which calls the plugin's
+ * conversationHandlers[resume]. Their timeouts only run while the plugin is
+ * loaded (see attach and release).
+ */
+module.exports = class Conversations {
+    constructor({dbPath = defaultDbPath, onResume = () => {}, getFilter = () => undefined} = {}) {
+        this.dbPath = dbPath;
+        this.onResume = onResume;
+        // Returns the plugin's conversationFilters[name], given the plugin's name
+        this.getFilter = getFilter;
+        this.pending = AtomicFile.readSync(this.dbPath) || [];
+    }
+
+    /* Waits for the next message in `chat` from `user` (or from anyone, if
+     * `user` is omitted). Options:
+     *
+     *     types: message types to accept, eg. ["photo", "video"] (default: any)
+     *     filter: function, or the name of one of the plugin's conversationFilters;
+     *         only messages it returns true for are accepted. Conversations that
+     *         survive restarts need a name.
+     *     timeout: milliseconds before giving up (default: never)
+     *     starter: the user who can /cancel a conversation with anyone, along
+     *         with the chat admins
+     *     resume, data: survive restarts, see above (`data` must be serializable)
+     *
+     * Resolves to the message, or to null on timeout or /cancel. A new
+     * conversation with the same user in the same chat replaces the old one.
+     * Rejects if the plugin is unloaded first, unless the conversation can be
+     * resumed.
+     */
+    wait(plugin, {chat, user, types, filter, timeout, starter, resume, data}) {
+        if (types && !types.every(type => MESSAGE_TYPES.includes(type)))
+            return Promise.reject(new Error(`Unknown message type in ${types.join(", ")}`));
+        if (resume && typeof filter === "function")
+            return Promise.reject(new Error("Conversations that survive restarts need a filter from conversationFilters."));
+        for (const old of this.pending.filter(it => it.chat === chat && it.user === user))
+            this.finish(old, null);
+        return new Promise((resolve, reject) => {
+            this.add({
+                plugin,
+                chat,
+                user,
+                types,
+                filter,
+                expires: timeout ? Date.now() + timeout : undefined,
+                starter,
+                resume,
+                data,
+                resolve,
+                reject
+            });
+        });
+    }
+
+    add(conversation) {
+        this.arm(conversation);
+        this.pending.push(conversation);
+        if (conversation.resume)
+            this.synchronize();
+    }
+
+    // Private method
+    arm(conversation) {
+        if (conversation.expires === undefined) return;
+        const delay = Math.min(Math.max(conversation.expires - Date.now(), 0), MAX_TIMEOUT);
+        conversation.timer = setTimeout(() => this.finish(conversation, null), delay);
+    }
+
+    // Called when a plugin is loaded: starts the timeouts of its resumed conversations.
+    attach(plugin) {
+        for (const conversation of this.pending.filter(it => it.plugin === plugin && !it.timer))
+            this.arm(conversation);
+    }
+
+    // Private method
+    finish(conversation, message) {
+        if (!this.pending.includes(conversation)) return;
+        clearTimeout(conversation.timer);
+        this.pending = this.pending.filter(it => it !== conversation);
+        if (conversation.resume)
+            this.synchronize();
+        if (conversation.resolve)
+            conversation.resolve(message);
+        else
+            this.onResume(conversation, message);
+    }
+
+    /* Hands the message to the conversation waiting for it, if any.
+     * `isAvailable(pluginName)` tells whether a plugin can take the message.
+     * Returns true if the message was consumed.
+     */
+    handle(message, isAvailable = () => true) {
+        const conversation = this.pending.find(it =>
+            it.chat === message.chat.id &&
+            (it.user === undefined || it.user === message.from.id) &&
+            (!it.types || it.types.some(type => type in message)) &&
+            isAvailable(it.plugin) &&
+            this.accepts(it, message)
+        );
+        if (!conversation) return false;
+        this.finish(conversation, message);
+        return true;
+    }
+
+    // Private method
+    accepts(conversation, message) {
+        const filter = (typeof conversation.filter === "string") ? this.getFilter(conversation.plugin, conversation.filter) : conversation.filter;
+        if (conversation.filter !== undefined && !filter)
+            return false;
+        return !filter || filter(message);
+    }
+
+    /* Cancels the conversations with the user in the chat, and those with
+     * anyone that the user started (or all of them, for chat admins).
+     * Returns how many were cancelled.
+     */
+    cancel(chat, user, isAdmin = false) {
+        const cancelled = this.pending.filter(it => it.chat === chat &&
+            ((it.user === undefined) ? (isAdmin || it.starter === user) : it.user === user));
+        for (const conversation of cancelled)
+            this.finish(conversation, null);
+        return cancelled.length;
+    }
+
+    /* Called when a plugin is unloaded: its awaiting code won't run anymore.
+     * Conversations that can be resumed are kept (with their timeouts paused),
+     * the others are cancelled with an error.
+     */
+    release(plugin) {
+        for (const conversation of this.pending.filter(it => it.plugin === plugin)) {
+            clearTimeout(conversation.timer);
+            conversation.timer = undefined;
+            if (conversation.resume) {
+                delete conversation.resolve;
+                delete conversation.reject;
+            } else {
+                this.pending = this.pending.filter(it => it !== conversation);
+                conversation.reject(new Error(`Conversation cancelled: ${plugin} was unloaded.`));
+            }
+        }
+    }
+
+    // Private method. Resolves once the conversations are written.
+    synchronize() {
+        const serializableData = this.pending
+            .filter(it => it.resume)
+            .map(({plugin, chat, user, types, filter, expires, starter, resume, data}) => ({plugin, chat, user, types, filter, expires, starter, resume, data}));
+        return AtomicFile.write(this.dbPath, JSON.stringify(serializableData))
+            .catch(err => log.error("Couldn't write the conversations", err));
+    }
+};
+
+module.exports.MESSAGE_TYPES = MESSAGE_TYPES;
@@ -0,0 +1,126 @@
+/* eslint no-sync: 0 */
+const path = require("path");
+const AtomicFile = require("../storage/AtomicFile");
+
+const defaultDbPath = path.join(__dirname, "../../db/helper_Cooldowns.json");
+
+const SCOPES = ["user", "chat"];
+
+/* A cooldown rule says how many seconds must pass between two uses of a
+ * command by the same user in a chat (`user`), and by anyone in the chat
+ * (`chat`), and whether to reply "Try again in Ns." (`notify`, on by default).
+ * A number is short for {user: seconds}.
+ *
+ * Rules come, from the lowest priority to the highest, from the plugins
+ * (`cooldown` in command declarations, or `cooldowns: {command: rule}` in the
+ * static plugin metadata), from config.json (`cooldowns: {command: rule}`) and
+ * from the chat admins (/cooldown).
+ */
+function normalize(rule) {
+    if (typeof rule === "number")
+        return {user: rule};
+    return Object.assign({}, rule);
+}
+
+/* Keeps track of when commands can be used again. The expiries and the chats'
+ * rules are persisted, so that restarting the bot doesn't reset them.
+ */
+module.exports = class Cooldowns {
+    constructor({config = {}, dbPath = defaultDbPath} = {}) {
+        this.config = config;
+        this.dbPath = dbPath;
+        const db = AtomicFile.readSync(this.dbPath) || {};
+        // Maps chat IDs to {command: rule}
+        this.chats = db.chats || {};
+        // Maps "command:chat" and "command:chat:user" to timestamps
+        this.expiries = db.expiries || {};
+        // Same keys as the user expiries: "Try again" is only sent once per cooldown
+        this.notified = new Map();
+        this.dirty = false;
+        this.prune();
+    }
+
+    // Returns the rule for the command in the chat, given the plugin's one.
+    rule(command, chatID, pluginRule) {
+        const chatRules = this.chats[chatID] || {};
+        return Object.assign({}, normalize(pluginRule), normalize(this.config[command]), chatRules[command]);
+    }
+
+    /* Records a use of the command, and returns 0; if it is still cooling down,
+     * returns the seconds left instead.
+     */
+    hit(command, chatID, userID, rule) {
+        const now = Date.now();
+        const keys = {
+            chat: `${command}:${chatID}`,
+            user: (userID === undefined) ? undefined : `${command}:${chatID}:${userID}`
+        };
+        const scopes = SCOPES.filter(scope => rule[scope] > 0 && keys[scope]);
+        const left = Math.max(0, ...scopes.map(scope => (this.expiries[keys[scope]] || 0) - now));
+        if (left > 0)
+            return Math.ceil(left / 1000);
+        for (const scope of scopes)
+            this.expiries[keys[scope]] = now + rule[scope] * 1000;
+        if (scopes.length > 0)
+            this.dirty = true;
+        return 0;
+    }
+
+    // Whether to tell the user to try again: once per cooldown, per user and command.
+    shouldNotify(command, chatID, userID, secondsLeft) {
+        const key = `${command}:${chatID}:${userID}`;
+        const now = Date.now();
+        if (this.notified.get(key) > now)
+            return false;
+        this.notified.set(key, now + secondsLeft * 1000);
+        return true;
+    }
+
+    // Sets a scope ("user" or "chat", in seconds, or "notify") of the chat's rule.
+    set(chatID, command, scope, value) {
+        if (!this.chats[chatID])
+            this.chats[chatID] = {};
+        this.chats[chatID][command] = Object.assign({}, this.chats[chatID][command], {[scope]: value});
+        this.dirty = true;
+    }
+
+    // Goes back to the rule set by the plugin or by the owners.
+    reset(chatID, command) {
+        if (!this.chats[chatID]) return;
+        delete this.chats[chatID][command];
+        if (Object.keys(this.chats[chatID]).length === 0)
+            delete this.chats[chatID];
+        this.dirty = true;
+    }
+
+    // Returns the commands whose rules the chat changed.
+    customizedIn(chatID) {
+        return Object.keys(this.chats[chatID] || {});
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const key of Object.keys(this.expiries)) {
+            if (this.expiries[key] < now)
+                delete this.expiries[key];
+        }
+        for (const [key, expiry] of this.notified) {
+            if (expiry < now)
+                this.notified.delete(key);
+        }
+    }
+
+    synchronize() {
+        if (!this.dirty)
+            return Promise.resolve();
+        this.prune();
+        this.dirty = false;
+        return AtomicFile.write(this.dbPath, JSON.stringify({chats: this.chats, expiries: this.expiries}))
+            .catch(err => {
+                this.dirty = true;
+                throw err;
+            });
+    }
+};
+
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+
+const HOUR = 60 * 60 * 1000;
+const MAX_REPORT_LENGTH = 3500; // Leave some room below Telegram's 4096 characters limit
+
+/* Handles the errors thrown by plugin handlers.
+ * The user gets a generic reply with a short incident ID, while the full report
+ * is sent to the owners (or to a log chat, if one is configured). Options, read
+ * from "errorReporting" in config.json:
+ *
+ *     reply: whether to reply in the chat where the error happened (default true)
+ *     logChat: ID of the chat to send reports to, rather than DMing the owners
+ *     dedupeInterval: seconds during which identical errors are reported (and
+ *         replied to, in each chat) only once (default 600)
+ *     maxReportsPerHour: reports sent at most every hour, overall (default 20)
+ */
+module.exports = class ErrorReporter {
+    constructor(bot, auth, options = {}, log) {
+        this.bot = bot;
+        this.auth = auth;
+        this.log = log;
+
+        this.reply = options.reply !== false;
+        this.logChat = options.logChat;
+        this.dedupeInterval = (options.dedupeInterval || 600) * 1000;
+        this.maxReportsPerHour = options.maxReportsPerHour || 20;
+
+        // Maps error fingerprints to {id, firstSeen, chats}, where chats are the ones that got a reply
+        this.incidents = new Map();
+        // Errors that weren't reported since the last report
+        this.unreported = 0;
+        // When the reports in the last hour were sent
+        this.reportTimes = [];
+    }
+
+    // Errors with the same plugin, message and throw site are considered identical.
+    static fingerprint(error, plugin) {
+        if (!(error instanceof Error))
+            return `${plugin}: ${String(error)}`;
+        const site = (error.stack || "").split("\n").find(line => /^\s+at /.test(line)) || "";
+        return `${plugin}: ${error.name}: ${error.message} ${site.trim()}`;
+    }
+
+    /* Reports an error that happened while handling `message`.
+     * Resolves to the incident ID.
+     */
+    report(error, {plugin = "PluginManager", event, message} = {}) {
+        const now = Date.now();
+        for (const [fingerprint, incident] of this.incidents) {
+            if (now - incident.firstSeen > this.dedupeInterval)
+                this.incidents.delete(fingerprint);
+        }
+
+        const fingerprint = ErrorReporter.fingerprint(error, plugin);
+        let incident = this.incidents.get(fingerprint);
+        const isRepeated = Boolean(incident);
+        if (!incident) {
+            incident = {
+                id: crypto.randomBytes(3).toString("hex"),
+                firstSeen: now,
+                chats: new Set()
+            };
+            this.incidents.set(fingerprint, incident);
+        }
+
+        this.log.error(`Incident ${incident.id} in ${plugin}:`, error);
+
+        const pending = [];
+        if (this.reply && message && message.chat && !incident.chats.has(message.chat.id)) {
+            incident.chats.add(message.chat.id);
+            pending.push(this.send(message.chat.id, `Sorry, something went wrong. If this keeps happening, contact the bot's owners mentioning the incident ID ${incident.id}.`));
+        }
+
+        if (isRepeated) {
+            this.unreported++;
+        } else if (this.canSendReport(now)) {
+            const text = this.describe(error, incident, {plugin, event, message});
+            const targets = this.logChat ? [this.logChat] : this.auth.getOwners();
+            for (const target of targets)
+                pending.push(this.send(target, text));
+        } else {
+            this.log.warn(`Too many error reports, not sending incident ${incident.id}.`);
+            this.unreported++;
+        }
+
+        return Promise.all(pending).then(() => incident.id);
+    }
+
+    canSendReport(now) {
+        this.reportTimes = this.reportTimes.filter(time => now - time < HOUR);
+        if (this.reportTimes.length >= this.maxReportsPerHour)
+            return false;
+        this.reportTimes.push(now);
+        return true;
+    }
+
+    describe(error, incident, {plugin, event, message}) {
+        const lines = [`Incident ${incident.id} in ${plugin}` + (event ? ` (while handling ${event})` : "")];
+        if (message && message.chat)
+            lines.push(`Chat: ${message.chat.title || message.chat.username || ""} (${message.chat.id})`);
+        if (message && message.from)
+            lines.push(`From: ${message.from.username ? "@" + message.from.username : message.from.first_name} (${message.from.id})`);
+        if (message && message.text)
+            lines.push(`Text: ${message.text}`);
+        if (this.unreported > 0)
+            lines.push(`(${this.unreported} more errors were not reported since the last report)`);
+        this.unreported = 0;
+        lines.push("", (error instanceof Error) ? error.stack : String(error));
+        return lines.join("\n").substr(0, MAX_REPORT_LENGTH);
+    }
+
+    send(chatID, text) {
+        return Promise.resolve()
+            .then(() => this.bot.sendMessage(chatID, text))
+            .catch(err => this.log.warn(`Couldn't send the error report to ${chatID}:`, err));
+    }
+};
@@ -0,0 +1,259 @@
+/* eslint no-sync: 0 */
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const urlModule = require("url");
+
+const DEFAULTS = {
+    timeout: 10000, // Milliseconds, for the whole response
+    maxSize: 5 * 1024 * 1024, // Bytes
+    retries: 2, // For network errors, 429 and 5xx
+    retryDelay: 500, // Milliseconds, doubled at every retry
+    maxRedirects: 5,
+    cache: 0, // Milliseconds to cache GET responses for
+    cacheEntries: 100 // Responses kept in the cache at most (the least recently used go first)
+};
+
+const USER_AGENT = `Nikoro/${require("../../package.json").version} (+https://github.com/telegram-bot-node/Nikoro)`;
+
+/* Rejected for HTTP errors (statusCode is set) and failed requests (it isn't;
+ * `retriable` is set for network errors and timeouts).
+ */
+class HttpError extends Error {
+    constructor(message, {url, statusCode, response, retriable = false} = {}) {
+        super(message);
+        this.url = url;
+        this.statusCode = statusCode;
+        this.response = response;
+        this.retriable = retriable;
+    }
+}
+
+// Takes either an error or a response
+const isRetriable = it => it.retriable || it.statusCode === 429 || it.statusCode >= 500;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/* A small HTTP client for plugins, available as Util.http:
+ *
+ *     const {body} = await Util.http.get("https://example.com");
+ *     const data = await Util.http.getJSON("https://example.com/api", {cache: 60 * 1000});
+ *
+ * Responses are {statusCode, headers, body} (body is a string, or a Buffer
+ * with `encoding: null`); non-2xx responses reject with an HttpError. Options
+ * (see DEFAULTS) can be passed to the constructor or to each request, along
+ * with `method` and `headers`.
+ *
+ * In fixture mode (useFixtures, or the HTTP_FIXTURES environment variable)
+ * responses are served from JSON files in a directory rather than from the
+ * network, so that plugins can be tested offline; with `record: true` (or
+ * HTTP_FIXTURES_RECORD=1) real responses are written there first.
+ */
+class Http {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULTS, options);
+        // Maps "GET url" to {response, expires}
+        this.cache = new Map();
+        this.fixtures = undefined;
+        if (process.env.HTTP_FIXTURES)
+            this.useFixtures(process.env.HTTP_FIXTURES, {record: process.env.HTTP_FIXTURES_RECORD === "1"});
+    }
+
+    // Serves responses from the given directory; pass null to go back to the network.
+    useFixtures(dir, {record = false} = {}) {
+        this.fixtures = dir ? {dir, record} : undefined;
+    }
+
+    get(url, options) {
+        return this.request(url, Object.assign({}, options, {method: "GET"}));
+    }
+
+    head(url, options) {
+        return this.request(url, Object.assign({}, options, {method: "HEAD"}));
+    }
+
+    async getJSON(url, options) {
+        const {body} = await this.get(url, options);
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            throw new HttpError(`Invalid JSON from ${url}`, {url});
+        }
+    }
+
+    // Saves the response body to a file, and resolves to its path.
+    async download(url, file, options) {
+        const {body} = await this.get(url, Object.assign({}, options, {encoding: null}));
+        await new Promise((resolve, reject) => fs.writeFile(file, body, err => err ? reject(err) : resolve()));
+        return file;
+    }
+
+    async request(url, options = {}) {
+        const settings = Object.assign({}, this.options, options);
+        settings.method = (settings.method || "GET").toUpperCase();
+        const key = `${settings.method} ${url}`;
+
+        const cacheable = settings.method === "GET" && settings.cache > 0;
+        if (cacheable) {
+            const entry = this.cache.get(key);
+            this.cache.delete(key);
+            if (entry && entry.expires > Date.now()) {
+                // Maps keep their insertion order: move it to the end
+                this.cache.set(key, entry);
+                return entry.response;
+            }
+        }
+
+        let response;
+        if (this.fixtures && !this.fixtures.record) {
+            response = this.readFixture(key, settings);
+        } else {
+            response = await this.fetchWithRetries(url, settings);
+            if (this.fixtures)
+                this.writeFixture(key, response);
+        }
+        if (response.statusCode < 200 || response.statusCode >= 300)
+            throw new HttpError(`${settings.method} ${url} failed with status ${response.statusCode}`, {url, statusCode: response.statusCode, response});
+
+        if (cacheable)
+            this.addToCache(key, {response, expires: Date.now() + settings.cache});
+        return response;
+    }
+
+    // Private method
+    addToCache(key, entry) {
+        const now = Date.now();
+        for (const [oldKey, oldEntry] of this.cache) {
+            if (oldEntry.expires <= now)
+                this.cache.delete(oldKey);
+        }
+        this.cache.set(key, entry);
+        // The first keys are the least recently used
+        for (const oldKey of this.cache.keys()) {
+            if (this.cache.size <= this.options.cacheEntries)
+                break;
+            this.cache.delete(oldKey);
+        }
+    }
+
+    // Private method
+    async fetchWithRetries(url, settings, attempt = 0) {
+        let response;
+        try {
+            response = await this.fetch(url, settings, settings.maxRedirects);
+        } catch (err) {
+            if (attempt >= settings.retries || !isRetriable(err))
+                throw err;
+        }
+        if (response && (attempt >= settings.retries || !isRetriable(response)))
+            return response;
+        await delay(settings.retryDelay * Math.pow(2, attempt));
+        return this.fetchWithRetries(url, settings, attempt + 1);
+    }
+
+    // Private method
+    fetch(url, settings, redirectsLeft) {
+        return new Promise((resolve, reject) => {
+            const target = urlModule.parse(url);
+            if (target.protocol !== "http:" && target.protocol !== "https:") {
+                reject(new HttpError(`Invalid URL ${url}`, {url}));
+                return;
+            }
+            const client = (target.protocol === "http:") ? http : https;
+            // Set below; fail() can only be called once both are
+            const handles = {};
+            const fail = err => {
+                clearTimeout(handles.timer);
+                handles.req.abort();
+                reject(err);
+            };
+            handles.timer = setTimeout(
+                () => fail(new HttpError(`${settings.method} ${url} timed out after ${settings.timeout} ms`, {url, retriable: true})),
+                settings.timeout
+            );
+            handles.req = client.request(Object.assign(target, {
+                method: settings.method,
+                headers: Object.assign({"User-Agent": USER_AGENT}, settings.headers)
+            }), res => {
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    if (redirectsLeft <= 0) {
+                        fail(new HttpError(`Too many redirects from ${url}`, {url}));
+                        return;
+                    }
+                    clearTimeout(handles.timer);
+                    resolve(this.fetch(urlModule.resolve(url, res.headers.location), settings, redirectsLeft - 1));
+                    return;
+                }
+                // HEAD responses declare the size of a body they don't have
+                const declaredSize = Number(res.headers["content-length"]);
+                if (settings.method !== "HEAD" && declaredSize > settings.maxSize) {
+                    fail(new HttpError(`The response from ${url} is larger than ${settings.maxSize} bytes`, {url}));
+                    return;
+                }
+                const chunks = [];
+                let size = 0;
+                res.on("data", chunk => {
+                    size += chunk.length;
+                    if (size > settings.maxSize) {
+                        fail(new HttpError(`The response from ${url} is larger than ${settings.maxSize} bytes`, {url}));
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                res.on("end", () => {
+                    clearTimeout(handles.timer);
+                    const body = Buffer.concat(chunks);
+                    resolve({
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        body: (settings.encoding === null) ? body : body.toString(settings.encoding || "utf8")
+                    });
+                });
+                res.on("error", err => fail(new HttpError(err.message, {url, retriable: true})));
+            });
+            handles.req.on("error", err => fail(new HttpError(err.message, {url, retriable: true})));
+            handles.req.end();
+        });
+    }
+
+    // "GET https://xkcd.com/info.0.json" => "GET-xkcd.com-<hash>.json"
+    fixturePath(key) {
+        const [method, url] = key.split(" ");
+        const host = urlModule.parse(url).hostname;
+        const hash = crypto.createHash("sha1").update(key).digest("hex").substr(0, 12);
+        return path.join(this.fixtures.dir, `${method}-${host}-${hash}.json`);
+    }
+
+    // Private method
+    readFixture(key, settings) {
+        const file = this.fixturePath(key);
+        if (!fs.existsSync(file))
+            throw new HttpError(`No fixture for ${key} (expected ${file})`, {url: key.split(" ")[1]});
+        const {statusCode, headers, body, base64} = JSON.parse(fs.readFileSync(file, "utf8"));
+        const buffer = base64 ? Buffer.from(body, "base64") : Buffer.from(body, "utf8");
+        return {
+            statusCode,
+            headers,
+            body: (settings.encoding === null) ? buffer : buffer.toString(settings.encoding || "utf8")
+        };
+    }
+
+    // Private method
+    writeFixture(key, {statusCode, headers, body}) {
+        const base64 = Buffer.isBuffer(body);
+        fs.writeFileSync(this.fixturePath(key), JSON.stringify({
+            request: key,
+            statusCode,
+            headers,
+            body: base64 ? body.toString("base64") : body,
+            base64
+        }, null, 4));
+    }
+}
+
+module.exports = Http;
+module.exports.HttpError = HttpError;
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,94 @@
+/* Bookkeeping for inline queries, whose results plugins return from
+ * onInlineCommand (see PluginManager#answerInlineQuery). Options, read from
+ * config.inline:
+ *
+ *     debounce: milliseconds to wait for the user to stop typing (default 300)
+ *     cacheTime: seconds to cache the results for, here and on Telegram's side (default 300)
+ *
+ * Results may depend on the user, so they are cached per user.
+ *     pageSize: results per page, at most 50 (default 50)
+ */
+
+const DEFAULTS = {
+    debounce: 300,
+    cacheTime: 300,
+    pageSize: 50
+};
+
+// Telegram's limit on results per answer
+const MAX_PAGE_SIZE = 50;
+
+module.exports = class InlineQueries {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.options.pageSize = Math.min(this.options.pageSize, MAX_PAGE_SIZE);
+        // Maps "user:query text" to {results, expires}
+        this.cache = new Map();
+        // Maps user IDs to the ID of their latest query
+        this.latest = new Map();
+    }
+
+    /* Resolves to true once the user stopped typing, or to false if they sent
+     * a newer query in the meantime: Telegram only shows the answer to the latest.
+     */
+    debounce(query) {
+        this.latest.set(query.from.id, query.id);
+        return new Promise(resolve => setTimeout(() => {
+            const isLatest = this.latest.get(query.from.id) === query.id;
+            if (isLatest)
+                this.latest.delete(query.from.id);
+            resolve(isLatest);
+        }, this.options.debounce));
+    }
+
+    static cacheKey(query) {
+        return `${query.from.id}:${query.query}`;
+    }
+
+    // Returns the cached results for the user's query, or undefined.
+    get(query) {
+        const key = InlineQueries.cacheKey(query);
+        const entry = this.cache.get(key);
+        if (!entry) return undefined;
+        if (entry.expires < Date.now()) {
+            this.cache.delete(key);
+            return undefined;
+        }
+        return entry.results;
+    }
+
+    set(query, results) {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (entry.expires < now)
+                this.cache.delete(key);
+        }
+        this.cache.set(InlineQueries.cacheKey(query), {results, expires: now + this.options.cacheTime * 1000});
+    }
+
+    /* Returns the page of results starting at `offset` (Telegram's offset
+     * string, empty for the first page), and the offset of the next page
+     * ("" if there are no more).
+     */
+    page(results, offset) {
+        const start = parseInt(offset, 10) || 0;
+        const end = start + this.options.pageSize;
+        return {
+            results: results.slice(start, end),
+            nextOffset: (end < results.length) ? String(end) : ""
+        };
+    }
+
+    /* Merges the results returned by each plugin, giving them IDs that are
+     * unique across plugins: "Plugin:index".
+     */
+    static merge(contributions) {
+        const merged = [];
+        for (const {plugin, results} of contributions) {
+            results.forEach((result, i) => merged.push(Object.assign({}, result, {id: `${plugin}:${i}`})));
+        }
+        return merged;
+    }
+};
+
+module.exports.DEFAULTS = DEFAULTS;
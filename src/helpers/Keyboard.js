@@ -0,0 +1,50 @@
+/* Inline keyboards whose buttons call a plugin's `callbacks`.
+ *
+ * Buttons carry "Plugin:callback" or "Plugin:callback:token" as callback_data,
+ * so that the PluginManager can route the press to the plugin that sent it;
+ * payloads are kept in a CallbackStore, behind the token.
+ */
+
+// Telegram's limit on callback_data
+const MAX_CALLBACK_DATA = 64;
+
+const dataRegex = /^(\w+):(\w+)(?::([\w-]+))?$/;
+
+/* Builds reply_markup for an inline keyboard. `rows` is an array of rows, each
+ * an array of buttons like
+ *
+ *     {text: "Reveal", callback: "reveal", payload: {any: "JSON"}, ttl: 60 * 60 * 1000}
+ *
+ * Buttons without `callback` are passed to Telegram as they are (eg. {text, url}).
+ */
+function build(pluginName, rows, store) {
+    return {
+        inline_keyboard: rows.map(row => row.map(button => {
+            if (!button.callback)
+                return button;
+            const {text, callback, payload, ttl} = button;
+            if (!/^\w+$/.test(callback))
+                throw new Error(`Invalid callback name "${callback}".`);
+            let data = `${pluginName}:${callback}`;
+            if (payload !== undefined)
+                data += ":" + store.put(payload, ttl);
+            if (Buffer.byteLength(data) > MAX_CALLBACK_DATA)
+                throw new Error(`The callback data "${data}" is longer than ${MAX_CALLBACK_DATA} bytes.`);
+            return {text, callback_data: data};
+        }))
+    };
+}
+
+// Returns {plugin, callback, token} for routable callback data, undefined otherwise.
+function parse(data) {
+    const match = dataRegex.exec(data || "");
+    if (!match) return undefined;
+    const [, plugin, callback, token] = match;
+    return {plugin, callback, token};
+}
+
+module.exports = {
+    MAX_CALLBACK_DATA,
+    build,
+    parse
+};
@@ -0,0 +1,175 @@
+/* Sends texts of any length: Telegram rejects messages longer than 4096
+ * characters, and formatted messages that it can't parse.
+ */
+
+const MAX_LENGTH = 4096;
+
+// Room left for closing and reopening entities when a message is split
+const ENTITY_RESERVE = 64;
+
+// "<a href=...>" => "a"
+const tagName = tag => tag.match(/^<\/?([a-z]+)/i)[1].toLowerCase();
+
+/* Tracks the entities that span lines: ``` blocks in Markdown, and any tag
+ * in HTML. Inline Markdown entities (*bold*, _italic_, `code`) aren't
+ * tracked, so they shouldn't span lines in texts that may be split. Returns the entities open after `line`, given those open before it.
+ */
+function updateOpenEntities(open, line, mode) {
+    if (mode === "markdown") {
+        // Keeps the opening fence with its language, eg. "```js"
+        const fences = line.match(/```[^`\s]*/g) || [];
+        return (fences.length % 2 === 0) ? open : (open.length ? [] : [fences[fences.length - 1]]);
+    }
+    if (mode === "html") {
+        const stack = open.slice();
+        for (const tag of line.match(/<\/?[a-z]+[^>]*>/gi) || []) {
+            if (tag[1] !== "/") {
+                stack.push(tag);
+                continue;
+            }
+            const i = stack.map(tagName).lastIndexOf(tagName(tag));
+            if (i !== -1)
+                stack.splice(i, 1);
+        }
+        return stack;
+    }
+    return open;
+}
+
+// The text that closes the open entities, and the one that reopens them.
+function closers(open, mode) {
+    if (mode === "markdown")
+        return open.length ? "\n```" : "";
+    return open.slice().reverse().map(tag => `</${tagName(tag)}>`).join("");
+}
+
+function openers(open, mode) {
+    if (mode === "markdown")
+        return open.length ? open[0] + "\n" : "";
+    return open.join("");
+}
+
+// Returns the inline Markdown entity left open at the end of `text`, if any.
+function openInlineEntity(text) {
+    let open;
+    for (const marker of text.match(/\\?[*_`]/g) || []) {
+        if (marker[0] === "\\")
+            continue;
+        // Other markers are literal inside an entity, eg. "_" in `snake_case`
+        if (open === undefined)
+            open = marker;
+        else if (marker === open)
+            open = undefined;
+    }
+    return open;
+}
+
+/* Cuts a line into pieces of at most `limit` characters, at spaces if possible.
+ * In Markdown, spaces inside inline entities are avoided.
+ */
+function cutLine(line, limit, mode) {
+    const pieces = [];
+    while (line.length > limit) {
+        let cut = line.lastIndexOf(" ", limit);
+        if (mode === "markdown") {
+            let safeCut = cut;
+            while (safeCut > 0 && openInlineEntity(line.substring(0, safeCut)) !== undefined)
+                safeCut = line.lastIndexOf(" ", safeCut - 1);
+            if (safeCut > 0)
+                cut = safeCut;
+        }
+        if (cut <= 0)
+            cut = limit;
+        pieces.push(line.substring(0, cut));
+        line = line.substring(cut).replace(/^ /, "");
+    }
+    pieces.push(line);
+    return pieces;
+}
+
+/* Splits a text into messages of at most `limit` characters, on line
+ * boundaries. Entities spanning several lines (``` blocks in Markdown, tags in
+ * HTML) are closed at the end of a message and reopened in the next one; lines
+ * longer than a message are cut at spaces, outside of inline entities if
+ * possible.
+ */
+function split(text, parseMode, limit = MAX_LENGTH) {
+    text = String(text);
+    if (text.length <= limit)
+        return [text];
+    const mode = /^markdown/i.test(parseMode) ? "markdown" : String(parseMode || "").toLowerCase();
+    const lineLimit = mode ? limit - ENTITY_RESERVE : limit;
+    const lines = [].concat(...text.split("\n").map(line => cutLine(line, lineLimit, mode)));
+
+    const messages = [];
+    let current;
+    let open = [];
+    for (const line of lines) {
+        const nextOpen = updateOpenEntities(open, line, mode);
+        if (current === undefined) {
+            current = line;
+        } else if ((current + "\n" + line + closers(nextOpen, mode)).length <= limit) {
+            current += "\n" + line;
+        } else {
+            messages.push(current + closers(open, mode));
+            current = openers(open, mode) + line;
+        }
+        open = nextOpen;
+    }
+    messages.push(current);
+    return messages.filter(message => message.trim() !== "");
+}
+
+function isParseError(err) {
+    const body = err && err.response && err.response.body;
+    return Boolean(body) && /can't parse entities/i.test(body.description);
+}
+
+// What the user would have seen, more or less, without the formatting.
+function toPlainText(text, parseMode) {
+    if (String(parseMode).toLowerCase() !== "html")
+        return text;
+    return text
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&amp;/g, "&");
+}
+
+/* Sends the text with `sendMessage(chatID, text, options)`, split into as
+ * many messages as needed: only the first one replies to reply_to_message_id,
+ * and only the last one carries reply_markup. Messages that Telegram can't
+ * parse are sent again as plain text. Resolves to the message that was sent,
+ * or to an array of messages if the text was split.
+ */
+function send(sendMessage, chatID, text, options = {}) {
+    const parts = split(text, options.parse_mode);
+    const sendPart = (part, i) => {
+        const partOptions = Object.assign({}, options);
+        if (i > 0)
+            delete partOptions.reply_to_message_id;
+        if (i < parts.length - 1)
+            delete partOptions.reply_markup;
+        return Promise.resolve(sendMessage(chatID, part, partOptions)).catch(err => {
+            if (!partOptions.parse_mode || !isParseError(err))
+                throw err;
+            const plainOptions = Object.assign({}, partOptions);
+            delete plainOptions.parse_mode;
+            return sendMessage(chatID, toPlainText(part, partOptions.parse_mode), plainOptions);
+        });
+    };
+    if (parts.length === 1)
+        return sendPart(parts[0], 0);
+    return parts.reduce(
+        (sent, part, i) => sent.then(results => sendPart(part, i).then(result => results.concat([result]))),
+        Promise.resolve([])
+    );
+}
+
+module.exports = {
+    MAX_LENGTH,
+    split,
+    send,
+    isParseError
+};
@@ -0,0 +1,84 @@
+/* Middleware runs on every update before it reaches the handlers.
+ *
+ * A plugin takes part by implementing middleware(ctx), optionally declaring
+ * `middlewarePriority` in its static plugin metadata: lower numbers run first,
+ * the default is 100. Each step can
+ *
+ *  - pass, by simply returning (sync or async);
+ *  - drop the update with ctx.drop("reason"): no further middleware or handler
+ *    sees it, and the reason is logged;
+ *  - enrich ctx.state, which later steps and the handlers receive as `state`
+ *    (eg. ctx.state.user = profile). ctx.message may be replaced, too.
+ *
+ * Plugins that still use the older `isProxy` API (a proxy(eventName, message)
+ * method returning a promise) are run as middleware: a rejection drops the update.
+ */
+
+const DEFAULT_PRIORITY = 100;
+
+class Context {
+    constructor(event, message) {
+        this.event = event;
+        this.message = message;
+        this.state = {};
+        this.dropped = false;
+        this.reason = undefined;
+        this.droppedBy = undefined;
+    }
+
+    drop(reason = "no reason given") {
+        this.dropped = true;
+        this.reason = reason;
+    }
+}
+
+function priorityOf(plugin) {
+    const priority = plugin.plugin.middlewarePriority;
+    return (typeof priority === "number") ? priority : DEFAULT_PRIORITY;
+}
+
+function middlewareOf(plugin) {
+    if (typeof plugin.middleware === "function")
+        return ctx => plugin.middleware(ctx);
+    if (plugin.plugin.isProxy && typeof plugin.proxy === "function")
+        return ctx => Promise.resolve(plugin.proxy(ctx.event, ctx.message))
+            .catch(err => ctx.drop(err ? (err.message || String(err)) : "rejected"));
+    return undefined;
+}
+
+// Returns the plugins that have a middleware, in the order it should run.
+function chain(plugins) {
+    return plugins
+        .filter(plugin => middlewareOf(plugin))
+        // Array#sort is stable, so plugins with the same priority keep their load order
+        .sort((a, b) => priorityOf(a) - priorityOf(b));
+}
+
+/* Runs the middleware chain on ctx, stopping as soon as a step drops it.
+ * Errors thrown by a step are passed to `onError(err, plugin)` and rethrown.
+ */
+async function run(plugins, ctx, onError = () => {}) {
+    for (const plugin of chain(plugins)) {
+        // Plugins disabled in this chat don't get to filter its messages
+        if (ctx.message.chat && !plugin.isEnabledIn(ctx.message.chat.id))
+            continue;
+        try {
+            await middlewareOf(plugin)(ctx);
+        } catch (err) {
+            onError(err, plugin);
+            throw err;
+        }
+        if (ctx.dropped) {
+            ctx.droppedBy = plugin.plugin.name;
+            break;
+        }
+    }
+    return ctx;
+}
+
+module.exports = {
+    Context,
+    DEFAULT_PRIORITY,
+    chain,
+    run
+};
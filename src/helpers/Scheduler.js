@@ -1,11 +1,14 @@
+/* eslint no-sync: 0 */
 // This is intended to act as a singleton. Because it remains in the require() cache, the
 // class will be initialized only once.
 
 const EventEmitter = require("events");
-const fs = require("fs");
 const path = require("path");
 const assert = require("assert");
 const cron = require("cron");
+const AtomicFile = require("../storage/AtomicFile");
+const Logger = require("../Log");
+const log = new Logger("Scheduler", {loggingLevel: "info"});
 
 const dbPath = path.join(__dirname, "../../db/helper_Scheduler.json");
 
@@ -19,57 +22,139 @@ class Scheduler extends EventEmitter {
         super();
         this.events = [];
         this.crons = [];
-        if (fs.existsSync(dbPath)) {
-            const entries = JSON.parse(fs.readFileSync(dbPath));
+        const entries = AtomicFile.readSync(dbPath);
+        if (entries) {
+            // Plugins' events wait for the plugin to be loaded (see scope), lest they fire with nobody listening
+            const suspended = metadata => "plugin" in metadata;
             entries
                 .filter(it => "date" in it)
-                .map(it => {it.date = new Date(it.date); return it})
-                .forEach(({name, metadata, date}) => this.scheduleOneoff(name, metadata, date));
+                .forEach(({name, metadata, date}) => this.addOneoff({name, metadata, date: Number(new Date(date)), suspended: suspended(metadata)}));
             entries
                 .filter(it => "cronString" in it)
-                .forEach(({name, metadata, cronString}) => this.scheduleCron(name, metadata, cronString));
+                .forEach(({name, metadata, cronString}) => this.addCron({name, metadata, cronString, suspended: suspended(metadata)}));
         }
     }
     scheduleOneoff(name, metadata, _date) {
         assert.deepEqual(typeof metadata, "object", "Metadata must be an object!");
         assert((typeof _date === "object") || (typeof _date === "number"), "Must pass a valid date!");
         const date = Number(_date); // Cast to Unix timestamp
-        this.events.push({name, metadata, date});
-        const now = new Date();
-        if ((date - now) < Math.pow(2, 32)) // setTimeout can only schedule 2^32 ms in the future
-            setTimeout(() => this.emit(name, metadata), date - now);
+        this.addOneoff({name, metadata, date});
         this.synchronize();
     }
     scheduleCron(name, metadata, cronString) {
         assert.deepEqual(typeof metadata, "object", "Metadata must be an object!");
         assert.deepEqual(typeof cronString, "string", "Must pass a valid cron string!");
 
-        const job = new cron.CronJob(cronString, () => this.emit(name, metadata), undefined, true);
-        this.crons.push({name, metadata, cronString, job});
+        this.addCron({name, metadata, cronString});
         this.synchronize();
     }
+
+    // Private method
+    addOneoff(event) {
+        this.events.push(event);
+        if (!event.suspended)
+            this.arm(event);
+    }
+
+    // Private method
+    addCron(cronEvent) {
+        cronEvent.job = new cron.CronJob(cronEvent.cronString, () => this.emit(cronEvent.name, cronEvent.metadata), undefined, !cronEvent.suspended);
+        this.crons.push(cronEvent);
+    }
+
     /* Cancels all events that match a specific function.
      * Take care to check for your plugin's metadata, so that you don't
      * accidentally delete other plugins' events!
      */
     cancel(fn) {
-        this.events = this.events.filter(it => !fn(it));
-        this.crons.filter(it => {
+        this.events = this.events.filter(it => {
+            if (!fn(it))
+                return true;
+            clearTimeout(it.timer);
+            return false;
+        });
+        this.crons = this.crons.filter(it => {
             if (!fn(it))
                 return true;
             it.job.stop();
             return false;
         });
+        this.synchronize();
+    }
+
+    /* Stops the events that match a specific function from firing, without
+     * deleting them. One-off events that expire in the meantime fire as soon
+     * as they are resumed.
+     */
+    suspend(fn) {
+        for (const event of this.events.filter(it => !it.suspended && fn(it))) {
+            clearTimeout(event.timer);
+            event.suspended = true;
+        }
+        for (const cronEvent of this.crons.filter(it => !it.suspended && fn(it))) {
+            cronEvent.job.stop();
+            cronEvent.suspended = true;
+        }
+    }
+    resume(fn) {
+        for (const event of this.events.filter(it => it.suspended && fn(it))) {
+            event.suspended = false;
+            this.arm(event);
+        }
+        for (const cronEvent of this.crons.filter(it => it.suspended && fn(it))) {
+            cronEvent.job.start();
+            cronEvent.suspended = false;
+        }
+        this.synchronize();
+    }
+
+    /* Returns a view of the scheduler for the given plugin: events are tagged
+     * with the plugin name, and only the plugin's own events can be seen or
+     * cancelled. release() removes the listeners and suspends the events, so
+     * that they survive until the plugin is loaded again.
+     */
+    scope(pluginName) {
+        const scheduler = this;
+        const owns = it => it.metadata.plugin === pluginName;
+        const listeners = [];
+        this.resume(owns);
+        return {
+            get events() {
+                return scheduler.events.filter(owns);
+            },
+            on: (name, listener) => {
+                this.on(name, listener);
+                listeners.push({name, listener});
+            },
+            scheduleOneoff: (name, metadata, date) => this.scheduleOneoff(name, Object.assign({plugin: pluginName}, metadata), date),
+            scheduleCron: (name, metadata, cronString) => this.scheduleCron(name, Object.assign({plugin: pluginName}, metadata), cronString),
+            cancel: fn => this.cancel(it => owns(it) && fn(it.metadata)),
+            release: () => {
+                for (const {name, listener} of listeners)
+                    this.removeListener(name, listener);
+                listeners.length = 0;
+                this.suspend(owns);
+            }
+        };
     }
 
     // Private method
+    arm(event) {
+        const delay = event.date - new Date();
+        if (delay < Math.pow(2, 32)) // setTimeout can only schedule 2^32 ms in the future
+            event.timer = setTimeout(() => this.emit(event.name, event.metadata), delay);
+    }
+
+    // Private method. Resolves once the events are written.
     synchronize() {
-        // Remove old events
+        // Remove old events, unless they're waiting for their plugin to be loaded
         const now = new Date();
-        this.events = this.events.filter(evt => evt.date >= now);
+        this.events = this.events.filter(evt => evt.suspended || evt.date >= now);
+        const serializableEvents = this.events.map(({name, metadata, date}) => ({name, metadata, date}));
         const serializableCrons = this.crons.map(({name, metadata, cronString}) => ({name, metadata, cronString}));
-        const serializableData = this.events.concat(serializableCrons);
-        fs.writeFileSync(dbPath, JSON.stringify(serializableData));
+        const serializableData = serializableEvents.concat(serializableCrons);
+        return AtomicFile.write(dbPath, JSON.stringify(serializableData))
+            .catch(err => log.error("Couldn't write the scheduled events", err));
     }
 }
 
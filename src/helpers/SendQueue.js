@@ -0,0 +1,172 @@
+// Methods that send something to a chat, and therefore count against Telegram's limits
+const SEND_METHODS = /^(send|forward)/;
+
+const DEFAULTS = {
+    globalLimit: 30, // Messages per second, over all chats
+    privateLimit: 1, // Messages per second, in a private chat
+    groupLimit: 20, // Messages per minute, in a group or channel
+    maxRetries: 5,
+    retryDelay: 1000, // Doubled at every retry
+    warnDepth: 100 // Log a warning when this many messages are waiting
+};
+
+// Counts the events in a sliding window of `interval` milliseconds.
+class Window {
+    constructor(limit, interval) {
+        this.limit = limit;
+        this.interval = interval;
+        this.times = [];
+    }
+
+    // Milliseconds until another event is allowed (0 if it's allowed right now).
+    wait(now) {
+        this.times = this.times.filter(time => now - time < this.interval);
+        if (this.times.length < this.limit)
+            return 0;
+        return this.times[0] + this.interval - now;
+    }
+
+    add(now) {
+        this.times.push(now);
+    }
+}
+
+// Errors worth retrying: flood limits, network errors and Telegram's own failures.
+function retryDelayFor(err, attempt, retryDelay) {
+    if (!err) return -1;
+    if (err.code === "EFATAL")
+        return retryDelay * Math.pow(2, attempt);
+    if (err.code !== "ETELEGRAM" || !err.response) return -1;
+    const body = err.response.body || {};
+    if (body.error_code === 429 || err.response.statusCode === 429) {
+        const retryAfter = (body.parameters && body.parameters.retry_after) || 1;
+        return retryAfter * 1000;
+    }
+    if ((body.error_code || err.response.statusCode) >= 500)
+        return retryDelay * Math.pow(2, attempt);
+    return -1;
+}
+
+/* Sends messages through a queue that respects Telegram's rate limits.
+ * Messages to the same chat are sent one at a time, in order; chats take turns,
+ * so that a broadcast to many chats doesn't starve the others.
+ * 429 errors are retried after `retry_after`, network and server errors with
+ * exponential backoff. Limits can be changed in "sendQueue" in config.json
+ * (see DEFAULTS above).
+ */
+module.exports = class SendQueue {
+    constructor(bot, options = {}, log) {
+        this.bot = bot;
+        this.log = log;
+        this.options = Object.assign({}, DEFAULTS, options);
+
+        this.global = new Window(this.options.globalLimit, 1000);
+        // Maps chat IDs to {jobs, window, busy, blockedUntil}
+        this.chats = new Map();
+        this.depth = 0;
+        this.timer = null;
+        this.drained = [];
+        this.warned = false;
+    }
+
+    static isSendMethod(method) {
+        return SEND_METHODS.test(method);
+    }
+
+    // Returns a function that calls bot[method] through the queue.
+    wrap(method) {
+        return (chatID, ...args) => this.enqueue(method, chatID, args);
+    }
+
+    enqueue(method, chatID, args) {
+        return new Promise((resolve, reject) => {
+            const chat = this.getChat(chatID);
+            chat.jobs.push({method, chatID, args, resolve, reject, attempt: 0});
+            this.depth++;
+            this.log.debug(`Queued ${method} to ${chatID} (queue depth: ${this.depth})`);
+            if (this.depth >= this.options.warnDepth && !this.warned) {
+                this.log.warn(`The send queue is ${this.depth} messages deep.`);
+                this.warned = true;
+            }
+            this.pump();
+        });
+    }
+
+    getChat(chatID) {
+        if (!this.chats.has(chatID)) {
+            // Private chats have positive IDs, groups and channels negative ones
+            const window = (Number(chatID) > 0) ?
+                new Window(this.options.privateLimit, 1000) :
+                new Window(this.options.groupLimit, 60 * 1000);
+            this.chats.set(chatID, {jobs: [], window, busy: false, blockedUntil: 0});
+        }
+        return this.chats.get(chatID);
+    }
+
+    // Sends whatever can be sent right now, and schedules the next run.
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        let nextRun = Infinity;
+        const now = Date.now();
+        for (const [chatID, chat] of this.chats) {
+            if (chat.busy) continue;
+            if (chat.jobs.length === 0) {
+                // Forget the chat once its rate limit no longer matters
+                chat.window.wait(now);
+                if (chat.window.times.length === 0)
+                    this.chats.delete(chatID);
+                continue;
+            }
+            const wait = Math.max(chat.blockedUntil - now, chat.window.wait(now), this.global.wait(now));
+            if (wait > 0) {
+                nextRun = Math.min(nextRun, wait);
+                continue;
+            }
+            this.send(chat, chat.jobs.shift(), now);
+            // Move the chat to the back, so that the others get their turn
+            this.chats.delete(chatID);
+            this.chats.set(chatID, chat);
+        }
+        if (nextRun !== Infinity)
+            this.timer = setTimeout(() => this.pump(), nextRun);
+        if (this.depth === 0)
+            this.drained.splice(0).forEach(resolve => resolve());
+    }
+
+    send(chat, job, now) {
+        chat.busy = true;
+        chat.window.add(now);
+        this.global.add(now);
+        Promise.resolve()
+            .then(() => this.bot[job.method](job.chatID, ...job.args))
+            .then(result => {
+                this.depth--;
+                job.resolve(result);
+            }, err => {
+                const delay = retryDelayFor(err, job.attempt, this.options.retryDelay);
+                if (delay < 0 || job.attempt >= this.options.maxRetries) {
+                    this.depth--;
+                    job.reject(err);
+                    return;
+                }
+                job.attempt++;
+                this.log.warn(`${job.method} to ${job.chatID} failed (${err.message}), retrying in ${delay} ms`);
+                chat.blockedUntil = Date.now() + delay;
+                chat.jobs.unshift(job);
+            })
+            .then(() => {
+                chat.busy = false;
+                if (this.depth < this.options.warnDepth / 2)
+                    this.warned = false;
+                this.pump();
+            });
+    }
+
+    // Resolves when every queued message has been sent (or has failed).
+    drain() {
+        if (this.depth === 0)
+            return Promise.resolve();
+        return new Promise(resolve => this.drained.push(resolve));
+    }
+};
@@ -0,0 +1,153 @@
+/* eslint no-sync: 0 */
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+// Telegram updates are small; anything bigger than this is not from Telegram.
+const MAX_BODY_SIZE = 1024 * 1024;
+const SECRET_HEADER = "x-telegram-bot-api-secret-token";
+
+function safeEquals(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/* Receives updates from Telegram through a webhook, rather than polling.
+ *
+ * Configured in config.json:
+ *
+ *     "mode": "webhook",
+ *     "webhook": {
+ *         "url": "https://bot.example.com/nikoro", // The public URL Telegram will call
+ *         "host": "127.0.0.1", // Where the local server listens
+ *         "port": 8443,
+ *         "path": "/nikoro",
+ *         "secretToken": "some-long-random-string", // Optional: a random one is generated at every start
+ *         "key": "/path/to/key.pem", // Optional: serve HTTPS directly rather than behind a proxy
+ *         "cert": "/path/to/cert.pem"
+ *     }
+ *
+ * Updates are handed to bot.processUpdate(), so they go through the very same
+ * events (and therefore the same PluginManager pipeline) as polled updates.
+ */
+module.exports = class Webhook {
+    constructor(bot, options, log) {
+        this.bot = bot;
+        this.log = log;
+        this.url = options.url;
+        this.host = options.host || "127.0.0.1";
+        this.port = options.port === undefined ? 8443 : options.port;
+        this.path = options.path || "/";
+        this.secretToken = options.secretToken;
+        this.allowedUpdates = options.allowedUpdates; // Update types to receive, see Bot.js
+
+        if (typeof this.url !== "string" || this.url === "")
+            throw new Error("The webhook configuration must include the public \"url\".");
+        if (this.secretToken !== undefined && !/^[A-Za-z0-9_-]{1,256}$/.test(this.secretToken))
+            throw new Error("The webhook secret token may only contain 1-256 letters, digits, \"_\" and \"-\".");
+        // Without a token, anyone who finds the URL could send fake updates
+        if (this.secretToken === undefined)
+            this.secretToken = crypto.randomBytes(32).toString("hex");
+
+        const handler = (req, res) => this.handleRequest(req, res);
+        if (options.key && options.cert) {
+            this.server = https.createServer({
+                key: fs.readFileSync(options.key),
+                cert: fs.readFileSync(options.cert)
+            }, handler);
+        } else {
+            this.server = http.createServer(handler);
+        }
+
+        // Telegram keeps connections alive: track them, so that stop() doesn't hang.
+        this.sockets = new Set();
+        this.server.on("connection", socket => {
+            this.sockets.add(socket);
+            socket.on("close", () => this.sockets.delete(socket));
+        });
+    }
+
+    handleRequest(req, res) {
+        const [requestPath] = req.url.split("?");
+        if (requestPath !== this.path) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        if (req.method !== "POST") {
+            res.writeHead(405, {Allow: "POST"});
+            res.end();
+            return;
+        }
+        if (!safeEquals(req.headers[SECRET_HEADER] || "", this.secretToken)) {
+            this.log.warn(`Rejected a webhook request from ${req.socket.remoteAddress}: bad secret token`);
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                res.writeHead(413);
+                res.end();
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => {
+            if (size > MAX_BODY_SIZE) return;
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+            } catch (e) {
+                this.log.warn("Received an unparsable webhook update");
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+            // Acknowledge right away: Telegram would otherwise retry the update.
+            res.writeHead(200);
+            res.end();
+            try {
+                this.bot.processUpdate(update);
+            } catch (e) {
+                this.log.error("Error processing a webhook update", e);
+            }
+        });
+    }
+
+    // Starts listening, then registers the webhook with Telegram.
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener("error", reject);
+                resolve();
+            });
+        }).then(() => {
+            this.log.verbose(`Webhook server listening on ${this.host}:${this.server.address().port}${this.path}`);
+            const options = {secret_token: this.secretToken};
+            if (this.allowedUpdates)
+                options.allowed_updates = JSON.stringify(this.allowedUpdates);
+            return this.bot.setWebHook(this.url, options);
+        }).then(() => this.log.info(`Webhook registered at ${this.url}`));
+    }
+
+    // Removes the webhook from Telegram, then stops listening.
+    stop() {
+        return Promise.resolve(this.bot.deleteWebHook())
+            .catch(err => this.log.warn("Couldn't remove the webhook", err))
+            .then(() => new Promise(resolve => {
+                this.server.close(() => resolve());
+                for (const socket of this.sockets)
+                    socket.destroy();
+            }))
+            .then(() => this.log.info("Webhook removed."));
+    }
+};
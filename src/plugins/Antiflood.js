@@ -1,134 +1,455 @@
 const Plugin = require("./../Plugin");
 const Util = require("./../Util");
-const LeakyBucket = require("leaky-bucket");
 
-const RATE_TIMEOUT = 5000;
+// What happens to users who flood again and again, in order
+const ACTIONS = ["warn", "mute", "kick", "ban"];
 
+// Detectors can also just delete the message, or escalate like floods do
+const DETECTOR_ACTIONS = ["delete", "escalate"].concat(ACTIONS);
+
+const LINK_ENTITIES = ["url", "text_link", "mention", "text_mention"];
+const MEDIA_TYPES = ["sticker", "animation", "photo", "video", "video_note"];
+
+// Don't count "ok" or "lol" as spam
+const MIN_DUPLICATE_LENGTH = 4;
+const SIMILARITY_THRESHOLD = 0.85;
+
+// Lowercase, without punctuation and repeated spaces
+const normalize = text => text.toLowerCase().replace(/[^\w\s]/g, "").replace(/\s+/g, " ").trim();
+
+// Dice coefficient of the character bigrams: 1 for identical texts, 0 for unrelated ones
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.substr(i, 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.substr(i, 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            shared++;
+        }
+    }
+    return 2 * shared / (a.length + b.length - 2);
+}
+
+/* Per-user spam detectors. Each one counts something in the user's messages
+ * in its window (the current message included), and trips once the count
+ * reaches the chat's threshold for it.
+ */
+const DETECTORS = {
+    duplicates: {
+        description: "the same text, or almost, over and over",
+        window: 10 * 60 * 1000,
+        count: (entries, entry) => {
+            if (!entry.text || entry.text.length < MIN_DUPLICATE_LENGTH) return 0;
+            return entries.filter(it => it.text && similarity(it.text, entry.text) >= SIMILARITY_THRESHOLD).length;
+        }
+    },
+    links: {
+        description: "links and mentions",
+        window: 60 * 1000,
+        count: (entries, entry) => entry.links && entries.reduce((sum, it) => sum + it.links, 0)
+    },
+    media: {
+        description: "stickers, GIFs, photos and videos (albums count once)",
+        window: 10 * 1000,
+        count: (entries, entry) => {
+            if (!entry.media) return 0;
+            const groups = new Set();
+            return entries.filter(it => {
+                if (!it.media) return false;
+                if (!it.mediaGroup) return true;
+                if (groups.has(it.mediaGroup)) return false;
+                groups.add(it.mediaGroup);
+                return true;
+            }).length;
+        }
+    },
+    forwards: {
+        description: "messages forwarded from channels",
+        window: 60 * 1000,
+        count: (entries, entry) => entry.forward && entries.filter(it => it.forward).length
+    }
+};
+
+// Returns {name, count, threshold, action, window} for the first detector the latest message trips, if any.
+function detect(recent, settings) {
+    const entry = recent[recent.length - 1];
+    for (const name of Object.keys(DETECTORS)) {
+        const {threshold, action, window} = settings.detectors[name];
+        if (!threshold) continue;
+        const count = DETECTORS[name].count(recent.filter(it => it.time > entry.time - window), entry);
+        if (count >= threshold)
+            return {name, count, threshold, action, window};
+    }
+    return undefined;
+}
+
+// Settings of chats that didn't change them (durations are in milliseconds)
+const DEFAULTS = {
+    window: 5000,
+    ignore: 0, // Messages per window after which the user is ignored, 0 to disable
+    limit: 0, // Messages per window after which the user is punished, 0 to disable
+    ladder: ACTIONS,
+    muteDuration: 5 * 60 * 1000,
+    quietPeriod: 60 * 60 * 1000, // Offences are forgotten after this long without flooding
+    // Maps detector names to {threshold, action, window}; a threshold of 0 disables the detector
+    detectors: {}
+};
+
+// Updates that aren't new messages: edits and member changes aren't flooding
+const SKIPPED_EVENTS = ["edited_message", "edited_channel_post", "chat_member", "my_chat_member"];
+
+// Messages older than this (in seconds) are skipped when catching up after a restart
+const DEFAULT_CATCH_UP_THRESHOLD = 30;
+
+/* The database maps chat IDs to {settings, offences}: `settings` only holds
+ * what the admins changed, and `offences` maps user IDs to {count, last}.
+ * The users' recent messages are only kept in memory.
+ */
 module.exports = class Antiflood extends Plugin {
     constructor(obj) {
         super(obj);
 
         this.auth = obj.auth;
 
-        this.lastMessages = {};
-        this.ignoreLimiters = {};
-        this.warnLimiters = {};
-        this.warnMessageLimiters = {};
-        this.kickLimiters = {};
+        const options = (obj.config && obj.config.antiflood) || {};
+        this.defaults = Object.assign({}, DEFAULTS, options.defaults);
+        this.catchUpThreshold = (typeof options.catchUpThreshold === "number") ? options.catchUpThreshold : DEFAULT_CATCH_UP_THRESHOLD;
+
+        // Maps "chat:user" to a summary of their recent messages (see record)
+        this.recent = {};
+        // Maps "chat:user:detector" to when the burst the user was punished for ends
+        this.punished = {};
     }
 
     static get plugin() {
         return {
             name: "Antiflood",
-            description: "Automatically ignore or kick spamming users",
-            help: `Use /floodignore <N> if you want the bot to ignore spamming users (i.e. not respond to their commands) after N messages in 5 seconds.
-Use /floodwarn <N> to warn the user after N messages every 5 seconds.
-Use /floodkick <N> to kick users automatically after N messages every 5 seconds.
+            description: "Automatically ignore or punish spamming users",
+            help: `Users who send more than N messages in a window (5 seconds by default, see /floodwindow) are flooding. /floodignore N ignores them, and /floodlimit N punishes them.
+
+Punishments escalate every time the same user floods: they are warned, then muted, then kicked, then banned. Use /floodladder to change the steps, and /floodquiet to choose after how long users are forgiven.
+
+Spam is caught even when it's slow: /floodcheck sets how many duplicate texts, links and mentions, stickers and GIFs or forwards from channels are too many, and what to do about it (${DETECTOR_ACTIONS.join(", ")}).
 
-A value of 0 disables the feature (eg. "/floodkick 0" will disable automatic kicking).`,
+A value of 0 disables the feature (eg. "/floodlimit 0" disables punishments). /floodsettings shows the settings of the chat.`,
 
-            isProxy: true
+            middlewarePriority: 30
         };
     }
 
-    processIgnore(message) {
-        // Approve messages if no ignoreLimiter is present
-        const ignoreLimiter = this.ignoreLimiters[message.chat.id];
-        if (!ignoreLimiter) return Promise.resolve();
-        // Approve messages if the ignoreLimiter says it's fine
-        return ignoreLimiter.throttle().catch(() => {
-            this.log.verbose("Rejecting message from " + Util.buildPrettyUserName(message.from));
-            // Re-reject, so the rejection bubbles up
-            return Promise.reject();
-        });
+    get commands() {
+        const limit = [{name: "N", type: "integer", description: "messages per window"}];
+        const duration = [{name: "duration", type: "duration"}];
+        return {
+            floodignore: {
+                description: "Ignores spamming users (i.e. doesn't respond to their commands)",
+                args: limit,
+                privilege: "admin",
+                handler: ({message, params: {N}}) => {
+                    this.updateSettings(message.chat.id, {ignore: N});
+                    if (N === 0)
+                        return "Antiflood ignore disabled for this chat.";
+                    return `New rate limit: ${this.describeLimit(message.chat.id, N)}`;
+                }
+            },
+            floodlimit: {
+                description: "Punishes spamming users, more and more harshly (see /floodladder)",
+                args: limit,
+                privilege: "admin",
+                handler: ({message, params: {N}}) => {
+                    this.updateSettings(message.chat.id, {limit: N});
+                    if (N === 0)
+                        return "Antiflood punishments disabled for this chat.";
+                    return `New rate limit: ${this.describeLimit(message.chat.id, N)}`;
+                }
+            },
+            floodwarn: {
+                description: "Warns spamming users",
+                args: limit,
+                privilege: "admin",
+                handler: ({message, params: {N}}) => {
+                    this.updateSettings(message.chat.id, {limit: N, ladder: ["warn"]});
+                    if (N === 0)
+                        return "Antiflood warn disabled for this chat.";
+                    return `New rate limit: ${this.describeLimit(message.chat.id, N)}`;
+                }
+            },
+            floodkick: {
+                description: "Kicks spamming users",
+                args: limit,
+                privilege: "admin",
+                handler: ({message, params: {N}}) => {
+                    this.updateSettings(message.chat.id, {limit: N, ladder: ["kick"]});
+                    if (N === 0)
+                        return "Antiflood kick disabled for this chat.";
+                    return `New rate limit: ${this.describeLimit(message.chat.id, N)}`;
+                }
+            },
+            floodwindow: {
+                description: "Sets the window in which messages are counted",
+                args: duration,
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    if (params.duration < 1000)
+                        return "The window must be at least one second long.";
+                    this.updateSettings(message.chat.id, {window: params.duration});
+                    return `Messages are now counted over ${Util.formatDuration(params.duration)}.`;
+                }
+            },
+            floodladder: {
+                description: "Sets the punishments for flooding, from the first to the last",
+                args: [{name: "actions", type: "text", description: ACTIONS.join(", ")}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    const ladder = params.actions.toLowerCase().split(/[\s,]+/).filter(action => action !== "");
+                    if (ladder.length === 0)
+                        return `Syntax: \`/floodladder ${ACTIONS.join(" ")}\``;
+                    const invalid = ladder.find(action => !ACTIONS.includes(action));
+                    if (invalid)
+                        return `Unknown action "${invalid}": use ${ACTIONS.join(", ")}.`;
+                    this.updateSettings(message.chat.id, {ladder});
+                    return `Users who flood will be punished with: ${ladder.join(", then ")}.`;
+                }
+            },
+            floodmute: {
+                description: "Sets how long spamming users are muted for",
+                args: duration,
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    // Telegram mutes forever for shorter or longer durations
+                    if (params.duration < Util.MIN_RESTRICTION || params.duration > Util.MAX_RESTRICTION)
+                        return `Mutes must last between ${Util.formatDuration(Util.MIN_RESTRICTION)} and 366 days, eg. \`/floodmute 10m\`.`;
+                    this.updateSettings(message.chat.id, {muteDuration: params.duration});
+                    return `Users who flood will be muted for ${Util.formatDuration(params.duration)}.`;
+                }
+            },
+            floodquiet: {
+                description: "Sets after how long without flooding users are forgiven",
+                args: duration,
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    this.updateSettings(message.chat.id, {quietPeriod: params.duration});
+                    return `Users will be forgiven after ${Util.formatDuration(params.duration)} without flooding.`;
+                }
+            },
+            floodcheck: {
+                description: "Sets the threshold and action of a spam detector, or lists them",
+                args: [
+                    {name: "detector", type: "string", optional: true, description: Object.keys(DETECTORS).join(", ")},
+                    {name: "threshold", type: "integer", optional: true},
+                    {name: "action", type: "string", optional: true, description: DETECTOR_ACTIONS.join(", ")}
+                ],
+                privilege: "admin",
+                handler: ({message, params: {detector, threshold, action}}) => {
+                    const chatId = message.chat.id;
+                    if (!detector)
+                        return Object.keys(DETECTORS).map(name => this.describeDetector(chatId, name)).join("\n");
+                    detector = detector.toLowerCase();
+                    if (!(detector in DETECTORS))
+                        return `Unknown detector "${detector}": use ${Object.keys(DETECTORS).join(", ")}.`;
+                    if (threshold === undefined)
+                        return this.describeDetector(chatId, detector);
+                    if (action && !DETECTOR_ACTIONS.includes(action.toLowerCase()))
+                        return `Unknown action "${action}": use ${DETECTOR_ACTIONS.join(", ")}.`;
+                    const changes = {threshold};
+                    if (action)
+                        changes.action = action.toLowerCase();
+                    const detectors = Object.assign({}, this.chatEntry(chatId).settings.detectors);
+                    detectors[detector] = Object.assign({}, detectors[detector], changes);
+                    this.updateSettings(chatId, {detectors});
+                    return this.describeDetector(chatId, detector);
+                }
+            },
+            floodsettings: {
+                description: "Shows the Antiflood settings of this chat",
+                handler: ({message}) => {
+                    const settings = this.settingsOf(message.chat.id);
+                    return [
+                        `Window: ${Util.formatDuration(settings.window)}`,
+                        `Ignore after: ${settings.ignore || "disabled"}`,
+                        `Punish after: ${settings.limit || "disabled"}`,
+                        `Punishments: ${settings.ladder.join(", then ")}`,
+                        `Mute duration: ${Util.formatDuration(settings.muteDuration)}`,
+                        `Forgiven after: ${Util.formatDuration(settings.quietPeriod)}`
+                    ].concat(Object.keys(DETECTORS).map(name => this.describeDetector(message.chat.id, name))).join("\n");
+                }
+            }
+        };
     }
 
-    processWarn(message) {
-        const warnLimiter = this.warnLimiters[message.chat.id];
-        if (!warnLimiter) return;
-        warnLimiter.throttle().catch(() => {
-            const warnMessageLimiter = this.warnMessageLimiters[message.chat.id];
-            // Do not help the user spam: apply another limiter to our messages.
-            return warnMessageLimiter.throttle();
-        }).catch(() => {
-            const username = Util.buildPrettyUserName(message.from);
-            this.log.verbose(`Warning ${username} for flooding`);
-            this.sendMessage(message.chat.id, `User ${username} is flooding!`);
+    settingsOf(chatId) {
+        const chat = this.db[chatId];
+        const settings = Object.assign({}, this.defaults, chat && chat.settings);
+        // Detectors are merged one by one, so that chats only store what they changed
+        const detectors = {};
+        for (const name of Object.keys(DETECTORS)) {
+            detectors[name] = Object.assign(
+                {threshold: 0, action: "delete", window: DETECTORS[name].window},
+                this.defaults.detectors[name],
+                chat && chat.settings.detectors && chat.settings.detectors[name]
+            );
+        }
+        settings.detectors = detectors;
+        return settings;
+    }
+
+    // Private method
+    chatEntry(chatId) {
+        if (!this.db[chatId])
+            this.db[chatId] = {settings: {}, offences: {}};
+        return this.db[chatId];
+    }
+
+    updateSettings(chatId, changes) {
+        Object.assign(this.chatEntry(chatId).settings, changes);
+    }
+
+    describeLimit(chatId, N) {
+        return `${N} messages per ${Util.formatDuration(this.settingsOf(chatId).window)}`;
+    }
+
+    describeDetector(chatId, name) {
+        const detector = this.settingsOf(chatId).detectors[name];
+        if (!detector.threshold)
+            return `${name}: disabled`;
+        return `${name}: ${detector.action} after ${detector.threshold} (${DETECTORS[name].description}) in ${Util.formatDuration(detector.window)}`;
+    }
+
+    /* Records a summary of the message, and returns the user's messages in
+     * the longest window, as {time, text, links, media, mediaGroup, forward}.
+     */
+    record(message, settings) {
+        const key = `${message.chat.id}:${message.from.id}`;
+        const now = Date.now();
+        const windows = Object.keys(DETECTORS)
+            .filter(name => settings.detectors[name].threshold)
+            .map(name => settings.detectors[name].window);
+        const longest = Math.max(settings.window, ...windows);
+        const text = message.text || message.caption;
+        const entities = (message.entities || []).concat(message.caption_entities || []);
+        const recent = (this.recent[key] || []).filter(entry => entry.time > now - longest);
+        recent.push({
+            time: now,
+            text: text ? normalize(text) : undefined,
+            links: entities.filter(entity => LINK_ENTITIES.includes(entity.type)).length,
+            media: MEDIA_TYPES.some(type => type in message),
+            mediaGroup: message.media_group_id,
+            forward: Boolean(message.forward_from_chat && message.forward_from_chat.type === "channel")
         });
+        this.recent[key] = recent;
+        return recent;
     }
 
-    processKick(message) {
-        const kickLimiter = this.kickLimiters[message.chat.id];
-        if (!kickLimiter) return;
-        kickLimiter.throttle().catch(() => {
-            const username = Util.buildPrettyUserName(message.from);
-            this.log.verbose(`Kicking ${username} for flooding`);
-            this.sendMessage(message.chat.id, `Kicking ${username} for flooding.`);
-            return this.kickChatMember(message.chat.id, message.from.id);
-        }).catch(err => this.sendMessage(message.chat.id, "An error occurred while kicking the user: " + err));
+    /* Whether the user wasn't already punished by the detector in this burst,
+     * which then lasts until the detector's window passes without spam.
+     */
+    startsBurst(message, detected) {
+        const key = `${message.chat.id}:${message.from.id}:${detected.name}`;
+        const now = Date.now();
+        const punishedUntil = this.punished[key];
+        this.punished[key] = now + detected.window;
+        if (punishedUntil > now)
+            return false;
+        for (const other of Object.keys(this.punished)) {
+            if (this.punished[other] < now)
+                delete this.punished[other];
+        }
+        return true;
     }
 
-    proxy(eventName, message) {
-        // Don't even process inline messages
-        if (!message.chat) return Promise.resolve();
+    // Returns the action for the user's latest offence, which it records.
+    escalate(message, settings) {
+        const offences = this.chatEntry(message.chat.id).offences;
+        const now = Date.now();
+        let offence = offences[message.from.id];
+        if (!offence || now - offence.last > settings.quietPeriod)
+            offence = {count: 0};
+        offences[message.from.id] = {count: offence.count + 1, last: now};
+        return settings.ladder[Math.min(offence.count, settings.ladder.length - 1)];
+    }
+
+    // Punishes the user with the given action, or with the next one in the ladder.
+    punish(message, settings, action = this.escalate(message, settings)) {
+        const chatId = message.chat.id;
+        const userId = message.from.id;
+        const username = Util.buildPrettyUserName(message.from);
+        this.log.verbose(`Flood by ${username} in ${chatId}: ${action}`);
+        // The punishment goes through even if the bot can't post in the chat
+        const announce = text => this.sendMessage(chatId, text)
+            .catch(err => this.log.warn(`Couldn't announce the punishment of ${username} in ${chatId}: ${err}`));
+        let promise;
+        switch (action) {
+            case "warn":
+                promise = this.sendMessage(chatId, `User ${username} is flooding!`);
+                break;
+            case "mute":
+                announce(`Muting ${username} for ${Util.formatDuration(settings.muteDuration)} for flooding.`);
+                promise = this.restrictChatMember(chatId, userId, {
+                    until_date: Math.round((Date.now() + settings.muteDuration) / 1000),
+                    can_send_messages: false
+                });
+                break;
+            case "kick":
+                announce(`Kicking ${username} for flooding.`);
+                // Unbanning right away lets them join again
+                promise = this.kickChatMember(chatId, userId).then(() => this.unbanChatMember(chatId, userId));
+                break;
+            case "ban":
+                announce(`Banning ${username} for flooding.`);
+                promise = this.kickChatMember(chatId, userId);
+                break;
+            default:
+                this.log.warn(`Unknown punishment "${action}" in ${chatId}`);
+                return Promise.resolve();
+        }
+        return promise.catch(err => announce(`An error occurred while punishing the user (${action}): ${err}`));
+    }
+
+    middleware(ctx) {
+        const message = ctx.message;
+        // Don't even process inline messages and channel posts
+        if (!message.chat || !message.from) return;
+        if (SKIPPED_EVENTS.includes(ctx.event) || message.edit_date) return;
 
         // Skip old messages when "catching up"
-        const oldThreshold = 30; // todo: move to config
         const now = new Date().getTime();
-        if ((Math.round(now / 1000) - message.date) > oldThreshold)
-            return Promise.reject();
-
-        this.processWarn(message);
-        this.processKick(message);
-        return this.processIgnore(message);
-    }
-
-    onCommand({message, command, args}) {
-        switch (command) {
-            case "floodignore": {
-                if (args.length !== 1)
-                    return "Syntax: /floodignore <N>";
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                const chatId = message.chat.id;
-                const N = Number(args[0]);
-                if (N === 0) {
-                    delete this.ignoreLimiters[chatId];
-                    return "Antiflood ignore disabled for this chat.";
-                }
-                this.ignoreLimiters[chatId] = new LeakyBucket(N, RATE_TIMEOUT, 0);
-                return `New rate limit: ${N} messages per 5 seconds`;
-            }
-            case "floodwarn": {
-                if (args.length !== 1)
-                    return "Syntax: /floodwarn <N>";
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                const chatId = message.chat.id;
-                const N = Number(args[0]);
-                if (N === 0) {
-                    delete this.warnLimiters[chatId];
-                    return "Antiflood warn disabled for this chat.";
-                }
-                this.warnLimiters[chatId] = new LeakyBucket(N, RATE_TIMEOUT, 0);
-                // Issue at most one warning every five seconds, so as not to help the user spam
-                this.warnMessageLimiters[chatId] = new LeakyBucket(1, RATE_TIMEOUT, 0);
-                return `New rate limit: ${N} messages per 5 seconds`;
-            }
-            case "floodkick": {
-                if (args.length !== 1)
-                    return "Syntax: /floodkick <N>";
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                const chatId = message.chat.id;
-                const N = Number(args[0]);
-                if (N === 0) {
-                    delete this.kickLimiters[chatId];
-                    return "Antiflood kick disabled for this chat.";
-                }
-                this.kickLimiters[chatId] = new LeakyBucket(N, RATE_TIMEOUT, 0);
-                return `New rate limit: ${N} messages per 5 seconds`;
-            }
+        if ((Math.round(now / 1000) - message.date) > this.catchUpThreshold) {
+            ctx.drop("old message");
+            return;
+        }
+
+        const settings = this.settingsOf(message.chat.id);
+        const detectorsEnabled = Object.keys(DETECTORS).some(name => settings.detectors[name].threshold);
+        if (!settings.ignore && !settings.limit && !detectorsEnabled) return;
+        // Admins can flood all they want
+        if (this.auth && this.auth.isChatAdmin(message.from.id, message.chat.id)) return;
+        const recent = this.record(message, settings);
+
+        const detected = detect(recent, settings);
+        if (detected) {
+            const username = Util.buildPrettyUserName(message.from);
+            this.deleteMessage(message.chat.id, message.message_id)
+                .catch(err => this.log.warn(`Couldn't delete spam from ${username}: ${err}`));
+            // Punish once per burst, but delete everything over the threshold
+            if (detected.action !== "delete" && this.startsBurst(message, detected))
+                this.punish(message, settings, (detected.action === "escalate") ? undefined : detected.action);
+            ctx.drop(`${username} is spamming (${detected.name})`);
+            return;
         }
+
+        const count = recent.filter(entry => entry.time > Date.now() - settings.window).length;
+        // Punish once per flood, when the user goes over the limit
+        if (settings.limit && count === settings.limit + 1)
+            this.punish(message, settings);
+        if (settings.ignore && count > settings.ignore)
+            ctx.drop(`${Util.buildPrettyUserName(message.from)} is flooding`);
     }
-};
\ No newline at end of file
+};
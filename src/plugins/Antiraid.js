@@ -0,0 +1,239 @@
+const Plugin = require("./../Plugin");
+const Util = require("./../Util");
+
+// Settings of chats that didn't change them (durations are in milliseconds)
+const DEFAULTS = {
+    joins: 10, // Joins per window that make a raid, 0 to disable the detector
+    window: 60 * 1000,
+    duration: 30 * 60 * 1000, // How long lockdowns last
+    kick: false // Whether to kick the users who joined in the window (the raiders), rather than muting them
+};
+
+// What muted users get back when a lockdown ends
+const UNMUTED = {
+    can_send_messages: true,
+    can_send_media_messages: true,
+    can_send_other_messages: true,
+    can_add_web_page_previews: true
+};
+
+/* The database maps chat IDs to {settings, lockdown}: `settings` only holds
+ * what the admins changed, and `lockdown` is {until, muted} while the chat is
+ * locked down, `muted` listing the users to unmute when it ends.
+ * Recent joins are only kept in memory.
+ */
+module.exports = class Antiraid extends Plugin {
+    constructor(obj) {
+        super(obj);
+
+        this.auth = obj.auth;
+
+        const options = (obj.config && obj.config.antiraid) || {};
+        this.defaults = Object.assign({}, DEFAULTS, options.defaults);
+
+        // Maps chat IDs to the recent joins, as {time, member}
+        this.joins = {};
+    }
+
+    static get plugin() {
+        return {
+            name: "Antiraid",
+            description: "Locks the chat down when lots of users join at once",
+            help: `When more than N users join in a minute (see /raidlimit), the chat is locked down: new members are muted, and the admins are alerted. The lockdown ends by itself after 30 minutes (see /raidduration), or with /unlock.
+
+Use /raidkick to kick the users who joined during the raid rather than muting them, and /lockdown to lock the chat down by hand.`
+        };
+    }
+
+    onLoad() {
+        this.scheduler.on("lockdownEnd", ({chat}) => {
+            this.endLockdown(chat)
+                .then(() => this.sendMessage(chat, "The lockdown is over: new members can talk again."))
+                .catch(err => this.log.error(`Couldn't end the lockdown of ${chat}`, err));
+        });
+    }
+
+    get commands() {
+        return {
+            raidlimit: {
+                description: "Sets how many joins in the window make a raid",
+                args: [
+                    {name: "N", type: "integer", description: "0 to disable"},
+                    {name: "window", type: "duration", optional: true}
+                ],
+                privilege: "admin",
+                handler: ({message, params: {N, window}}) => {
+                    const changes = {joins: N};
+                    if (window !== undefined)
+                        changes.window = window;
+                    this.updateSettings(message.chat.id, changes);
+                    if (N === 0)
+                        return "Raid detection disabled for this chat.";
+                    return `Raids are now ${N} joins in ${Util.formatDuration(this.settingsOf(message.chat.id).window)}.`;
+                }
+            },
+            raidduration: {
+                description: "Sets how long lockdowns last",
+                args: [{name: "duration", type: "duration"}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    this.updateSettings(message.chat.id, {duration: params.duration});
+                    return `Lockdowns now last ${Util.formatDuration(params.duration)}.`;
+                }
+            },
+            raidkick: {
+                description: "Chooses whether raiders are kicked (on) or muted (off)",
+                args: [{name: "state", type: "string", description: "on or off"}],
+                privilege: "admin",
+                handler: ({message, params: {state}}) => {
+                    if (state !== "on" && state !== "off")
+                        return "Syntax: `/raidkick on|off`";
+                    this.updateSettings(message.chat.id, {kick: state === "on"});
+                    return (state === "on") ? "Raiders will be kicked." : "Raiders will be muted.";
+                }
+            },
+            raidsettings: {
+                description: "Shows the raid protection settings of this chat",
+                handler: ({message}) => {
+                    const settings = this.settingsOf(message.chat.id);
+                    const lockdown = this.lockdownOf(message.chat.id);
+                    return [
+                        `Raid: ${settings.joins ? `${settings.joins} joins in ${Util.formatDuration(settings.window)}` : "detection disabled"}`,
+                        `Lockdown duration: ${Util.formatDuration(settings.duration)}`,
+                        `Raiders are ${settings.kick ? "kicked" : "muted"}`,
+                        lockdown ? `Locked down for ${Util.formatDuration(lockdown.until - Date.now())}` : "Not locked down"
+                    ].join("\n");
+                }
+            },
+            lockdown: {
+                description: "Locks the chat down",
+                args: [{name: "duration", type: "duration", optional: true}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    const duration = params.duration || this.settingsOf(message.chat.id).duration;
+                    this.startLockdown(message.chat.id, duration);
+                    return `The chat is locked down for ${Util.formatDuration(duration)}: new members will be muted. Use /unlock to end the lockdown.`;
+                }
+            },
+            unlock: {
+                description: "Ends the lockdown",
+                privilege: "admin",
+                handler: async ({message}) => {
+                    if (!this.lockdownOf(message.chat.id))
+                        return "The chat isn't locked down.";
+                    await this.endLockdown(message.chat.id);
+                    return "The lockdown is over: new members can talk again.";
+                }
+            }
+        };
+    }
+
+    settingsOf(chatId) {
+        const chat = this.db[chatId];
+        return Object.assign({}, this.defaults, chat && chat.settings);
+    }
+
+    // Private method
+    chatEntry(chatId) {
+        if (!this.db[chatId])
+            this.db[chatId] = {settings: {}};
+        return this.db[chatId];
+    }
+
+    updateSettings(chatId, changes) {
+        Object.assign(this.chatEntry(chatId).settings, changes);
+    }
+
+    // Returns the current lockdown of the chat, if any.
+    lockdownOf(chatId) {
+        const lockdown = this.db[chatId] && this.db[chatId].lockdown;
+        if (!lockdown || lockdown.until < Date.now())
+            return undefined;
+        return lockdown;
+    }
+
+    startLockdown(chatId, duration) {
+        const until = Date.now() + duration;
+        const previous = this.lockdownOf(chatId);
+        this.chatEntry(chatId).lockdown = {until, muted: previous ? previous.muted : []};
+        this.scheduler.cancel(it => it.chat === chatId);
+        this.scheduler.scheduleOneoff("lockdownEnd", {chat: chatId}, until);
+        this.log.verbose(`Locked down ${chatId} for ${Util.formatDuration(duration)}`);
+    }
+
+    /* Lifts the lockdown, and unmutes the users it muted: their restrictions
+     * may outlast it (see Util.restrictionDate).
+     */
+    async endLockdown(chatId) {
+        // Unlike lockdownOf, includes the lockdown that is just over
+        const lockdown = this.db[chatId] && this.db[chatId].lockdown;
+        if (this.db[chatId])
+            delete this.db[chatId].lockdown;
+        this.scheduler.cancel(it => it.chat === chatId);
+        if (!lockdown)
+            return;
+        await Promise.all(lockdown.muted.map(userId => this.restrictChatMember(chatId, userId, UNMUTED)
+            .catch(err => this.log.warn(`Couldn't unmute ${userId} in ${chatId}: ${err}`))));
+    }
+
+    /* Tells the handlers of the other plugins about the lockdown, as
+     * `state.lockdown = {until}`: eg. Captcha doesn't unmute the users it
+     * verifies before the lockdown ends.
+     */
+    middleware(ctx) {
+        // Callback queries carry the chat in their message
+        const message = ctx.message.message || ctx.message;
+        const lockdown = message.chat && this.lockdownOf(message.chat.id);
+        if (lockdown)
+            ctx.state.lockdown = {until: lockdown.until};
+    }
+
+    // Mutes the user until the end of the lockdown, or kicks them.
+    restrict(chatId, user, kick) {
+        if (kick)
+            return this.kickChatMember(chatId, user.id).then(() => this.unbanChatMember(chatId, user.id));
+        const lockdown = this.lockdownOf(chatId);
+        lockdown.muted.push(user.id);
+        return this.restrictChatMember(chatId, user.id, {
+            until_date: Util.restrictionDate(lockdown.until),
+            can_send_messages: false
+        });
+    }
+
+    alertAdmins(chat, joins, settings) {
+        const text = `Raid detected in ${Util.buildPrettyChatName(chat)}: ${joins} users joined in ${Util.formatDuration(settings.window)}. The chat is locked down for ${Util.formatDuration(settings.duration)}; use /unlock there to end the lockdown.`;
+        for (const admin of this.auth.getChatAdmins(chat.id)) {
+            this.sendMessage(admin, text)
+                .catch(() => this.log.verbose(`Couldn't alert admin ${admin} of the raid in ${chat.id}`));
+        }
+    }
+
+    onNewChatMembers({message}) {
+        const chatId = message.chat.id;
+        const settings = this.settingsOf(chatId);
+        const members = message.new_chat_members.filter(member => !member.is_bot && !this.auth.isChatAdmin(member.id, chatId));
+
+        // Only the raiders are kicked: whoever joins later is muted
+        if (this.lockdownOf(chatId))
+            return Promise.all(members.map(member => this.restrict(chatId, member, false)))
+                .then(() => {});
+        if (!settings.joins) return;
+
+        // Remembers who joined in the window, to restrict them too
+        const now = Date.now();
+        const recent = (this.joins[chatId] || [])
+            .filter(join => join.time > now - settings.window)
+            .concat(members.map(member => ({time: now, member})));
+        this.joins[chatId] = recent;
+        if (recent.length < settings.joins) return;
+
+        delete this.joins[chatId];
+        this.log.verbose(`Raid in ${chatId}: ${recent.length} joins`);
+        this.startLockdown(chatId, settings.duration);
+        this.alertAdmins(message.chat, recent.length, settings);
+        this.sendMessage(chatId, `Raid detected: the chat is locked down for ${Util.formatDuration(settings.duration)}, and new members are muted. Admins can end the lockdown with /unlock.`);
+        return Promise.all(recent.map(join => this.restrict(chatId, join.member, settings.kick)
+            .catch(err => this.log.warn(`Couldn't restrict ${join.member.id} in ${chatId}: ${err}`))))
+            .then(() => {});
+    }
+};
@@ -12,7 +12,9 @@ module.exports = class AuthPlugin extends Plugin {
 /addadmin, /deladmin to add or remove admins
 /importadmins to import the chat's admins as this bot's "chat admins"
 
-The owner(s) can add other owners by manually editing the bot's configuration and restarting the bot.`
+The owner(s) can add other owners by manually editing the bot's configuration and restarting the bot.`,
+
+            requires: ["UserInfo"]
         };
     }
 
@@ -1,12 +1,13 @@
 const Plugin = require("../Plugin");
-const request = require("request-promise-native");
+const Util = require("./../Util");
 
 module.exports = class BoobsButts extends Plugin {
     static get plugin() {
         return {
             name: "BoobsButts",
+            enabledByDefault: false,
             description: "Get boobs and butts.",
-            help: "Just type /boobs or /butts."
+            help: "Just type /boobs or /butts.\n\nOff by default: chat admins can turn it on with `/enable BoobsButts chat`."
         };
     }
 
@@ -14,8 +15,7 @@ module.exports = class BoobsButts extends Plugin {
         switch (command) {
             case "boobs":
             case "butts": {
-                const data = await request(`http://api.o${command}.ru/noise/1`);
-                const item = JSON.parse(data)[0];
+                const [item] = await Util.http.getJSON(`http://api.o${command}.ru/noise/1`);
                 return {
                     type: "photo",
                     photo: `http://media.o${command}.ru/${item.preview}`
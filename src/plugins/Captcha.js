@@ -0,0 +1,313 @@
+const Plugin = require("./../Plugin");
+const Util = require("./../Util");
+
+const md = Util.formatter("Markdown");
+
+// Settings of chats that didn't change them
+const DEFAULTS = {
+    type: "random", // One of CHALLENGES, or "random"
+    timeout: 5 * 60 * 1000, // Milliseconds before the newcomer is kicked
+    attempts: 3 // Wrong answers before the newcomer is kicked
+};
+
+const EMOJIS = {
+    apple: "🍎",
+    car: "🚗",
+    cat: "🐱",
+    dog: "🐶",
+    house: "🏠",
+    pizza: "🍕",
+    rocket: "🚀",
+    tree: "🌳"
+};
+
+// What verified users get back
+const UNRESTRICTED = {
+    can_send_messages: true,
+    can_send_media_messages: true,
+    can_send_other_messages: true,
+    can_add_web_page_previews: true
+};
+
+// How long restrictions outlast the timeout, in case the bot can't kick the user in time
+const RESTRICTION_MARGIN = 60 * 1000;
+
+const random = n => Math.floor(Math.random() * n);
+
+function shuffle(array) {
+    const copy = array.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = random(i + 1);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/* Each challenge returns {question, answer, choices}: the newcomer must press
+ * the button whose text is `answer`.
+ */
+const CHALLENGES = {
+    button: () => ({
+        question: "press the button below.",
+        answer: "I'm not a robot",
+        choices: ["I'm not a robot"]
+    }),
+    math: () => {
+        const a = 1 + random(10);
+        const b = 1 + random(10);
+        const answer = a + b;
+        const wrong = shuffle([-3, -2, -1, 1, 2, 3].map(delta => answer + delta)).slice(0, 3);
+        return {
+            question: `how much is ${a} + ${b}?`,
+            answer: String(answer),
+            choices: shuffle([answer].concat(wrong)).map(String)
+        };
+    },
+    emoji: () => {
+        const names = shuffle(Object.keys(EMOJIS)).slice(0, 4);
+        const name = names[random(names.length)];
+        return {
+            question: `pick the ${name}.`,
+            answer: EMOJIS[name],
+            choices: names.map(it => EMOJIS[it])
+        };
+    }
+};
+
+/* The database maps chat IDs to {settings, pending}: `settings` only holds what
+ * the admins changed, and `pending` maps the IDs of unverified users to
+ * {answer, attempts, messageId, name}. Timeouts are Scheduler events, so that
+ * challenges survive restarts along with the buttons' payloads.
+ */
+module.exports = class Captcha extends Plugin {
+    constructor(obj) {
+        super(obj);
+
+        this.auth = obj.auth;
+
+        const options = (obj.config && obj.config.captcha) || {};
+        this.defaults = Object.assign({}, DEFAULTS, options.defaults);
+    }
+
+    static get plugin() {
+        return {
+            name: "Captcha",
+            description: "Asks new members to prove they're human",
+            help: `New members can't talk until they answer a question, by pressing the right button: they are kicked if they don't do it in 5 minutes (see /captchatimeout), or if they get it wrong 3 times.
+
+Use /captchatype to choose the question (button, math, emoji or random), and /approve (or the "Approve" button) to let someone in by hand.`
+        };
+    }
+
+    onLoad() {
+        this.scheduler.on("captchaTimeout", ({chat, user}) => {
+            this.fail(chat, user, "timeout")
+                .catch(err => this.log.error(`Couldn't kick ${user} from ${chat}`, err));
+        });
+    }
+
+    get commands() {
+        return {
+            captchatype: {
+                description: "Chooses the question for new members",
+                args: [{name: "type", type: "string", description: Object.keys(CHALLENGES).concat("random").join(", ")}],
+                privilege: "admin",
+                handler: ({message, params: {type}}) => {
+                    type = type.toLowerCase();
+                    if (!(type in CHALLENGES) && type !== "random")
+                        return `Unknown type "${type}": use ${Object.keys(CHALLENGES).concat("random").join(", ")}.`;
+                    this.updateSettings(message.chat.id, {type});
+                    return `New members will get ${(type === "random") ? "a random question" : `the ${type} question`}.`;
+                }
+            },
+            captchatimeout: {
+                description: "Sets how long new members have to answer",
+                args: [{name: "duration", type: "duration"}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    if (params.duration < 10 * 1000)
+                        return "New members need at least 10 seconds to answer.";
+                    this.updateSettings(message.chat.id, {timeout: params.duration});
+                    return `New members now have ${Util.formatDuration(params.duration)} to answer.`;
+                }
+            },
+            approve: {
+                description: "Lets a new member in without answering",
+                args: [{name: "user", type: "user"}],
+                privilege: "admin",
+                handler: async ({message, params, state}) => {
+                    if (!this.pendingOf(message.chat.id, params.user))
+                        return "That user isn't waiting for verification.";
+                    await this.pass(message.chat.id, params.user, state.lockdown);
+                    return "Approved.";
+                }
+            }
+        };
+    }
+
+    get callbacks() {
+        return {
+            answer: async ({query, payload: {chat, user, choice}, state}) => {
+                const pending = this.pendingOf(chat, user);
+                if (!pending)
+                    return "This question has expired.";
+                if (query.from.id !== user)
+                    return "This question isn't for you.";
+                if (choice === pending.answer) {
+                    await this.pass(chat, user, state.lockdown);
+                    return "Welcome!";
+                }
+                pending.attempts++;
+                if (pending.attempts >= this.settingsOf(chat).attempts) {
+                    await this.fail(chat, user, "wrong answers");
+                    return "Wrong answer.";
+                }
+                return {text: "Wrong answer, try again.", show_alert: true};
+            },
+            approve: async ({query, payload: {chat, user}, state}) => {
+                if (!this.auth.isChatAdmin(query.from.id, chat))
+                    return "Only admins can approve new members.";
+                if (!this.pendingOf(chat, user))
+                    return "This user was already verified or kicked.";
+                await this.pass(chat, user, state.lockdown);
+                return "Approved.";
+            }
+        };
+    }
+
+    settingsOf(chatId) {
+        const chat = this.db[chatId];
+        return Object.assign({}, this.defaults, chat && chat.settings);
+    }
+
+    // Private method
+    chatEntry(chatId) {
+        if (!this.db[chatId])
+            this.db[chatId] = {settings: {}, pending: {}};
+        return this.db[chatId];
+    }
+
+    updateSettings(chatId, changes) {
+        Object.assign(this.chatEntry(chatId).settings, changes);
+    }
+
+    pendingOf(chatId, userId) {
+        const chat = this.db[chatId];
+        return chat && chat.pending[userId];
+    }
+
+    async challenge(chatId, user, lockdown) {
+        const settings = this.settingsOf(chatId);
+        const types = Object.keys(CHALLENGES);
+        const type = (settings.type in CHALLENGES) ? settings.type : types[random(types.length)];
+        const {question, answer, choices} = CHALLENGES[type]();
+        const deadline = Date.now() + settings.timeout;
+
+        // Recorded first, so that the user is kicked on timeout whatever happens next
+        this.chatEntry(chatId).pending[user.id] = {
+            answer,
+            attempts: 0,
+            name: Util.buildPrettyUserName(user)
+        };
+        this.scheduler.cancel(it => it.chat === chatId && it.user === user.id);
+        this.scheduler.scheduleOneoff("captchaTimeout", {chat: chatId, user: user.id}, deadline);
+
+        const abandon = () => {
+            if (this.pendingOf(chatId, user.id))
+                this.settle(chatId, user.id);
+        };
+
+        /* Telegram lifts the restriction by itself if the bot misses the timeout
+         * (eg. it is down), but not before the end of a lockdown: restricting
+         * replaces the mute set by Antiraid.
+         */
+        const until = Math.max(deadline + RESTRICTION_MARGIN, lockdown ? lockdown.until : 0);
+        try {
+            await this.restrictChatMember(chatId, user.id, {
+                until_date: Util.restrictionDate(until),
+                can_send_messages: false
+            });
+        } catch (err) {
+            abandon();
+            throw err;
+        }
+
+        // Buttons are useless once the user is kicked
+        const ttl = settings.timeout + 60 * 60 * 1000;
+        let sent;
+        try {
+            sent = await this.sendMessage(chatId, `Welcome ${md.mention(user)}! To prove you're human, ${md.escape(question)} You have ${Util.formatDuration(settings.timeout)}.`, {
+                parse_mode: "Markdown",
+                reply_markup: this.inlineKeyboard([
+                    choices.map(choice => ({text: choice, callback: "answer", payload: {chat: chatId, user: user.id, choice}, ttl})),
+                    [{text: "Approve (admins)", callback: "approve", payload: {chat: chatId, user: user.id}, ttl}]
+                ])
+            });
+        } catch (err) {
+            // Nobody can answer a question that wasn't asked
+            abandon();
+            await this.release(chatId, user.id, lockdown)
+                .catch(() => this.log.warn(`Couldn't unrestrict ${user.id} in ${chatId}`));
+            throw err;
+        }
+        // The user may have been approved or left in the meantime
+        const pending = this.pendingOf(chatId, user.id);
+        if (pending && sent)
+            pending.messageId = sent.message_id;
+    }
+
+    // Private method
+    settle(chatId, userId) {
+        const pending = this.pendingOf(chatId, userId);
+        delete this.db[chatId].pending[userId];
+        this.scheduler.cancel(it => it.chat === chatId && it.user === userId);
+        if (pending.messageId)
+            this.deleteMessage(chatId, pending.messageId)
+                .catch(err => this.log.verbose(`Couldn't delete the question for ${userId} in ${chatId}: ${err}`));
+        return pending;
+    }
+
+    // Gives the user back what the challenge took away, except during a lockdown.
+    release(chatId, userId, lockdown) {
+        if (lockdown && lockdown.until > Date.now())
+            return this.restrictChatMember(chatId, userId, {
+                until_date: Util.restrictionDate(lockdown.until),
+                can_send_messages: false
+            });
+        return this.restrictChatMember(chatId, userId, UNRESTRICTED);
+    }
+
+    // `lockdown` is Antiraid's, from the handler's state (if any).
+    async pass(chatId, userId, lockdown) {
+        const pending = this.settle(chatId, userId);
+        this.log.verbose(`${pending.name} passed the verification in ${chatId}`);
+        await this.release(chatId, userId, lockdown);
+    }
+
+    // Kicks the user, who can join and try again.
+    async fail(chatId, userId, reason) {
+        if (!this.pendingOf(chatId, userId)) return;
+        const pending = this.settle(chatId, userId);
+        this.log.verbose(`Kicking ${pending.name} from ${chatId} (${reason})`);
+        await this.kickChatMember(chatId, userId);
+        await this.unbanChatMember(chatId, userId);
+    }
+
+    // Nobody needs to be kicked after leaving
+    onLeftChatMember({message}) {
+        const chatId = message.chat.id;
+        const userId = message.left_chat_member.id;
+        if (this.pendingOf(chatId, userId))
+            this.settle(chatId, userId);
+    }
+
+    onNewChatMembers({message, state}) {
+        const chatId = message.chat.id;
+        return Promise.all(message.new_chat_members
+            // Bots can only be added by admins
+            .filter(member => !member.is_bot && !this.auth.isChatAdmin(member.id, chatId))
+            .map(member => this.challenge(chatId, member, state.lockdown)
+                .catch(err => this.log.warn(`Couldn't verify ${member.id} in ${chatId}: ${err}`)))
+        ).then(() => {});
+    }
+};
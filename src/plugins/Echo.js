@@ -7,13 +7,17 @@ module.exports = class Echo extends Plugin {
     static get plugin() {
         return {
             name: "Echo",
-            description: "Totally not a bot with an echo",
-            help: "`/echo Lorem Ipsum`"
+            description: "Totally not a bot with an echo"
         };
     }
 
-    onCommand({command, args}) {
-        if (command !== "echo") return;
-        return args.join(" ");
+    get commands() {
+        return {
+            echo: {
+                description: "Repeats what you said",
+                args: [{name: "text", type: "text"}],
+                handler: ({params}) => params.text
+            }
+        };
     }
-};
\ No newline at end of file
+};
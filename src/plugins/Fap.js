@@ -1,13 +1,13 @@
 const Plugin = require("../Plugin");
 const Util = require("./../Util");
-const request = require("request-promise-native");
 
 module.exports = class Porn extends Plugin {
     static get plugin() {
         return {
             name: "Porn",
+            enabledByDefault: false,
             description: "Searches porn.com.",
-            help: "`/porn <query>`"
+            help: "`/porn <query>`\n\nOff by default: chat admins can turn it on with `/enable Porn chat`."
         };
     }
 
@@ -17,7 +17,7 @@ module.exports = class Porn extends Plugin {
             return "Please enter a search query.";
 
         const query = args.join(" ");
-        const data = JSON.parse(await request(`http://api.porn.com/videos/find.json?search=${encodeURIComponent(query)}`));
+        const data = await Util.http.getJSON(`http://api.porn.com/videos/find.json?search=${encodeURIComponent(query)}`);
         if (data.success !== true)
             throw new Error("An error occurred.");
 
@@ -15,44 +15,44 @@ module.exports = class Ignore extends Plugin {
         return {
             name: "Ignore",
             description: "Ignore users",
-            help: "Syntax: /ignore <ID/username>",
 
-            isProxy: true
+            middlewarePriority: 20,
+            requires: ["UserInfo"]
         };
     }
 
-    proxy(eventName, message) {
-        if (this.db.ignored.indexOf(message.from.id) !== -1)
-            return Promise.reject();
-        return Promise.resolve();
-    }
-
-    onCommand({message, command, args}) {
-        switch (command) {
-            case "ignorelist":
-                return this.db.ignored.map(id => Util.nameResolver.getUsernameFromUserID(id) || id).map(str => "- " + str).join("\n") || "None.";
-            case "ignore": {
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                const target = Util.getTargetID(message, args, "ignore");
-                if (typeof target === "string") // Error messages
-                    return target;
-                if (this.auth.isChatAdmin(target, message.chat.id))
-                    return "Can't ignore chat admins.";
-
-                this.db.ignored.push(target);
-                return "Ignored.";
+    get commands() {
+        return {
+            ignorelist: {
+                description: "Lists the ignored users",
+                handler: () => this.db.ignored.map(id => Util.nameResolver.getUsernameFromUserID(id) || id).map(str => "- " + str).join("\n") || "None."
+            },
+            ignore: {
+                description: "Ignores a user",
+                args: [{name: "user", type: "user"}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    if (this.auth.isChatAdmin(params.user, message.chat.id))
+                        return "Can't ignore chat admins.";
+                    this.db.ignored.push(params.user);
+                    return "Ignored.";
+                }
+            },
+            unignore: {
+                description: "Stops ignoring a user",
+                args: [{name: "user", type: "user"}],
+                privilege: "admin",
+                handler: ({params}) => {
+                    this.db.ignored = this.db.ignored.filter(id => id !== params.user);
+                    return "Unignored.";
+                }
             }
-            case "unignore": {
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                const target = Util.getTargetID(message, args, "unignore");
-                if (typeof target === "string") // Error messages
-                    return target;
+        };
+    }
 
-                this.db.ignored = this.db.ignored.filter(id => id !== target);
-                return "Unignored.";
-            }
-        }
+    middleware(ctx) {
+        const message = ctx.message;
+        if (message.from && this.db.ignored.indexOf(message.from.id) !== -1)
+            ctx.drop(`${message.from.id} is ignored`);
     }
 };
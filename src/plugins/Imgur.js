@@ -1,10 +1,11 @@
 const Plugin = require("../Plugin");
-const request = require("request-promise-native");
+const Util = require("./../Util");
 
 module.exports = class Imgur extends Plugin {
     static get plugin() {
         return {
             name: "Imgur",
+            cooldowns: {imgur: {user: 30, chat: 10}},
             description: "Get a random image from imgur",
             help: "`/imgur` will get you a random image from imgur, the popular image hosting website.\nBeware, you could randomly find adult content."
         };
@@ -24,11 +25,8 @@ module.exports = class Imgur extends Plugin {
         const url = `http://i.imgur.com/${Imgur.generateUrl(6)}.png`;
 
         try {
-            const response = await request({
-                method: "HEAD",
-                uri: url
-            });
-            if (response["content-length"] === "12022")
+            const response = await Util.http.head(url, {retries: 0});
+            if (response.headers["content-length"] === "12022")
                 return this.findValidPic(s + 1, message);
             return {
                 type: "photo",
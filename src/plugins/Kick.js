@@ -6,7 +6,9 @@ module.exports = class Kick extends Plugin {
         return {
             name: "Kick",
             description: "Kicks users",
-            help: "Reply with /kick or /ban, or send /[kick|ban] ID."
+            help: "Reply with /kick or /ban, or send /[kick|ban] ID.",
+
+            requires: ["UserInfo"]
         };
     }
 
@@ -16,60 +18,72 @@ module.exports = class Kick extends Plugin {
         this.auth = obj.auth;
     }
 
-    async onCommand({message, command, args}) {
-        const chatID = message.chat.id;
-        switch (command) {
-            case "banlist": {
-                if (!this.db[chatID])
-                    return "Empty.";
-                return this.db[chatID].map(id => Util.nameResolver.getUsernameFromUserID(id) || id).map(str => "- " + str).join("\n") || "None.";
-            }
-            case "kick": {
-                if (!this.auth.isChatAdmin(message.from.id, chatID))
-                    return "Insufficient privileges (chat admin required).";
-                const target = Util.getTargetID(message, args, "kick");
-                if (typeof target === "string") return target;
-                if (this.auth.isChatAdmin(target, chatID))
-                    return "Can't kick chat admins!";
-                return this.kick(chatID, target).catch(e => {
-                    if (/USER_NOT_PARTICIPANT/.test(e.message))
-                        return "The user is no longer in the chat!";
-                    throw e;
-                });
-            }
-            case "ban": {
-                if (!this.auth.isChatAdmin(message.from.id, chatID))
-                    return "Insufficient privileges (chat admin required).";
-                const target = Util.getTargetID(message, args, "ban");
-                if (typeof target === "string") return target;
-                if (this.auth.isChatAdmin(target, chatID))
-                    return "Can't ban chat admins!";
-                this.ban(chatID, target);
-                return this.kick(chatID, target).catch(e => {
-                    /* We don't care if the user is no longer in the chat, so
-                     * we should swallow the error. However, in that case, the
-                     * admin wouldn't receive any feedback! So, return a
-                     * confirmation message.
-                     */
-                    if (/USER_NOT_PARTICIPANT/.test(e.message))
-                        return "Banned.";
-                    throw e;
-                });
-            }
-            case "unban": {
-                if (!this.auth.isChatAdmin(message.from.id, chatID))
-                    return "Insufficient privileges (chat admin required).";
-                const target = Util.getTargetID(message, args, "unban");
-                if (typeof target === "string") return target;
-                if (!this.db[chatID])
-                    return "It seems that there are no banned users.";
-                this.db[chatID] = this.db[chatID].filter(id => id !== target);
-                const chat = await this.getChat(chatID);
-                if (chat.type === "supergroup")
-                    await this.unbanChatMember(chatID, target);
-                return "Unbanned.";
+    get commands() {
+        return {
+            banlist: {
+                description: "Lists the users banned from this chat",
+                handler: ({message}) => {
+                    const chatID = message.chat.id;
+                    if (!this.db[chatID])
+                        return "Empty.";
+                    return this.db[chatID].map(id => Util.nameResolver.getUsernameFromUserID(id) || id).map(str => "- " + str).join("\n") || "None.";
+                }
+            },
+            kick: {
+                description: "Kicks a user",
+                args: [{name: "user", type: "user"}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    const chatID = message.chat.id;
+                    const target = params.user;
+                    if (this.auth.isChatAdmin(target, chatID))
+                        return "Can't kick chat admins!";
+                    return this.kick(chatID, target).catch(e => {
+                        if (/USER_NOT_PARTICIPANT/.test(e.message))
+                            return "The user is no longer in the chat!";
+                        throw e;
+                    });
+                }
+            },
+            ban: {
+                description: "Kicks a user, and kicks them again whenever they rejoin",
+                args: [{name: "user", type: "user"}],
+                privilege: "admin",
+                handler: ({message, params}) => {
+                    const chatID = message.chat.id;
+                    const target = params.user;
+                    if (this.auth.isChatAdmin(target, chatID))
+                        return "Can't ban chat admins!";
+                    this.ban(chatID, target);
+                    return this.kick(chatID, target).catch(e => {
+                        /* We don't care if the user is no longer in the chat, so
+                         * we should swallow the error. However, in that case, the
+                         * admin wouldn't receive any feedback! So, return a
+                         * confirmation message.
+                         */
+                        if (/USER_NOT_PARTICIPANT/.test(e.message))
+                            return "Banned.";
+                        throw e;
+                    });
+                }
+            },
+            unban: {
+                description: "Lifts a ban",
+                args: [{name: "user", type: "user"}],
+                privilege: "admin",
+                handler: async ({message, params}) => {
+                    const chatID = message.chat.id;
+                    const target = params.user;
+                    if (!this.db[chatID])
+                        return "It seems that there are no banned users.";
+                    this.db[chatID] = this.db[chatID].filter(id => id !== target);
+                    const chat = await this.getChat(chatID);
+                    if (chat.type === "supergroup")
+                        await this.unbanChatMember(chatID, target);
+                    return "Unbanned.";
+                }
             }
-        }
+        };
     }
 
     kick(chatID, target) {
@@ -74,18 +74,25 @@ module.exports = class Markov extends Plugin {
     constructor(obj) {
         super(obj);
 
-        if (this.db) {
-            this.m = Blather.destringify(JSON.stringify(this.db));
-        } else {
-            this.m = new Blather();
+        // Older databases kept every chat under a single "dictionary" key. Move each chat
+        // to its own top-level key, so that the storage only rewrites the chats that changed.
+        if (this.db.dictionary) {
+            for (const chat of Object.keys(this.db.dictionary))
+                this.db[chat] = this.db.dictionary[chat];
+            delete this.db.dictionary;
+            delete this.db.depth;
+            delete this.db.joiner;
         }
 
+        this.m = new Blather({dictionary: this.db});
+
         this.rate = 0.02;
     }
 
     static get plugin() {
         return {
             name: "Markov",
+            cooldowns: {markov: {user: 10}},
             description: "Generates random text.",
             help: "/markov, or `/markov <seed>`"
         };
@@ -94,12 +101,6 @@ module.exports = class Markov extends Plugin {
     onText({message}) {
         const chat = message.chat.id;
         if (!this.m.dictionary[chat]) this.m.dictionary[chat] = {starts: [], chains: {}};
-        // Take advantage of this to sync the db to memory
-        this.db = {
-            depth: this.m.depth,
-            joiner: this.m.joiner,
-            dictionary: this.m.dictionary
-        };
 
         this.m.addFragment(message.text, chat);
         if (Math.random() > this.rate) return;
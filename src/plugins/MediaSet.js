@@ -1,6 +1,10 @@
 const Plugin = require("./../Plugin");
 const Util = require("./../Util");
 
+const MEDIA_TYPES = ["audio", "document", "photo", "sticker", "video", "video_note", "voice"];
+// How long to wait for the media after /mset
+const TIMEOUT = 10 * 60 * 1000;
+
 module.exports = class MediaSet extends Plugin {
     constructor(obj) {
         super(obj);
@@ -9,9 +13,8 @@ module.exports = class MediaSet extends Plugin {
             this.db.triggers = {};
         }
 
-        if (!this.db.pendingRequests) {
-            this.db.pendingRequests = {};
-        }
+        // Pending requests used to be matched by the message they replied to
+        delete this.db.pendingRequests;
     }
 
     static get plugin() {
@@ -64,41 +67,32 @@ module.exports = class MediaSet extends Plugin {
         }
     }
 
-    onAudio({message}) {
-        this.setStepTwo(message, "audio");
-    }
-    onDocument({message}) {
-        this.setStepTwo(message, "document");
-    }
-    onPhoto({message}) {
-        this.setStepTwo(message, "photo");
-    }
-    onSticker({message}) {
-        this.setStepTwo(message, "sticker");
-    }
-    onVideo({message}) {
-        this.setStepTwo(message, "video");
-    }
-    onVideoNote({message}) {
-        this.setStepTwo(message, "video_note");
-    }
-    onVoice({message}) {
-        this.setStepTwo(message, "voice");
+    get conversationHandlers() {
+        return {
+            // The bot was restarted while waiting for the media
+            mset: ({message, data}) => this.saveMedia(message, data.trigger)
+        };
     }
 
-    async onCommand({message, command, args}) {
+    async onCommand({message, command, args, stopPropagation}) {
         const chatID = message.chat.id;
         const trigger = args[0];
         switch (command) {
             case "mset": {
                 if (args.length !== 1)
                     return "Syntax: /mset trigger";
+                stopPropagation();
                 this.log.verbose("Triggered stepOne on " + Util.buildPrettyChatName(message.chat));
-                if (!this.db.pendingRequests[chatID])
-                    this.db.pendingRequests[chatID] = {};
-                const {message_id} = await this.sendMessage(chatID, "Perfect! Now send me the media as a reply to this message!");
-                this.db.pendingRequests[chatID][message_id] = trigger;
-                break;
+                const answer = this.waitForMessage({
+                    chat: chatID,
+                    user: message.from.id,
+                    types: MEDIA_TYPES,
+                    timeout: TIMEOUT,
+                    resume: "mset",
+                    data: {trigger}
+                });
+                await this.sendMessage(chatID, "Perfect! Now send me the media! (Or /cancel)");
+                return this.saveMedia(await answer, trigger);
             }
             case "munset":
             case "moonset": // Easter egg!
@@ -110,45 +104,30 @@ module.exports = class MediaSet extends Plugin {
         }
     }
 
-    setStepTwo(message, mediaType) {
-        // is this a reply for a "now send media" message?
-        if (!message.hasOwnProperty("reply_to_message")) return;
-        // are there pending requests for this chat?
-        if (!this.db.pendingRequests[message.chat.id]) return;
-
-        // This is because keys are stored as strings, but message.message_id is a number.
-        const messageId = String(message.reply_to_message.message_id);
-
-        // foreach request (identified by the "now send media" message id)
-        for (const request in this.db.pendingRequests[message.chat.id]) {
-            // if the message is not replying just continue
-            if (messageId !== request) continue;
-
-            const trigger = this.db.pendingRequests[message.chat.id][request];
-
-            // do we have triggers for this chat?
-            if (!this.db.triggers[message.chat.id])
-                this.db.triggers[message.chat.id] = {};
-
-            // build the trigger
-            let fileId;
-            if (mediaType === "photo")
-                fileId = message.photo[0].file_id;
-            else
-                fileId = message[mediaType].file_id;
-
-            this.log.verbose("Added trigger on " + Util.buildPrettyChatName(message.chat));
-            // set the trigger
-            this.db.triggers[message.chat.id][trigger] = {
-                type: mediaType,
-                fileId
-            };
-
-            // delete pending request
-            delete this.db.pendingRequests[message.chat.id][request];
-
-            this.sendMessage(message.chat.id, "Done! Enjoy!");
-            return;
-        }
+    saveMedia(message, trigger) {
+        // Cancelled, or timed out
+        if (!message) return;
+
+        const mediaType = MEDIA_TYPES.find(type => type in message);
+
+        // do we have triggers for this chat?
+        if (!this.db.triggers[message.chat.id])
+            this.db.triggers[message.chat.id] = {};
+
+        // build the trigger
+        let fileId;
+        if (mediaType === "photo")
+            fileId = message.photo[0].file_id;
+        else
+            fileId = message[mediaType].file_id;
+
+        this.log.verbose("Added trigger on " + Util.buildPrettyChatName(message.chat));
+        // set the trigger
+        this.db.triggers[message.chat.id][trigger] = {
+            type: mediaType,
+            fileId
+        };
+
+        return "Done! Enjoy!";
     }
 };
\ No newline at end of file
@@ -8,7 +8,9 @@ module.exports = class ModTools extends Plugin {
             description: "Moderation tools",
             help: `- Warnings: use /warn to warn a user and delete the message (gets kicked after 3 warnings)
 - Blacklist: words that will get you kicked and your message removed. /blacklist shows the blacklist, \`/blacklist add <word>\` adds a word, \`/blacklist delete <word>\` removes it.
-- #admin: use #admin to notify all chat admins.`
+- #admin: use #admin to notify all chat admins.`,
+
+            optionalRequires: ["UserInfo"]
         };
     }
 
@@ -78,16 +80,28 @@ module.exports = class ModTools extends Plugin {
     onText({message}) {
         const chatID = message.chat.id;
         if (message.text.includes("#admin")) {
-            for (const admin of this.auth.getAdmins(chatID)) {
+            for (const admin of this.auth.getChatAdmins(chatID)) {
                 this.sendMessage(admin, `Message from ${Util.buildPrettyChatName(message.chat)}:\n\n${message.text}`)
                     .catch(() => this.sendMessage(chatID, `Couldn't send message to admin ${admin} (${Util.nameResolver.getUsernameFromUserID(admin)}). Perhaps they need to initiate a conversation with the bot?`));
             }
         }
 
+        this.checkBlacklist(message);
+    }
+
+    // Otherwise, users could add blacklisted words by editing their messages
+    onEditedMessage({message}) {
+        this.checkBlacklist(message);
+    }
+
+    checkBlacklist(message) {
+        const text = message.text || message.caption;
+        if (!text || !message.from || !this.db.blacklist[message.chat.id])
+            return;
         if (this.auth.isChatAdmin(message.from.id, message.chat.id))
             return;
-        for (const word of this.db.blacklist[chatID]) {
-            if (!message.text.includes(word))
+        for (const word of this.db.blacklist[message.chat.id]) {
+            if (!text.includes(word))
                 continue;
             this.deleteMessage(message.chat.id, message.message_id);
             this.kick(message, message.from.id);
@@ -16,22 +16,22 @@ module.exports = class Quote extends Plugin {
         return {
             name: "Quote",
             description: "A classic quote system",
-            help: `Commands:
-/addquote adds the message you replied to 
-/quote returns a random quote
-\`/quote <id>\` returns the quote with the given ID`
+            help: "Reply to a message with /addquote to save it, then use /quote to recall it."
         };
     }
 
-    onCommand({command, message, args}) {
-        switch (command) {
-            case "addquote":
-                return this.addQuote(message);
-            case "quote":
-                if (args[0])
-                    return this.findQuote(args[0] - 1);
-                return this.randomQuote();
-        }
+    get commands() {
+        return {
+            addquote: {
+                description: "Adds the message you replied to",
+                handler: ({message}) => this.addQuote(message)
+            },
+            quote: {
+                description: "Returns a random quote, or the quote with the given ID",
+                args: [{name: "id", type: "integer", optional: true}],
+                handler: ({params}) => (params.id === undefined) ? this.randomQuote() : this.findQuote(params.id)
+            }
+        };
     }
 
     addQuote(message) {
@@ -46,7 +46,7 @@ module.exports = class Quote extends Plugin {
             text
         });
 
-        return `Quote added with ID ${this.db.quotes.length - 1}.`;
+        return `Quote added with ID ${this.db.quotes.length - 1}`;
     }
 
     findQuote(id) {
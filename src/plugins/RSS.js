@@ -1,11 +1,11 @@
 const Plugin = require("./../Plugin");
 const Util = require("./../Util");
-const Scheduler = require("./../helpers/Scheduler.js");
 const Parser = require("rss-parser");
 
 async function getFeedItems(URL) {
     const parser = new Parser();
-    const feed = await parser.parseURL(URL);
+    const {body} = await Util.http.get(URL);
+    const feed = await parser.parseString(body);
     return feed.items;
 }
 
@@ -26,7 +26,10 @@ module.exports = class RSS extends Plugin {
         super(obj);
 
         this.auth = obj.auth;
-        Scheduler.on("RSSTrigger", ({chatID}) => this.printRSS(chatID));
+    }
+
+    onLoad() {
+        this.scheduler.on("RSSTrigger", ({chatID}) => this.printRSS(chatID));
     }
 
     onCommand({message, command, args}) {
@@ -90,8 +93,8 @@ module.exports = class RSS extends Plugin {
                     };
                 else
                     this.db[chatID].time = hh + ":" + mm;
-                Scheduler.cancel(it => it.plugin === "RSS" && it.chatID === chatID);
-                Scheduler.scheduleCron("RSSTrigger", {plugin: "RSS", chatID}, `00 ${mm} ${hh} * * *`);
+                this.scheduler.cancel(metadata => metadata.chatID === chatID);
+                this.scheduler.scheduleCron("RSSTrigger", {chatID}, `00 ${mm} ${hh} * * *`);
                 return `I will print RSS feeds every day at ${hh}:${mm}.`;
             }
         }
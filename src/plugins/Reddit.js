@@ -1,11 +1,11 @@
 const Plugin = require("../Plugin");
 const Util = require("./../Util");
-const request = require("request-promise-native");
 
 module.exports = class Reddit extends Plugin {
     static get plugin() {
         return {
             name: "Reddit",
+            cooldowns: {reddit: {user: 15}, redimg: {user: 15}},
             description: "Get a random post from the Reddit frontpage or a subreddit",
             help: `\`/reddit\` gets a random post; \`/reddit sub\` gets a random post from the subreddit. 
             \`/redimg _subreddit_\` : gets a random image from _subreddit_
@@ -18,8 +18,8 @@ module.exports = class Reddit extends Plugin {
             return;
 
         const sub = args[0];
-        const body = await request("https://reddit.com/" + (sub ? `r/${sub}` : "") + ".json");
-        const results = JSON.parse(body).data.children;
+        const listing = await Util.http.getJSON("https://reddit.com/" + (sub ? `r/${sub}` : "") + ".json", {cache: 5 * 60 * 1000});
+        const results = listing.data.children;
         switch (command) {
             case "reddit":
                 return Reddit.reddit(message, results);
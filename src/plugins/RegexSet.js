@@ -15,7 +15,28 @@ module.exports = class RegexSet extends Plugin {
         return {
             name: "RegexSet",
             description: "Regex-capable set command",
-            help: "Commands: `/regexset /regex/flags replacement`, /regexlist\n\nFor example:\n/regexset /fo+/i - bar\n\nDon't forget to escape literal slashes with \"\\/\"."
+            help: "For example:\n/regexset /fo+/i bar\n\nQuote regular expressions that contain spaces (eg. `/regexset \"/foo bar/i\" baz`), and don't forget to escape literal slashes with \"\\/\". The replacement can span several lines, and may contain $0, $1... for the matched groups, and $name, $username and $text."
+        };
+    }
+
+    get commands() {
+        return {
+            regexset: {
+                description: "Replies with the replacement whenever a message matches the regular expression",
+                args: [{name: "regex", type: "string", description: "/regex/flags"}, {name: "replacement", type: "text"}],
+                privilege: "admin",
+                handler: ({message, params}) => this.regexset(params.regex, params.replacement, message.chat.id)
+            },
+            regexlist: {
+                description: "Lists the regular expressions in this chat",
+                handler: ({message}) => this.regexlist(message.chat.id)
+            },
+            regexdelete: {
+                description: "Deletes a regular expression",
+                args: [{name: "regex", type: "text", description: "/regex/flags"}],
+                privilege: "admin",
+                handler: ({message, params}) => this.regexdelete(params.regex, message.chat.id)
+            }
         };
     }
 
@@ -42,28 +63,8 @@ module.exports = class RegexSet extends Plugin {
         }
     }
 
-    onCommand({message, command, args}) {
-        switch (command) {
-            case "regexdelete":
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                return this.regexdelete(args, message.chat.id);
-            case "regexlist":
-                return this.regexlist(message.chat.id);
-            case "regexset": {
-                if (!this.auth.isChatAdmin(message.from.id, message.chat.id))
-                    return "Insufficient privileges (chat admin required).";
-                return this.regexset(args, message.chat.id);
-            }
-        }
-    }
-
-    regexset(args, chatID) {
+    regexset(literalRegex, replacement, chatID) {
         const helpText = "Syntax: `/regexset /regex/flags replacement` (see `/help RegexSet` for more information)";
-        if (args.length < 2)
-            return helpText;
-        const replacement = args.pop();
-        const literalRegex = args.join(" ");
 
         const metaRegex = /^\/(.+)\/([a-z]*)$/i; // Regex for a valid regex
         if (!metaRegex.test(literalRegex))
@@ -92,12 +93,7 @@ module.exports = class RegexSet extends Plugin {
         return string + "\n\nTo delete a regular expression, use /regexdelete /regex/flags.";
     }
 
-    regexdelete(args, chatID) {
-        if (args.length === 0)
-            return "Syntax: /regexdelete /regex/flags";
-
-        const literalRegex = args.join(" ");
-
+    regexdelete(literalRegex, chatID) {
         const metaRegex = /^\/(.+)\/([a-z]*)$/i; // Regex for a valid regex
         if (!metaRegex.test(literalRegex))
             return "Syntax: /regexdelete /regex/flags";
@@ -1,5 +1,4 @@
 const Plugin = require("./../Plugin");
-const Scheduler = require("./../helpers/Scheduler.js");
 
 module.exports = class Remind extends Plugin {
     static get plugin() {
@@ -15,9 +14,8 @@ Use /remindlist for a list of upcoming events.`
         };
     }
 
-    constructor(obj) {
-        super(obj);
-        Scheduler.on("reminder", evt => {
+    onLoad() {
+        this.scheduler.on("reminder", evt => {
             if (evt.plugin !== "Remind") return;
             this.sendMessage(evt.chat, `Time's up: ${evt.text}`);
         });
@@ -26,8 +24,7 @@ Use /remindlist for a list of upcoming events.`
     onCommand({message, command, args}) {
         switch (command) {
             case "remindlist":
-                return Scheduler.events
-                    .filter(it => it.metadata.plugin === "Remind")
+                return this.scheduler.events
                     .filter(it => it.metadata.chat === message.chat.id)
                     .map(it => `${new Date(it.date).toLocaleString("it-IT")}: ${it.metadata.text}`)
                     .join("\n") || "None.";
@@ -62,8 +59,7 @@ Use /remindlist for a list of upcoming events.`
         }
         if (date < now)
             return "Can't set events in the past!";
-        Scheduler.scheduleOneoff("reminder", {
-            plugin: "Remind",
+        this.scheduler.scheduleOneoff("reminder", {
             chat: message.chat.id,
             text: args.join(" ")
         }, date);
@@ -8,16 +8,15 @@ module.exports = class Reverse extends Plugin {
         };
     }
 
-    onInlineCommand({message, command, args}) {
+    onInlineCommand({command, args}) {
         if (command !== "reverse") return;
         const text = args.join(" ").split("").reverse().join("");
-        this.answerInlineQuery(message.id, [{
+        return [{
             type: "article",
-            id: "1",
             title: text,
             input_message_content: {
                 message_text: text
             }
-        }]);
+        }];
     }
 };
\ No newline at end of file
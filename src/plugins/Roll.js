@@ -7,6 +7,7 @@ module.exports = class Roll extends Plugin {
     static get plugin() {
         return {
             name: "Roll",
+            cooldowns: {roll: {user: 5}},
             description: "Test your luck with this fancy plugin",
             help: ` command: 
                 \`/roll NdM\` rolls \`N\` dices of \`M\` faces
@@ -1,12 +1,13 @@
 const Plugin = require("../Plugin");
-const request = require("request-promise-native");
+const Util = require("./../Util");
 
 module.exports = class Rule34 extends Plugin {
     static get plugin() {
         return {
             name: "Rule34",
+            enabledByDefault: false,
             description: "If it exists, there's porn of it.",
-            help: "/rule34 <query>"
+            help: "/rule34 <query>\n\nOff by default: chat admins can turn it on with `/enable Rule34 chat`."
         };
     }
 
@@ -19,7 +20,7 @@ module.exports = class Rule34 extends Plugin {
 
         this.log.debug(`URL: https://rule34.xxx/index.php?page=dapi&s=post&q=index&limit=1&tags=${encodeURIComponent(query)}`);
 
-        const data = await request(`https://rule34.xxx/index.php?page=dapi&s=post&q=index&limit=1&tags=${encodeURIComponent(query).replace("%2B", "+")}`);
+        const {body: data} = await Util.http.get(`https://rule34.xxx/index.php?page=dapi&s=post&q=index&limit=1&tags=${encodeURIComponent(query).replace("%2B", "+")}`);
         this.log.debug(`Received: ${data}`);
 
         const regexp = /file_url="(?:https?:)?(\/\/img\.rule34\.xxx\/images\/\d+\/[0-9a-f]+\.\w+)"/i;
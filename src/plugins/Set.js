@@ -13,7 +13,41 @@ module.exports = class Set extends Plugin {
         return {
             name: "Set",
             description: "Trigger bot responses whenever someone says a specific sentence.",
-            help: "`/set <trigger> <response>` to set a trigger, `/unset <trigger>` to delete it."
+            help: "Use quotes for triggers made of several words, eg. `/set \"good morning\" Hello there!`"
+        };
+    }
+
+    get commands() {
+        return {
+            set: {
+                description: "Sets a trigger",
+                args: [{name: "trigger", type: "string"}, {name: "response", type: "text"}],
+                handler: ({message, params}) => {
+                    this.db.replacements.push({trigger: params.trigger, replacement: params.response, chatID: message.chat.id});
+                    return "Done.";
+                }
+            },
+            unset: {
+                description: "Deletes a trigger",
+                args: [{name: "trigger", type: "string"}],
+                handler: ({message, params}) => {
+                    const chatID = message.chat.id;
+                    // Take only replacements with either a different chat id or a different trigger
+                    this.db.replacements = this.db.replacements.filter(item => (item.chatID !== chatID) || (item.trigger !== params.trigger));
+                    return "Done.";
+                }
+            },
+            get: {
+                description: "Lists the triggers in this chat",
+                handler: ({message}) => {
+                    let text = "";
+                    for (const item of this.db.replacements) {
+                        if (item.chatID !== message.chat.id) continue;
+                        text += `${item.trigger} => ${item.replacement}\n`;
+                    }
+                    return (text === "") ? "No triggers set." : text;
+                }
+            }
         };
     }
 
@@ -26,32 +60,4 @@ module.exports = class Set extends Plugin {
             this.sendMessage(message.chat.id, item.replacement);
         }
     }
-
-    onCommand({message, command, args}) {
-        const chatID = message.chat.id;
-        switch (command) {
-            case "set": {
-                if (args.length < 2) return "Syntax: `/set <trigger> <replacement>`";
-
-                const trigger = args.shift();
-                const replacement = args.join(" ");
-                this.db.replacements.push({trigger, replacement, chatID});
-                return "Done.";
-            }
-            case "unset": {
-                const trigger = args[0];
-                // Take only replacements with either a different chat id or a different trigger
-                this.db.replacements = this.db.replacements.filter(item => (item.chatID !== chatID) || (item.trigger !== trigger));
-                return "Done.";
-            }
-            case "get": {
-                let text = "";
-                for (const item of this.db.replacements) {
-                    if (item.chatID !== chatID) continue;
-                    text += `${item.trigger} => ${item.replacement}\n`;
-                }
-                return (text === "") ? "No triggers set." : text;
-            }
-        }
-    }
-};
\ No newline at end of file
+};
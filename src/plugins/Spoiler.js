@@ -1,6 +1,19 @@
 const Plugin = require("./../Plugin");
 const prefixRegex = /^spoiler /;
 
+// Most inline results are never sent: don't keep their payloads for long
+const SPOILER_TTL = 24 * 60 * 60 * 1000;
+// Telegram's limit for the text of callback query answers
+const MAX_ALERT_LENGTH = 200;
+
+function alertText(spoiler) {
+    if (spoiler === undefined)
+        return "This spoiler has expired.";
+    if (spoiler.length > MAX_ALERT_LENGTH)
+        return spoiler.slice(0, MAX_ALERT_LENGTH - 1) + "…";
+    return spoiler;
+}
+
 module.exports = class Spoiler extends Plugin {
     static get plugin() {
         return {
@@ -10,32 +23,43 @@ module.exports = class Spoiler extends Plugin {
         };
     }
 
-    onInlineCommand({message, command, args}) {
+    onInlineCommand({command, args}) {
         if (command !== "spoiler") return;
         if (args.length === 0) {
             const usage = "@bot spoiler The protagonist *dies in the fourth season*.";
-            this.answerInlineQuery(message.id, [
-                {id: "0", type: "article", title: "Usage", description: usage, message_text: "Usage: " + usage}
-            ]);
-            return;
+            return [
+                {type: "article", title: "Usage", description: usage, message_text: "Usage: " + usage}
+            ];
         }
         const text = args.join(" ");
         const spoilerRegex = /\*[^\*]+\*/g;
 
-        this.answerInlineQuery(message.id, [
+        return [
             {
-                id: "0",
                 type: "article",
                 title: "Send spoiler",
                 message_text: spoilerRegex.test(text) ? text.replace(/\*[^\*]+\*/g, "SPOILER") : "SPOILER",
-                reply_markup: {inline_keyboard: [[{
+                reply_markup: this.inlineKeyboard([[{
                     text: "Reveal spoiler",
-                    callback_data: "spoiler " + text.replace(/\*/g, "")
-                }]]}
+                    callback: "reveal",
+                    payload: text.replace(/\*/g, ""),
+                    ttl: SPOILER_TTL
+                }]])
             }
-        ]);
+        ];
+    }
+
+    get callbacks() {
+        return {
+            reveal: ({payload}) => ({
+                text: alertText(payload),
+                show_alert: true,
+                cache_time: 600
+            })
+        };
     }
 
+    // Buttons sent before callbacks were routed carry the spoiler itself
     onCallbackQuery({message}) {
         if (!prefixRegex.test(message.data))
             return;
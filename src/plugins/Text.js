@@ -21,7 +21,7 @@ module.exports = class Text extends Plugin {
         };
     }
 
-    onInlineCommand({message, command, args}) {
+    onInlineCommand({command, args}) {
         if (command !== "text") return;
         const text = args.join(" ");
 
@@ -31,12 +31,12 @@ module.exports = class Text extends Plugin {
         const textLetterSmall = translateText(text, letterSmall);
         const textUpsideDown = translateText(text, upsideDown);
 
-        this.answerInlineQuery(message.id, [
-            {id: "0", type: "article", message_text: textSmallCaps, title: textSmallCaps},
-            {id: "1", type: "article", message_text: textCircled, title: textCircled},
-            {id: "2", type: "article", message_text: textFullWidth, title: textFullWidth},
-            {id: "3", type: "article", message_text: textLetterSmall, title: textLetterSmall},
-            {id: "4", type: "article", message_text: textUpsideDown, title: textUpsideDown}
-        ]);
+        return [
+            {type: "article", message_text: textSmallCaps, title: textSmallCaps},
+            {type: "article", message_text: textCircled, title: textCircled},
+            {type: "article", message_text: textFullWidth, title: textFullWidth},
+            {type: "article", message_text: textLetterSmall, title: textLetterSmall},
+            {type: "article", message_text: textUpsideDown, title: textUpsideDown}
+        ];
     }
 };
\ No newline at end of file
@@ -1,6 +1,5 @@
 const Plugin = require("../Plugin");
 const Util = require("./../Util");
-const request = require("request-promise-native");
 
 module.exports = class UrbanDictionary extends Plugin {
     static get plugin() {
@@ -18,8 +17,7 @@ module.exports = class UrbanDictionary extends Plugin {
 
         const query = args.join(" ");
 
-        const response = await request(`http://api.urbandictionary.com/v0/define?term=${encodeURIComponent(query)}`);
-        const data = JSON.parse(response);
+        const data = await Util.http.getJSON(`http://api.urbandictionary.com/v0/define?term=${encodeURIComponent(query)}`, {cache: 60 * 60 * 1000});
         if (data.result_type === "no_results")
             return `Sorry, I was unable to find results for "${args.join(" ")}".`;
         /* data.list will be an array, it seems like typically
@@ -1,6 +1,8 @@
 const Plugin = require("./../Plugin");
 const Util = require("./../Util");
 
+const md = Util.formatter("Markdown");
+
 module.exports = class UserInfo extends Plugin {
     static get plugin() {
         return {
@@ -8,7 +10,8 @@ module.exports = class UserInfo extends Plugin {
             description: "Log usernames and user IDs",
             help: "Syntax: `/id user`",
 
-            isProxy: true
+            // Record usernames before anything else can drop the message
+            middlewarePriority: 10
         };
     }
 
@@ -21,9 +24,9 @@ module.exports = class UserInfo extends Plugin {
         this.auth = obj.auth;
     }
 
-    proxy(eventName, message) {
-        // Discard inline messages
-        if (!message.chat) return;
+    middleware({message}) {
+        // Discard inline messages and channel posts
+        if (!message.chat || !message.from) return;
 
         if (message.from.username) {
             const username = message.from.username;
@@ -41,8 +44,14 @@ module.exports = class UserInfo extends Plugin {
             this.db[source.id] = source.username;
         }
 
+        // chat_member updates are about someone else, too
+        if (message.new_chat_member && message.new_chat_member.user.username) {
+            const user = message.new_chat_member.user;
+            this.log.debug(`ID ${user.id} mapped to username ${user.username}`);
+            this.db[user.id] = user.username;
+        }
+
         // Util.nameResolver.setDb(this.db);
-        return Promise.resolve();
     }
 
     onCommand({message, command, args}) {
@@ -94,8 +103,8 @@ module.exports = class UserInfo extends Plugin {
     static print(username, userID, isChatAdmin, isOwner) {
         return {
             type: "text",
-            text: `*Username*: ${username ? ("\`@" + username + "\`") : "none"}
-*User ID*: \`${userID}\`
+            text: `*Username*: ${username ? md.code("@" + username) : "none"}
+*User ID*: ${md.code(userID)}
 *Chat admin*? ${isChatAdmin ? "yes" : "no"}
 *Owner*? ${isOwner ? "yes" : "no"}`,
             options: {
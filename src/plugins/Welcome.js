@@ -1,28 +1,209 @@
 const Plugin = require("./../Plugin");
+const Util = require("./../Util");
+const Messages = require("./../helpers/Messages");
 
+const md = Util.formatter("Markdown");
+
+// Used by chats that didn't set their own messages
+const DEFAULT_TEXTS = {
+    welcome: "Welcome {username}!",
+    goodbye: "Goodbye {username}!"
+};
+
+// Media that can be sent along with the message, mapped to the reply type that sends them
+const MEDIA_TYPES = {
+    photo: "photo",
+    video: "video",
+    animation: "document"
+};
+
+// Telegram's limit for the captions of media
+const MAX_CAPTION_LENGTH = 1024;
+
+// Lines made only of [Text](url) links become rows of buttons
+const buttonRowRegex = /^\s*(\[[^\]]+\]\(\S+?\)\s*)+$/;
+const buttonRegex = /\[([^\]]+)\]\((\S+?)\)/g;
+
+/* Splits a template into its text and its rows of URL buttons, eg.
+ *
+ *     Welcome {name}! Please read the rules.
+ *     [Read the rules](https://example.com/rules)
+ */
+function parseTemplate(template) {
+    const lines = template.split("\n");
+    const buttons = [];
+    while (lines.length > 1 && buttonRowRegex.test(lines[lines.length - 1])) {
+        const line = lines.pop();
+        const row = [];
+        let match;
+        buttonRegex.lastIndex = 0;
+        while ((match = buttonRegex.exec(line)) !== null)
+            row.push({text: match[1], url: match[2]});
+        buttons.unshift(row);
+    }
+    return {text: lines.join("\n").trim(), buttons};
+}
+
+// Returns the media in the message (the largest size, for photos), as {type, file_id}.
+function mediaOf(message) {
+    if (!message) return undefined;
+    const type = Object.keys(MEDIA_TYPES).find(it => it in message);
+    if (!type) return undefined;
+    const media = (type === "photo") ? message.photo[message.photo.length - 1] : message[type];
+    return {type, file_id: media.file_id};
+}
+
+/* The database maps chat IDs to {welcome, goodbye, clean, lastWelcome}:
+ * `welcome` and `goodbye` are {enabled, text, media, buttons} (text is
+ * undefined for the default message), `clean` is whether to delete the
+ * previous welcome message, and `lastWelcome` is its ID.
+ */
 module.exports = class Welcome extends Plugin {
     static get plugin() {
         return {
             name: "Welcome",
-            description: "Says welcome and goodbye to users when they join or leave a group."
+            description: "Says welcome and goodbye to users when they join or leave a group.",
+            help: `Admins can change the messages with \`/setwelcome <text>\` and \`/setgoodbye <text>\`, where the text can contain:
+
+{name}: the user's name
+{first_name}, {last_name}: the user's first and last name
+{username}: the @username, or the name if there is none
+{mention}: a link to the user
+{chat}: the title of the chat
+{count}: how many members the chat has
+
+Reply to a photo, video or GIF to send it along with the message. Lines made only of links, like "[Read the rules](https://example.com)", become buttons. Without a text, the default message is restored.
+
+/welcome and /goodbye show the messages; "/welcome off" and "/goodbye off" turn them off. "/cleanwelcome on" deletes the previous welcome message when a new one is sent.`
         };
     }
 
-    onNewChatMembers({message}) {
-        if (!this.db[message.chat.id]) this.db[message.chat.id] = [];
-        return "Welcome " +
-            message.new_chat_members
-                .map(m => m.username ? `@${m.username}` : `${m.first_name}`)
-                .join(", ") +
-            "!";
+    get commands() {
+        const set = kind => ({
+            description: `Sets the ${kind} message (see /help Welcome)`,
+            args: [{name: "text", type: "text", optional: true}],
+            privilege: "admin",
+            handler: ({message, params}) => this.setTemplate(message, kind, params.text)
+        });
+        const toggle = kind => ({
+            description: `Shows the ${kind} message, or turns it on and off`,
+            args: [{name: "state", type: "string", optional: true, description: "on or off"}],
+            privilege: "admin",
+            handler: ({message, params: {state}}) => {
+                if (state === undefined)
+                    return this.render(message.chat, kind, [message.from]).then(reply => this.send(reply, message)).then(() => {});
+                if (state !== "on" && state !== "off")
+                    return `Syntax: \`/${kind} [on|off]\``;
+                this.chatEntry(message.chat.id)[kind].enabled = (state === "on");
+                return `The ${kind} message is now ${state}.`;
+            }
+        });
+        return {
+            setwelcome: set("welcome"),
+            setgoodbye: set("goodbye"),
+            welcome: toggle("welcome"),
+            goodbye: toggle("goodbye"),
+            cleanwelcome: {
+                description: "Chooses whether to delete the previous welcome message",
+                args: [{name: "state", type: "string", description: "on or off"}],
+                privilege: "admin",
+                handler: ({message, params: {state}}) => {
+                    if (state !== "on" && state !== "off")
+                        return "Syntax: `/cleanwelcome on|off`";
+                    this.chatEntry(message.chat.id).clean = (state === "on");
+                    return (state === "on") ? "The previous welcome message will be deleted." : "Welcome messages will be kept.";
+                }
+            }
+        };
+    }
+
+    // Private method
+    chatEntry(chatId) {
+        // Older versions stored an (unused) empty array
+        if (!this.db[chatId] || Array.isArray(this.db[chatId]))
+            this.db[chatId] = {welcome: {enabled: true}, goodbye: {enabled: true}, clean: false};
+        return this.db[chatId];
+    }
+
+    setTemplate(message, kind, text) {
+        const reply = message.reply_to_message;
+        const template = text || (reply && (reply.text || reply.caption));
+        const media = mediaOf(reply);
+        const entry = this.chatEntry(message.chat.id);
+        if (!template && !media) {
+            entry[kind] = {enabled: entry[kind].enabled};
+            return `The ${kind} message was reset to the default one.`;
+        }
+        const {text: parsedText, buttons} = parseTemplate(template || "");
+        if (media && parsedText.length > MAX_CAPTION_LENGTH)
+            return `Messages with media can be at most ${MAX_CAPTION_LENGTH} characters long (this one is ${parsedText.length}).`;
+        entry[kind] = {enabled: entry[kind].enabled, text: parsedText, media, buttons};
+        return `The ${kind} message was changed. Use /${kind} to see it.`;
+    }
+
+    // Returns the reply for the users, filling in the placeholders.
+    async render(chat, kind, users) {
+        const settings = this.chatEntry(chat.id)[kind];
+        const template = (settings.text === undefined) ? DEFAULT_TEXTS[kind] : settings.text;
+        const list = fn => users.map(fn).join(", ");
+        const values = {
+            name: () => list(user => md.escape(Util.userDisplayName(user))),
+            first_name: () => list(user => md.escape(user.first_name)),
+            last_name: () => list(user => md.escape(user.last_name || "")),
+            username: () => list(user => md.escape(user.username ? `@${user.username}` : user.first_name)),
+            mention: () => list(user => md.mention(user)),
+            chat: () => md.escape(chat.title || ""),
+            count: () => this.getChatMembersCount(chat.id)
+        };
+        // Only fetches what the template uses (eg. the member count)
+        const used = Object.keys(values).filter(placeholder => template.includes(`{${placeholder}}`));
+        const filled = await Promise.all(used.map(placeholder => values[placeholder]()));
+        const text = used.reduce((str, placeholder, i) => str.split(`{${placeholder}}`).join(filled[i]), template);
+
+        const options = {parse_mode: "Markdown"};
+        if (settings.buttons && settings.buttons.length > 0)
+            options.reply_markup = {inline_keyboard: settings.buttons};
+        if (!settings.media)
+            return {type: "text", text, options};
+        const type = MEDIA_TYPES[settings.media.type];
+        // Placeholders can make it longer than the template
+        if (text !== "")
+            options.caption = text.slice(0, MAX_CAPTION_LENGTH);
+        return {type, [type]: settings.media.file_id, options};
+    }
+
+    /* Sends the reply; unlike texts (see helpers/Messages.js), captions that
+     * Telegram can't parse aren't sent again as plain text by smartReply.
+     */
+    send(reply, message) {
+        return Promise.resolve(this.smartReply(reply, message)).catch(err => {
+            if (reply.type === "text" || !Messages.isParseError(err))
+                throw err;
+            const options = Object.assign({}, reply.options);
+            delete options.parse_mode;
+            return this.smartReply(Object.assign({}, reply, {options}), message);
+        });
+    }
+
+    async onNewChatMembers({message}) {
+        const chatId = message.chat.id;
+        const entry = this.chatEntry(chatId);
+        if (entry.welcome.enabled === false) return;
+        const reply = await this.render(message.chat, "welcome", message.new_chat_members);
+        let sent = await this.send(reply, message);
+        // Long texts are split into several messages
+        if (Array.isArray(sent))
+            sent = sent[sent.length - 1];
+        if (entry.clean && entry.lastWelcome !== undefined)
+            this.deleteMessage(chatId, entry.lastWelcome)
+                .catch(err => this.log.verbose(`Couldn't delete the previous welcome message in ${chatId}: ${err}`));
+        if (sent && sent.message_id !== undefined)
+            entry.lastWelcome = sent.message_id;
     }
 
-    onLeftChatMember({message}) {
-        if (!this.db[message.chat.id]) this.db[message.chat.id] = [];
-        return "Goodbye " +
-            (message.left_chat_member.username ?
-                `@${message.left_chat_member.username}` :
-                `${message.left_chat_member.first_name}`) +
-            "!";
+    async onLeftChatMember({message}) {
+        if (this.chatEntry(message.chat.id).goodbye.enabled === false) return;
+        const reply = await this.render(message.chat, "goodbye", [message.left_chat_member]);
+        return this.send(reply, message).then(() => {});
     }
-};
\ No newline at end of file
+};
@@ -2,6 +2,8 @@ const Plugin = require("./../Plugin");
 
 const wordlist = Object.values(require("diceware-wordlist-en-eff"));
 
+const TIMEOUT = 2 * 60 * 1000;
+
 function getRandomWord() {
     return wordlist[Math.floor(Math.random() * wordlist.length)];
 }
@@ -25,28 +27,47 @@ module.exports = class Wordgame extends Plugin {
         };
     }
 
-    onCommand({command}) {
+    constructor(obj) {
+        super(obj);
+
+        // Chats where a game is running
+        this.games = new Set();
+    }
+
+    onCommand({message, command, stopPropagation}) {
         switch (command) {
-            case "cancel":
-                this.state = "";
-                return "Done.";
-            case "anagram":
-                if (this.state) return "Another game is already running, use /cancel to stop it";
-                this.state = "type";
-                this.word = getRandomWord();
-                return `What's the anagram of "${shuffleWord(this.word)}"?`;
-            case "type":
-                if (this.state) return "Another game is already running, use /cancel to stop it";
-                this.state = "type";
-                this.word = getRandomWord();
-                return `Type "${this.word}"!`;
+            case "anagram": {
+                const word = getRandomWord();
+                return this.play(message, stopPropagation, word, `What's the anagram of "${shuffleWord(word)}"?`);
+            }
+            case "type": {
+                const word = getRandomWord();
+                return this.play(message, stopPropagation, word, `Type "${word}"!`);
+            }
         }
     }
 
-    onText({message}) {
-        if (this.state === "") return;
-        if (message.text !== this.word) return;
-        this.state = "";
-        return `Well done, @${message.from.username}!`;
+    async play(message, stopPropagation, word, question) {
+        const chatID = message.chat.id;
+        stopPropagation();
+        if (this.games.has(chatID)) return "Another game is already running: whoever started it (or an admin) can /cancel it";
+        this.games.add(chatID);
+        try {
+            // Anyone in the chat can answer
+            const answer = this.waitForMessage({
+                chat: chatID,
+                types: ["text"],
+                filter: ({text}) => text === word,
+                timeout: TIMEOUT,
+                starter: message.from.id
+            });
+            await this.sendMessage(chatID, question);
+            const winner = await answer;
+            if (!winner)
+                return `Game over! The word was "${word}".`;
+            return `Well done, @${winner.from.username}!`;
+        } finally {
+            this.games.delete(chatID);
+        }
     }
 };
@@ -1,5 +1,5 @@
 const Plugin = require("./../Plugin");
-const request = require("request-promise-native");
+const Util = require("./../Util");
 
 module.exports = class xkcd extends Plugin {
     static get plugin() {
@@ -23,8 +23,8 @@ module.exports = class xkcd extends Plugin {
         this.log.debug(`Requesting XKCD at ${requrl}`);
 
         try {
-            const data = await request(requrl);
-            const jsondata = JSON.parse(data);
+            // Comics never change; the latest one does, but not that often
+            const jsondata = await Util.http.getJSON(requrl, {cache: 60 * 60 * 1000});
             return {
                 type: "photo",
                 photo: jsondata.img
@@ -0,0 +1,185 @@
+/* eslint no-sync: 0 */
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const Logger = require("../Log");
+const log = new Logger("AtomicFile", {loggingLevel: "info"});
+
+const open = util.promisify(fs.open);
+const write = util.promisify(fs.write);
+const fsync = util.promisify(fs.fsync);
+const close = util.promisify(fs.close);
+const rename = util.promisify(fs.rename);
+const link = util.promisify(fs.link);
+const copyFile = util.promisify(fs.copyFile);
+const unlink = util.promisify(fs.unlink);
+const exists = file => new Promise(resolve => fs.access(file, err => resolve(!err)));
+
+// How many previous versions of a file are kept (file.1 being the most recent).
+const DEFAULT_GENERATIONS = 3;
+
+/* Crash-safe file writes.
+ *
+ * Data is written to a temporary file and fsynced; the current file is kept as
+ * file.1 (shifting older generations to file.2, file.3...), and the temporary
+ * file is then renamed into place. Renaming is atomic, so the file is always
+ * either the old version or the new one, never a truncated mix of both.
+ */
+
+let tmpCounter = 0;
+const tmpPath = file => `${file}.${process.pid}.${tmpCounter++}.tmp`;
+const generationPath = (file, i) => `${file}.${i}`;
+
+// Writes to the same file are queued, so that rotations never interleave.
+const queues = new Map();
+
+function syncDirectory(directory) {
+    try {
+        const fd = fs.openSync(directory, "r");
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (e) {
+        // Not supported on every platform (eg. Windows); the rename is still atomic.
+    }
+}
+
+async function rotate(file, generations) {
+    if (generations < 1 || !(await exists(file))) return;
+    for (let i = generations - 1; i >= 1; i--) {
+        if (await exists(generationPath(file, i)))
+            await rename(generationPath(file, i), generationPath(file, i + 1));
+    }
+    try {
+        // A hard link keeps the current version without ever removing the file itself.
+        await link(file, generationPath(file, 1));
+    } catch (e) {
+        await copyFile(file, generationPath(file, 1));
+    }
+}
+
+function rotateSync(file, generations) {
+    if (generations < 1 || !fs.existsSync(file)) return;
+    for (let i = generations - 1; i >= 1; i--) {
+        if (fs.existsSync(generationPath(file, i)))
+            fs.renameSync(generationPath(file, i), generationPath(file, i + 1));
+    }
+    try {
+        fs.linkSync(file, generationPath(file, 1));
+    } catch (e) {
+        fs.copyFileSync(file, generationPath(file, 1));
+    }
+}
+
+async function doWrite(file, data, generations) {
+    const tmp = tmpPath(file);
+    const fd = await open(tmp, "w");
+    try {
+        await write(fd, data);
+        await fsync(fd);
+    } catch (e) {
+        await close(fd);
+        await unlink(tmp).catch(() => {});
+        throw e;
+    }
+    await close(fd);
+    await rotate(file, generations);
+    await rename(tmp, file);
+    syncDirectory(path.dirname(file));
+}
+
+function writeAtomic(file, data, {generations = DEFAULT_GENERATIONS} = {}) {
+    const previous = queues.get(file) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => doWrite(file, data, generations));
+    queues.set(file, current);
+    const cleanup = () => {
+        if (queues.get(file) === current) queues.delete(file);
+    };
+    current.then(cleanup, cleanup);
+    return current;
+}
+
+function writeAtomicSync(file, data, {generations = DEFAULT_GENERATIONS} = {}) {
+    const tmp = tmpPath(file);
+    const fd = fs.openSync(tmp, "w");
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } catch (e) {
+        fs.closeSync(fd);
+        fs.unlinkSync(tmp);
+        throw e;
+    }
+    fs.closeSync(fd);
+    rotateSync(file, generations);
+    fs.renameSync(tmp, file);
+    syncDirectory(path.dirname(file));
+}
+
+// Temporary files left behind by a crash are incomplete by definition.
+function removeStaleTemporaryFiles(file) {
+    const directory = path.dirname(file);
+    const prefix = path.basename(file) + ".";
+    let entries;
+    try {
+        entries = fs.readdirSync(directory);
+    } catch (e) {
+        return;
+    }
+    for (const entry of entries) {
+        if (!entry.startsWith(prefix) || !/\.\d+\.\d+\.tmp$/.test(entry)) continue;
+        log.warn(`Removing incomplete write ${entry}`);
+        try {
+            fs.unlinkSync(path.join(directory, entry));
+        } catch (e) {
+            log.warn(e);
+        }
+    }
+}
+
+/* Reads and parses a file written with write(). If the file is missing,
+ * truncated or otherwise unparsable, the most recent good generation is
+ * restored in its place (the broken file is kept as file.corrupt-<timestamp>).
+ *
+ * Returns undefined if neither the file nor any generation exists; throws if
+ * they all exist but none can be parsed.
+ */
+function readAtomicSync(file, {parse = JSON.parse, generations = DEFAULT_GENERATIONS} = {}) {
+    removeStaleTemporaryFiles(file);
+    const candidates = [file];
+    for (let i = 1; i <= generations; i++)
+        candidates.push(generationPath(file, i));
+
+    let found = false;
+    for (const candidate of candidates) {
+        if (!fs.existsSync(candidate)) continue;
+        found = true;
+        const data = fs.readFileSync(candidate, "utf8");
+        let value;
+        try {
+            value = parse(data);
+        } catch (e) {
+            log.warn(`${candidate} is corrupt (${e.message}), trying an older generation`);
+            continue;
+        }
+        if (candidate !== file) {
+            log.warn(`Restoring ${file} from ${candidate}`);
+            if (fs.existsSync(file))
+                fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+            writeAtomicSync(file, data, {generations: 0});
+        }
+        return value;
+    }
+    if (found)
+        throw new Error(`No readable generation of ${file}`);
+    return undefined;
+}
+
+module.exports = {
+    DEFAULT_GENERATIONS,
+    write: writeAtomic,
+    writeSync: writeAtomicSync,
+    readSync: readAtomicSync
+};
@@ -0,0 +1,85 @@
+/* Wraps a plugin database in a Proxy that records which top-level keys were
+ * modified, so that storage adapters can write only what changed.
+ *
+ * Plugins mutate their database freely (eg. `this.db.warnings[chat][user]++`):
+ * any write, however deep, marks the top-level key it lives under as changed.
+ */
+
+// Only plain objects and arrays are tracked; anything else (Dates, Buffers...)
+// wouldn't survive JSON serialization anyway, and their methods break on proxies.
+function isTrackable(value) {
+    if (value === null || typeof value !== "object") return false;
+    if (Array.isArray(value)) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+module.exports = class ChangeTracker {
+    constructor(target) {
+        this.target = target;
+        this.changed = new Set();
+        // Maps proxies back to their targets, so that we never store proxies in the database.
+        this.targets = new WeakMap();
+        // One cache per top-level key, so that repeated accesses return the same proxy.
+        this.caches = new Map();
+
+        this.proxy = new Proxy(target, {
+            get: (obj, key) => {
+                if (typeof key === "symbol") return obj[key];
+                return this.wrap(obj[key], key);
+            },
+            set: (obj, key, value) => {
+                obj[key] = this.unwrap(value);
+                if (typeof key !== "symbol") this.changed.add(key);
+                return true;
+            },
+            deleteProperty: (obj, key) => {
+                delete obj[key];
+                if (typeof key !== "symbol") this.changed.add(key);
+                return true;
+            }
+        });
+    }
+
+    wrap(value, rootKey) {
+        if (!isTrackable(value)) return value;
+        if (!this.caches.has(rootKey))
+            this.caches.set(rootKey, new WeakMap());
+        const cache = this.caches.get(rootKey);
+        if (cache.has(value)) return cache.get(value);
+
+        const proxy = new Proxy(value, {
+            get: (obj, key) => {
+                if (typeof key === "symbol") return obj[key];
+                return this.wrap(obj[key], rootKey);
+            },
+            set: (obj, key, newValue) => {
+                obj[key] = this.unwrap(newValue);
+                this.changed.add(rootKey);
+                return true;
+            },
+            deleteProperty: (obj, key) => {
+                delete obj[key];
+                this.changed.add(rootKey);
+                return true;
+            }
+        });
+        cache.set(value, proxy);
+        this.targets.set(proxy, value);
+        return proxy;
+    }
+
+    unwrap(value) {
+        if (value === this.proxy) return this.target;
+        if (value !== null && typeof value === "object" && this.targets.has(value))
+            return this.targets.get(value);
+        return value;
+    }
+
+    // Returns the set of keys changed since the last call, and starts over.
+    flush() {
+        const changed = this.changed;
+        this.changed = new Set();
+        return changed;
+    }
+};
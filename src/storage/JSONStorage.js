@@ -0,0 +1,34 @@
+/* eslint no-sync: 0 */
+const path = require("path");
+const Storage = require("./Storage");
+const AtomicFile = require("./AtomicFile");
+
+/* The default adapter: the whole database is kept in db/plugin_<Name>.json.
+ * It is rewritten entirely whenever anything changes, so it is best suited to
+ * small databases.
+ */
+module.exports = class JSONStorage extends Storage {
+    constructor(pluginName, options = {}) {
+        super(pluginName, options);
+        this.generations = options.generations;
+    }
+
+    get path() {
+        return path.join(this.directory, "plugin_" + this.pluginName + ".json");
+    }
+
+    load() {
+        const data = AtomicFile.readSync(this.path, {generations: this.generations});
+        if (!data)
+            return {db: {}, blacklist: [], whitelist: []};
+        return {
+            db: data.db || {},
+            blacklist: data.blacklist || [],
+            whitelist: data.whitelist || []
+        };
+    }
+
+    save(db, changedKeys, blacklist, whitelist = []) {
+        return AtomicFile.write(this.path, JSON.stringify({db, blacklist, whitelist}), {generations: this.generations});
+    }
+};
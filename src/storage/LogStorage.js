@@ -0,0 +1,110 @@
+/* eslint no-sync: 0 */
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const Storage = require("./Storage");
+const JSONStorage = require("./JSONStorage");
+const AtomicFile = require("./AtomicFile");
+const Logger = require("../Log");
+const log = new Logger("LogStorage", {loggingLevel: "info"});
+
+const open = util.promisify(fs.open);
+const write = util.promisify(fs.write);
+const fsync = util.promisify(fs.fsync);
+const close = util.promisify(fs.close);
+
+// Compact the log once it holds this many records more than the live keys.
+const COMPACTION_THRESHOLD = 1000;
+
+/* A LevelDB-style adapter: db/plugin_<Name>.log is an append-only log with one
+ * JSON record per line. Each record either sets a key ({k, v}), deletes it
+ * ({k, d: 1}), or replaces the blacklist and whitelist ({b, w}).
+ *
+ * Only the keys that changed are appended, so large databases (Markov,
+ * UserStats) no longer get rewritten every few seconds. When stale records
+ * pile up, the log is compacted into one record per live key.
+ */
+module.exports = class LogStorage extends Storage {
+    constructor(pluginName, options = {}) {
+        super(pluginName, options);
+        this.compactionThreshold = options.compactionThreshold || COMPACTION_THRESHOLD;
+        this.generations = options.generations;
+        this.records = 0;
+    }
+
+    get path() {
+        return path.join(this.directory, "plugin_" + this.pluginName + ".log");
+    }
+
+    load() {
+        if (!fs.existsSync(this.path)) {
+            // Migrate from the JSON adapter, if the plugin was used with it before.
+            const data = new JSONStorage(this.pluginName, {directory: this.directory}).load();
+            this.records = 0;
+            return data;
+        }
+
+        const db = {};
+        let blacklist = [];
+        let whitelist = [];
+        let data = fs.readFileSync(this.path, "utf8");
+        if (data !== "" && !data.endsWith("\n")) {
+            /* The last append was interrupted by a crash. Cut the partial record,
+             * otherwise the next append would be glued to it and lost as well.
+             */
+            log.warn(`Discarding an incomplete record at the end of ${this.path}`);
+            data = data.slice(0, data.lastIndexOf("\n") + 1);
+            fs.truncateSync(this.path, Buffer.byteLength(data));
+        }
+        const lines = data.split("\n").filter(line => line !== "");
+        for (const line of lines) {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                log.warn(`Skipping a corrupt record in ${this.path}`);
+                continue;
+            }
+            if ("b" in record) {
+                blacklist = record.b;
+                whitelist = record.w || [];
+            } else if (record.d)
+                delete db[record.k];
+            else
+                db[record.k] = record.v;
+        }
+        this.records = lines.length;
+        return {db, blacklist, whitelist};
+    }
+
+    save(db, changedKeys, blacklist, whitelist = []) {
+        const keys = changedKeys ? Array.from(changedKeys) : Object.keys(db);
+        if (this.records + keys.length - Object.keys(db).length > this.compactionThreshold)
+            return this.compact(db, blacklist, whitelist);
+
+        const lines = keys.map(k => (k in db) ? JSON.stringify({k, v: db[k]}) : JSON.stringify({k, d: 1}));
+        lines.push(JSON.stringify({b: blacklist, w: whitelist}));
+        this.records += lines.length;
+        return this.append(lines.join("\n") + "\n");
+    }
+
+    async append(data) {
+        const fd = await open(this.path, "a");
+        try {
+            await write(fd, data);
+            await fsync(fd);
+        } finally {
+            await close(fd);
+        }
+    }
+
+    // Rewrites the log with a single record per live key.
+    compact(db, blacklist, whitelist = []) {
+        const lines = Object.keys(db).map(k => JSON.stringify({k, v: db[k]}));
+        lines.push(JSON.stringify({b: blacklist, w: whitelist}));
+        return AtomicFile.write(this.path, lines.join("\n") + "\n", {generations: this.generations})
+            .then(() => {
+                this.records = lines.length;
+            });
+    }
+};
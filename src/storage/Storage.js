@@ -0,0 +1,36 @@
+const path = require("path");
+
+/* Base class for storage adapters.
+ *
+ * An adapter persists one plugin's database (a plain object, whose top-level
+ * keys are the unit of storage) along with the plugin's blacklist and
+ * whitelist (the chats where it was disabled and enabled).
+ */
+module.exports = class Storage {
+    constructor(pluginName, options = {}) {
+        if (new.target === Storage) {
+            throw new TypeError("Cannot construct Storage instances directly!");
+        }
+
+        this.pluginName = pluginName;
+        this.directory = options.directory || Storage.defaultDirectory;
+    }
+
+    static get defaultDirectory() {
+        return path.join(__dirname, "..", "..", "db");
+    }
+
+    // Returns {db, blacklist, whitelist}. Must be synchronous: plugins expect their database in the constructor.
+    load() {
+        throw new Error(`${this.constructor.name} doesn't implement load()`);
+    }
+
+    /* Persists the database.
+     * `changedKeys` is a Set of top-level keys modified since the last save, or
+     * null if the whole database must be written.
+     * Returns a promise.
+     */
+    save(/* db, changedKeys, blacklist, whitelist */) {
+        return Promise.reject(new Error(`${this.constructor.name} doesn't implement save()`));
+    }
+};
@@ -0,0 +1,31 @@
+const AtomicFile = require("./AtomicFile");
+const ChangeTracker = require("./ChangeTracker");
+const JSONStorage = require("./JSONStorage");
+const LogStorage = require("./LogStorage");
+
+const adapters = {
+    json: JSONStorage,
+    log: LogStorage
+};
+
+/* Creates the storage adapter for a plugin, as chosen in config.json:
+ *
+ *     "storage": {"adapter": "log", "generations": 3}
+ *
+ * The default adapter is "json". "generations" is the number of previous
+ * versions of each file kept around for crash recovery.
+ */
+function create(pluginName, config = {}) {
+    const options = Object.assign({adapter: "json"}, config.storage);
+    const Adapter = adapters[options.adapter];
+    if (!Adapter)
+        throw new Error(`Unknown storage adapter "${options.adapter}"`);
+    return new Adapter(pluginName, options);
+}
+
+module.exports = {
+    create,
+    adapters,
+    AtomicFile,
+    ChangeTracker
+};
@@ -7,6 +7,47 @@ module.exports = class TelegramBot extends EventEmitter {
         this.date = Math.floor(new Date() / 1000);
     }
 
+    startPolling() {
+        return Promise.resolve();
+    }
+
+    /* Pushes an update other than a new message, eg.
+     * pushUpdate({edited_message: {...}}) or pushUpdate({chat_member: {...}}).
+     */
+    pushUpdate(update) {
+        const type = Object.keys(update).find(key => key !== "update_id");
+        const payload = update[type];
+        if (!payload.chat)
+            payload.chat = (type === "channel_post" || type === "edited_channel_post") ? {
+                id: -1001234567890,
+                title: "Test channel",
+                type: "channel"
+            } : {
+                id: -123456789,
+                title: "Test group",
+                type: "group",
+                all_members_are_administrators: false
+            };
+        // Channel posts have no sender
+        if (!payload.from && type !== "channel_post" && type !== "edited_channel_post")
+            payload.from = {
+                id: 12345678,
+                first_name: "Foobar",
+                username: "foo_bar"
+            };
+        if (!payload.date)
+            payload.date = this.date++;
+        if (payload.text && !payload.entities && /^\/[\w_]+/i.test(payload.text))
+            payload.entities = [{
+                type: "bot_command",
+                offset: 0,
+                length: payload.text.match(/^\/[\w_]+/i)[0].length
+            }];
+        if (type !== "chat_member" && type !== "my_chat_member" && payload.message_id === undefined)
+            payload.message_id = this.i++;
+        this.emit(type, payload);
+    }
+
     pushMessage(message, type = "text") {
         if (!message.id)
             message.message_id = this.i++;
@@ -53,6 +94,64 @@ module.exports = class TelegramBot extends EventEmitter {
         this.pushMessage(message, type);
     }
 
+    pushInlineQuery(query) {
+        this.emit("inline_query", {
+            id: String(this.i++),
+            from: {
+                id: 12345678,
+                first_name: "Foobar",
+                username: "foo_bar"
+            },
+            query,
+            offset: ""
+        });
+    }
+
+    // Presses the button with the given callback_data, below the given message (if any).
+    pushCallbackQuery(data, message) {
+        this.emit("callback_query", {
+            id: String(this.i++),
+            from: {
+                id: 12345678,
+                first_name: "Foobar",
+                username: "foo_bar"
+            },
+            message,
+            chat_instance: "-123456789",
+            data
+        });
+    }
+
+    answerCallbackQuery(form) {
+        this.emit("_debug_callback_answer", form);
+        return Promise.resolve(true);
+    }
+
+    answerInlineQuery(inlineQueryId, results, options) {
+        this.emit("_debug_inline_answer", {inlineQueryId, results, options});
+        return Promise.resolve(true);
+    }
+
+    deleteMessage(chatId, messageId) {
+        this.emit("_debug_delete", {chatId, messageId});
+        return Promise.resolve(true);
+    }
+
+    kickChatMember(chatId, userId) {
+        this.emit("_debug_kick", {chatId, userId});
+        return Promise.resolve(true);
+    }
+
+    unbanChatMember(chatId, userId) {
+        this.emit("_debug_unban", {chatId, userId});
+        return Promise.resolve(true);
+    }
+
+    restrictChatMember(chatId, userId, form) {
+        this.emit("_debug_restrict", {chatId, userId, form});
+        return Promise.resolve(true);
+    }
+
     sendMessage(chatId, text, options) {
         this.emit("_debug_message", {
             chatId,
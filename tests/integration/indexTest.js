@@ -40,7 +40,7 @@ describe("Bot", function() {
     it("should start correctly with the Ping plugin", function() {
         bot = new TelegramBot();
         pluginManager = new PluginManager(bot, config, auth);
-        pluginManager.loadPlugins(["Ping"]); // [] = Active plugins
+        return pluginManager.loadPlugins(["Ping"]); // [] = Active plugins
     });
     it("should reply to /help", function() {
         const p = expectsAnyMessage(bot);
@@ -55,8 +55,9 @@ describe("Bot", function() {
     it("should enable plugins", function() {
         const sentinel = makeSentinel();
         const p = expectsMessage(bot, sentinel);
+        // Plugins are loaded asynchronously
+        expectsMessage(bot, "Plugin enabled successfully.").then(() => bot.pushMessage({text: `/echo ${sentinel}`}));
         bot.pushRootMessage({text: "/enable Echo"});
-        bot.pushMessage({text: `/echo ${sentinel}`});
         return p;
     });
     it("should disable plugins", function() {
@@ -77,8 +78,8 @@ describe("Bot", function() {
         bot.pushMessage({text: `/echo ${sentinel}`});
         return p;
     });
-    it("shouldn't let unauthorized users disable plugins", function() {
-        pluginManager.loadPlugins(["Echo"]);
+    it("shouldn't let unauthorized users disable plugins", async function() {
+        await pluginManager.loadPlugins(["Echo"]);
         const sentinel = makeSentinel();
         const p = expectsMessage(bot, sentinel);
 
@@ -86,19 +87,47 @@ describe("Bot", function() {
         bot.pushMessage({text: `/echo ${sentinel}`});
         return p;
     });
-    it("should support multiline inputs", function() {
-        pluginManager.loadPlugins(["Echo"]);
+    it("should reply with the syntax to invalid commands", function() {
+        const p = new Promise(resolve => bot.on("_debug_message", ({text}) => {
+            if (/^Missing argument <text>\.\n\nSyntax: `\/echo <text>`$/.test(text)) resolve();
+        }));
+        bot.pushMessage({text: "/echo"});
+        return p;
+    });
+    it("should generate help for commands", function() {
+        const p = new Promise(resolve => bot.on("_debug_message", ({text}) => {
+            if (/^`\/echo <text>` - /.test(text)) resolve();
+        }));
+        bot.pushMessage({text: "/help /echo"});
+        return p;
+    });
+    it("should support multiline inputs", async function() {
+        await pluginManager.loadPlugins(["Echo"]);
         const string = makeSentinel() + "\n" + makeSentinel();
         const p = expectsMessage(bot, string);
         bot.pushMessage({text: `/echo ${string}`});
         return p;
     });
+    it("shouldn't treat Object members as commands", function() {
+        const sentinel = makeSentinel();
+        const p = new Promise((resolve, reject) => bot.on("_debug_message", ({text}) => {
+            if (/something went wrong/.test(text))
+                reject(new Error(text));
+            // Errors are reported asynchronously: leave them some time
+            if (text === sentinel)
+                setTimeout(resolve, 100);
+        }));
+        for (const command of ["constructor", "toString", "__proto__", "hasOwnProperty"])
+            bot.pushMessage({text: `/${command}`});
+        bot.pushMessage({text: `/echo ${sentinel}`});
+        return p;
+    });
 });
 
 describe("Ignore", function() {
     const bot = new TelegramBot();
     const pluginManager = new PluginManager(bot, config, auth);
-    pluginManager.loadPlugins(["Echo", "Ignore"]);
+    before(() => pluginManager.loadPlugins(["Echo", "Ignore"]));
     it("should ignore", function() {
         const sentinel = makeSentinel();
         const p = notExpectsMessage(bot, sentinel, "The bot replied to an echo");
@@ -117,10 +146,220 @@ describe("Ignore", function() {
     });
 });
 
+describe("Dependencies", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, config, auth);
+    before(() => pluginManager.loadPlugins(["Kick"]));
+    it("should load dependencies first", function() {
+        const names = pluginManager.plugins.map(pl => pl.plugin.name);
+        if (names.indexOf("UserInfo") === -1)
+            throw new Error("UserInfo wasn't loaded");
+        if (names.indexOf("UserInfo") > names.indexOf("Kick"))
+            throw new Error("UserInfo was loaded after Kick");
+    });
+    it("should order optional dependencies", function() {
+        const {order} = pluginManager.planLoad(["ModTools", "UserInfo"]);
+        if (order.map(({name}) => name).join() !== "UserInfo,ModTools")
+            throw new Error("Unexpected load order");
+    });
+    it("should refuse to disable required plugins", function() {
+        const p = expectsMessage(bot, "Can't disable UserInfo: Kick requires it. Disable it first.");
+        bot.pushRootMessage({text: "/disable UserInfo"});
+        return p;
+    });
+});
+
+describe("Updates", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, config, auth);
+    before(() => pluginManager.loadPlugins(["Echo", "ModTools"]));
+    it("should parse commands in channel posts", function() {
+        const sentinel = makeSentinel();
+        const p = expectsMessage(bot, sentinel);
+        bot.pushUpdate({channel_post: {text: `/echo ${sentinel}`}});
+        return p;
+    });
+    it("shouldn't run commands again when they're edited", function() {
+        const sentinel = makeSentinel();
+        const p = notExpectsMessage(bot, sentinel, "The bot replied to an edited command");
+        bot.pushUpdate({edited_message: {text: `/echo ${sentinel}`}});
+        return p;
+    });
+    it("should check edited messages against the blacklist", async function() {
+        const word = makeSentinel();
+        const added = expectsMessage(bot, "Done!");
+        bot.pushRootMessage({text: `/blacklist add ${word}`});
+        await added;
+
+        const p = new Promise(resolve => bot.on("_debug_delete", ({messageId}) => {
+            if (messageId === 1234) resolve();
+        }));
+        bot.pushUpdate({edited_message: {message_id: 1234, text: `Now with ${word}`}});
+        return p;
+    });
+});
+
+describe("Conversations", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, config, auth);
+    before(() => pluginManager.loadPlugins(["MediaSet", "Echo"]));
+    it("should wait for the answer", function() {
+        const p = expectsMessage(bot, "Done! Enjoy!");
+        expectsMessage(bot, "Perfect! Now send me the media! (Or /cancel)").then(() => {
+            // Other messages go through as usual
+            bot.pushMessage({text: "/echo Not the answer"});
+            bot.pushMessage({photo: [{file_id: "abc"}]}, "photo");
+        });
+        bot.pushMessage({text: "/mset foo"});
+        return p;
+    });
+    it("should cancel conversations", function() {
+        const sentinel = makeSentinel();
+        const p = expectsMessage(bot, "Cancelled.");
+        expectsMessage(bot, "Perfect! Now send me the media! (Or /cancel)").then(() => bot.pushMessage({text: "/cancel"}));
+        bot.pushMessage({text: `/mset ${sentinel}`});
+        return p.then(() => {
+            if (pluginManager.conversations.pending.length !== 0)
+                throw new Error("The conversation wasn't cancelled");
+        });
+    });
+});
+
+describe("Callbacks", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, config, auth);
+    before(() => pluginManager.loadPlugins(["Spoiler"]));
+    it("should route button presses to the plugin", function() {
+        const p = new Promise(resolve => bot.once("_debug_callback_answer", resolve));
+        bot.once("_debug_inline_answer", ({results}) => {
+            const button = results[0].reply_markup.inline_keyboard[0][0];
+            bot.pushCallbackQuery(button.callback_data);
+        });
+        bot.pushInlineQuery("spoiler The butler *did it*");
+        return p.then(answer => {
+            if (answer.text !== "The butler did it" || !answer.show_alert)
+                throw new Error(`Unexpected answer ${JSON.stringify(answer)}`);
+        });
+    });
+    it("should shorten spoilers that don't fit in an alert", function() {
+        const p = new Promise(resolve => bot.once("_debug_callback_answer", resolve));
+        bot.once("_debug_inline_answer", ({results}) => {
+            const button = results[0].reply_markup.inline_keyboard[0][0];
+            bot.pushCallbackQuery(button.callback_data);
+        });
+        bot.pushInlineQuery("spoiler " + "a".repeat(240));
+        return p.then(answer => {
+            if (answer.text.length !== 200 || !answer.text.endsWith("…"))
+                throw new Error(`Unexpected answer ${JSON.stringify(answer)}`);
+        });
+    });
+    it("should answer presses of expired buttons", function() {
+        const p = new Promise(resolve => bot.once("_debug_callback_answer", resolve));
+        bot.pushCallbackQuery("Spoiler:reveal:expired");
+        return p.then(answer => {
+            if (answer.text !== "This button has expired.")
+                throw new Error(`Unexpected answer ${JSON.stringify(answer)}`);
+        });
+    });
+});
+
+describe("Inline queries", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, config, auth);
+    before(() => pluginManager.loadPlugins(["Text", "Reverse"]));
+    it("should answer with the results returned by the plugins", function() {
+        const p = new Promise(resolve => bot.once("_debug_inline_answer", resolve));
+        bot.pushInlineQuery("reverse hello");
+        return p.then(({results, options}) => {
+            if (results.length !== 1 || results[0].id !== "Reverse:0" || results[0].title !== "olleh")
+                throw new Error(`Unexpected results ${JSON.stringify(results)}`);
+            if (options.next_offset !== "")
+                throw new Error("There should be no next page");
+            if (options.is_personal !== true)
+                throw new Error("Results should only be cached for the user");
+        });
+    });
+});
+
+describe("Per-chat plugins", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, config, auth);
+    const admin = {id: 2000, first_name: "Admin", username: "admin"};
+    before(async () => {
+        auth.addChatAdmin(admin.id, -123456789);
+        await pluginManager.loadPlugins(["Echo"]);
+    });
+    after(() => auth.removeChatAdmin(admin.id, -123456789));
+    it("should let chat admins disable plugins in their chat", function() {
+        this.slow(1100);
+        const sentinel = makeSentinel();
+        const p = notExpectsMessage(bot, sentinel, "Echo wasn't disabled");
+        expectsMessage(bot, "Plugin disabled successfully for chat -123456789.")
+            .then(() => bot.pushMessage({text: `/echo ${sentinel}`}));
+        bot.pushMessage({text: "/disable Echo chat", from: admin});
+        return p;
+    });
+    it("should let chat admins enable plugins in their chat", function() {
+        const sentinel = makeSentinel();
+        const p = expectsMessage(bot, sentinel);
+        expectsMessage(bot, "Plugin enabled successfully for chat -123456789.")
+            .then(() => bot.pushMessage({text: `/echo ${sentinel}`}));
+        bot.pushMessage({text: "/enable Echo chat", from: admin});
+        return p;
+    });
+    it("shouldn't let chat admins load plugins", function() {
+        const p = expectsMessage(bot, "Plugin isn't loaded. Ask the bot's owners to /enable it.");
+        bot.pushMessage({text: "/enable Reverse chat", from: admin});
+        return p;
+    });
+});
+
+describe("Plugin defaults", function() {
+    it("should keep plugins that are now off by default on in older configurations", async function() {
+        const legacyConfig = Object.assign({}, config);
+        delete legacyConfig.chatDefaults;
+        const pluginManager = new PluginManager(new TelegramBot(), legacyConfig, auth);
+        await pluginManager.loadPlugins(["Rule34"], false);
+        if (legacyConfig.chatDefaults.Rule34 !== true || !pluginManager.plugins[0].isEnabledIn(-1))
+            throw new Error("Rule34 should stay on in every chat");
+        await pluginManager.stopPlugins();
+    });
+    it("should use the plugins' defaults in newer configurations", async function() {
+        const pluginManager = new PluginManager(new TelegramBot(), Object.assign({}, config, {chatDefaults: {}}), auth);
+        await pluginManager.loadPlugins(["Rule34"], false);
+        if (pluginManager.plugins[0].isEnabledIn(-1))
+            throw new Error("Rule34 should be off by default");
+        await pluginManager.stopPlugins();
+    });
+});
+
+describe("Cooldowns", function() {
+    const bot = new TelegramBot();
+    const pluginManager = new PluginManager(bot, Object.assign({}, config, {cooldowns: {echo: 60}}), auth);
+    // A new chat every run, since cooldowns persist
+    const chat = {id: -Date.now(), title: "Cooldown test", type: "group"};
+    before(() => pluginManager.loadPlugins(["Echo"]));
+    it("should ask users to try again later", async function() {
+        this.slow(1100);
+        const first = makeSentinel();
+        const second = makeSentinel();
+        const echoed = expectsMessage(bot, first);
+        bot.pushMessage({text: `/echo ${first}`, chat});
+        await echoed;
+
+        const p = Promise.all([
+            expectsMessage(bot, "Try again in 60s."),
+            notExpectsMessage(bot, second, "The cooldown was ignored")
+        ]);
+        bot.pushMessage({text: `/echo ${second}`, chat});
+        return p;
+    });
+});
+
 describe("Ping", function() {
     const bot = new TelegramBot();
     const pluginManager = new PluginManager(bot, config, auth);
-    pluginManager.loadPlugins(["Ping"]);
+    before(() => pluginManager.loadPlugins(["Ping"]));
     it("should reply to /ping", function() {
         const p = expectsAnyMessage(bot);
         bot.pushMessage({text: "ping"});
@@ -131,7 +370,7 @@ describe("Ping", function() {
 describe("Antiflood", function() {
     const bot = new TelegramBot();
     const pluginManager = new PluginManager(bot, config, auth);
-    pluginManager.loadPlugins(["Antiflood", "Echo"]);
+    before(() => pluginManager.loadPlugins(["Antiflood", "Echo"]));
     it("should reject spam", async function() {
         this.timeout(4000);
         this.slow(3000);
@@ -0,0 +1,83 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const Arguments = require("../../src/helpers/Arguments");
+
+describe("Arguments", () => {
+    const message = {chat: {id: 1}, from: {id: 2}};
+
+    describe("tokenize", () => {
+        const values = (text, entities) => Arguments.tokenize(text, entities).map(token => token.value);
+
+        it("splits on any whitespace", () => {
+            assert.deepStrictEqual(values("a  b\nc"), ["a", "b", "c"]);
+        });
+
+        it("handles quotes and escapes", () => {
+            assert.deepStrictEqual(values("\"good morning\" 'a b' c\\ d \"x \\\" y\""), ["good morning", "a b", "c d", "x \" y"]);
+        });
+
+        it("leaves apostrophes and unterminated quotes alone", () => {
+            assert.deepStrictEqual(values("don't \"stop"), ["don't", "\"stop"]);
+        });
+
+        it("keeps entities whole", () => {
+            const entities = [
+                {type: "text_mention", offset: 0, length: 8, user: {id: 1}},
+                {type: "code", offset: 9, length: 4}
+            ];
+            assert.deepStrictEqual(values("John Doe a \"b c", entities), ["John Doe", "a \"b", "c"]);
+        });
+    });
+
+    it("takes text arguments verbatim", () => {
+        const msg = Object.assign({text: "/set \"good morning\" Hello,\n  there!"}, message);
+        const tokens = Arguments.tokenize(msg.text, [], 4);
+        const params = Arguments.parse(
+            [{name: "trigger", type: "string"}, {name: "response", type: "text"}],
+            tokens.map(token => token.value),
+            msg,
+            tokens
+        );
+        assert.deepStrictEqual(params, {trigger: "good morning", response: "Hello,\n  there!"});
+    });
+
+    it("resolves text mentions", () => {
+        const msg = Object.assign({text: "/ban John Doe"}, message);
+        const tokens = Arguments.tokenize(msg.text, [{type: "text_mention", offset: 5, length: 8, user: {id: 99}}], 4);
+        assert.deepStrictEqual(Arguments.parse([{name: "user", type: "user"}], tokens.map(token => token.value), msg, tokens), {user: 99});
+    });
+
+    it("parses typed arguments", () => {
+        const params = Arguments.parse([
+            {name: "count", type: "integer"},
+            {name: "delay", type: "duration"},
+            {name: "text", type: "text"}
+        ], ["3", "2h30m", "hello", "world"], message);
+        assert.deepStrictEqual(params, {count: 3, delay: 9000000, text: "hello world"});
+    });
+
+    it("handles optional arguments", () => {
+        const params = Arguments.parse([{name: "id", type: "integer", optional: true}], [], message);
+        assert.deepStrictEqual(params, {id: undefined});
+    });
+
+    it("takes users from replies", () => {
+        const reply = Object.assign({reply_to_message: {from: {id: 42}}}, message);
+        assert.deepStrictEqual(Arguments.parse([{name: "user", type: "user"}], [], reply), {user: 42});
+        assert.deepStrictEqual(Arguments.parse([{name: "user", type: "user"}], ["7"], reply), {user: 7});
+    });
+
+    it("rejects bad input", () => {
+        assert.throws(() => Arguments.parse([{name: "N", type: "integer"}], ["abc"], message), Arguments.ArgumentError);
+        assert.throws(() => Arguments.parse([{name: "N", type: "integer"}], [], message), Arguments.ArgumentError);
+        assert.throws(() => Arguments.parse([], ["extra"], message), Arguments.ArgumentError);
+        assert.throws(() => Arguments.parse([{name: "user", type: "user"}], ["bob"], message), Arguments.ArgumentError);
+    });
+
+    it("builds usage strings", () => {
+        assert.strictEqual(
+            Arguments.usage("remind", [{name: "when", type: "duration"}, {name: "text", type: "text", optional: true}]),
+            "/remind <when> [text]"
+        );
+    });
+});
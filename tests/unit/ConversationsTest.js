@@ -0,0 +1,109 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Conversations = require("../../src/helpers/Conversations");
+
+function makeMessage(fields) {
+    return Object.assign({
+        message_id: 1,
+        chat: {id: -1},
+        from: {id: 123}
+    }, fields);
+}
+
+describe("Conversations", () => {
+    let dbPath;
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-conversations-")), "conversations.json");
+    });
+
+    it("resolves with the next message from the user", async () => {
+        const conversations = new Conversations({dbPath});
+        const answer = conversations.wait("Test", {chat: -1, user: 123});
+
+        assert(!conversations.handle(makeMessage({from: {id: 456}, text: "Not me"})));
+        assert(conversations.handle(makeMessage({text: "Hello"})));
+        assert.strictEqual((await answer).text, "Hello");
+        assert(!conversations.handle(makeMessage({text: "Again"})), "The conversation should be over");
+    });
+
+    it("filters by message type", async () => {
+        const conversations = new Conversations({dbPath});
+        const answer = conversations.wait("Test", {chat: -1, user: 123, types: ["photo"]});
+
+        assert(!conversations.handle(makeMessage({text: "Hello"})));
+        assert(conversations.handle(makeMessage({photo: [{file_id: "abc"}]})));
+        assert.strictEqual((await answer).photo[0].file_id, "abc");
+    });
+
+    it("resolves to null on timeout", async () => {
+        const conversations = new Conversations({dbPath});
+        assert.strictEqual(await conversations.wait("Test", {chat: -1, user: 123, timeout: 10}), null);
+    });
+
+    it("resolves to null when cancelled", async () => {
+        const conversations = new Conversations({dbPath});
+        const answer = conversations.wait("Test", {chat: -1, starter: 123});
+
+        assert.strictEqual(conversations.cancel(-1, 123), 1);
+        assert.strictEqual(await answer, null);
+    });
+
+    it("only lets the starter and admins cancel conversations with anyone", async () => {
+        const conversations = new Conversations({dbPath});
+        const answer = conversations.wait("Test", {chat: -1, starter: 123});
+
+        assert.strictEqual(conversations.cancel(-1, 456), 0);
+        assert.strictEqual(conversations.cancel(-1, 456, true), 1);
+        assert.strictEqual(await answer, null);
+    });
+
+    it("rejects when the plugin is unloaded", async () => {
+        const conversations = new Conversations({dbPath});
+        const answer = conversations.wait("Test", {chat: -1, user: 123});
+        conversations.release("Test");
+
+        await assert.rejects(answer, /cancelled/);
+        assert(!conversations.handle(makeMessage({text: "Hello"})));
+    });
+
+    it("keeps named filters across restarts", async () => {
+        const conversations = new Conversations({dbPath});
+        assert.rejects(conversations.wait("Test", {chat: -1, user: 123, filter: () => true, resume: "step"}));
+        conversations.wait("Test", {chat: -1, user: 123, filter: "isAnswer", resume: "step"});
+        conversations.release("Test");
+        await conversations.synchronize();
+
+        const answers = [];
+        const restarted = new Conversations({
+            dbPath,
+            onResume: (conversation, message) => answers.push(message.text),
+            getFilter: (plugin, name) => (plugin === "Test" && name === "isAnswer") ? (({text}) => text === "42") : undefined
+        });
+        assert(!restarted.handle(makeMessage({text: "Chatter"})));
+        assert(restarted.handle(makeMessage({text: "42"})));
+        assert.deepStrictEqual(answers, ["42"]);
+    });
+
+    it("survives restarts", async () => {
+        const conversations = new Conversations({dbPath});
+        conversations.wait("Test", {chat: -1, user: 123, resume: "step", data: {trigger: "foo"}});
+        conversations.release("Test");
+        await conversations.synchronize();
+
+        const resumed = [];
+        const restarted = new Conversations({
+            dbPath,
+            onResume: (conversation, message) => resumed.push({conversation, message})
+        });
+        // Not consumed until the plugin is available
+        assert(!restarted.handle(makeMessage({text: "Answer"}), () => false));
+        assert(restarted.handle(makeMessage({text: "Answer"})));
+        assert.strictEqual(resumed.length, 1);
+        assert.strictEqual(resumed[0].conversation.resume, "step");
+        assert.deepStrictEqual(resumed[0].conversation.data, {trigger: "foo"});
+        assert.strictEqual(resumed[0].message.text, "Answer");
+    });
+});
@@ -0,0 +1,51 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Cooldowns = require("../../src/helpers/Cooldowns");
+
+describe("Cooldowns", () => {
+    let dbPath;
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-cooldowns-")), "cooldowns.json");
+    });
+
+    it("limits each user, and the whole chat", () => {
+        const cooldowns = new Cooldowns({dbPath});
+        const rule = {user: 60, chat: 10};
+        assert.strictEqual(cooldowns.hit("roll", -1, 1, rule), 0);
+        assert.strictEqual(cooldowns.hit("roll", -1, 1, rule), 60);
+        assert.strictEqual(cooldowns.hit("roll", -1, 2, rule), 10);
+        assert.strictEqual(cooldowns.hit("roll", -2, 2, rule), 0);
+        assert.strictEqual(cooldowns.hit("imgur", -1, 1, rule), 0);
+    });
+
+    it("gives chat rules priority over the configuration and the plugins", () => {
+        const cooldowns = new Cooldowns({dbPath, config: {roll: 30}});
+        assert.deepStrictEqual(cooldowns.rule("roll", -1, {user: 5, chat: 5}), {user: 30, chat: 5});
+        cooldowns.set(-1, "roll", "user", 0);
+        cooldowns.set(-1, "roll", "notify", false);
+        assert.deepStrictEqual(cooldowns.rule("roll", -1, {user: 5, chat: 5}), {user: 0, chat: 5, notify: false});
+        cooldowns.reset(-1, "roll");
+        assert.deepStrictEqual(cooldowns.rule("roll", -1), {user: 30});
+    });
+
+    it("only asks to try again once per cooldown", () => {
+        const cooldowns = new Cooldowns({dbPath});
+        assert(cooldowns.shouldNotify("roll", -1, 1, 60));
+        assert(!cooldowns.shouldNotify("roll", -1, 1, 60));
+        assert(cooldowns.shouldNotify("roll", -1, 2, 60));
+    });
+
+    it("persists across restarts", async () => {
+        const cooldowns = new Cooldowns({dbPath});
+        cooldowns.hit("roll", -1, 1, {user: 60});
+        cooldowns.set(-1, "imgur", "chat", 20);
+        await cooldowns.synchronize();
+
+        const restarted = new Cooldowns({dbPath});
+        assert.strictEqual(restarted.hit("roll", -1, 1, {user: 60}), 60);
+        assert.deepStrictEqual(restarted.rule("imgur", -1), {chat: 20});
+    });
+});
@@ -0,0 +1,89 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const ErrorReporter = require("../../src/helpers/ErrorReporter");
+
+const auth = {getOwners: () => [1, 2]};
+const log = {error() {}, warn() {}};
+const message = {
+    text: "/broken",
+    chat: {id: -100, title: "Test group"},
+    from: {id: 123, first_name: "Foo", username: "foo"}
+};
+
+function makeBot() {
+    return {
+        sent: [],
+        sendMessage(chatID, text) {
+            this.sent.push({chatID, text});
+            return Promise.resolve();
+        }
+    };
+}
+
+function throwAt(line) {
+    // Errors thrown from different places have different fingerprints
+    return [
+        () => new Error("Broken"),
+        () => new Error("Broken")
+    ][line]();
+}
+
+describe("ErrorReporter", () => {
+    it("replies with an incident ID and reports to the owners", async () => {
+        const bot = makeBot();
+        const reporter = new ErrorReporter(bot, auth, {}, log);
+        const id = await reporter.report(new Error("Broken"), {plugin: "Test", event: "text", message});
+
+        assert(/^[0-9a-f]{6}$/.test(id));
+        const reply = bot.sent.find(it => it.chatID === -100);
+        assert(reply.text.includes(id));
+        assert(!reply.text.includes("at "), "The reply shouldn't contain the stack trace");
+        for (const owner of [1, 2]) {
+            const report = bot.sent.find(it => it.chatID === owner);
+            assert(report.text.includes(id));
+            assert(report.text.includes("Error: Broken"));
+            assert(report.text.includes("Test"));
+        }
+    });
+
+    it("sends reports to the log chat if configured", async () => {
+        const bot = makeBot();
+        const reporter = new ErrorReporter(bot, auth, {logChat: -42, reply: false}, log);
+        await reporter.report(new Error("Broken"), {plugin: "Test", message});
+
+        assert.deepStrictEqual(bot.sent.map(it => it.chatID), [-42]);
+    });
+
+    it("de-duplicates identical errors", async () => {
+        const bot = makeBot();
+        const reporter = new ErrorReporter(bot, auth, {logChat: -42, reply: false}, log);
+        const ids = [];
+        for (let i = 0; i < 3; i++)
+            ids.push(await reporter.report(throwAt(0), {plugin: "Test", message}));
+
+        assert.strictEqual(new Set(ids).size, 1);
+        assert.strictEqual(bot.sent.length, 1);
+
+        await reporter.report(throwAt(1), {plugin: "Test", message});
+        assert.strictEqual(bot.sent.length, 2);
+        assert(bot.sent[1].text.includes("2 more errors were not reported"));
+    });
+
+    it("replies once per chat to identical errors", async () => {
+        const bot = makeBot();
+        const reporter = new ErrorReporter(bot, {getOwners: () => []}, {}, log);
+        for (const chatID of [-100, -100, -200])
+            await reporter.report(throwAt(0), {plugin: "Test", message: Object.assign({}, message, {chat: {id: chatID}})});
+
+        assert.deepStrictEqual(bot.sent.map(it => it.chatID), [-100, -200]);
+    });
+
+    it("rate-limits reports", async () => {
+        const bot = makeBot();
+        const reporter = new ErrorReporter(bot, auth, {logChat: -42, reply: false, maxReportsPerHour: 2}, log);
+        for (let i = 0; i < 5; i++)
+            await reporter.report(new Error(`Broken ${i}`), {plugin: "Test", message});
+
+        assert.strictEqual(bot.sent.length, 2);
+    });
+});
@@ -0,0 +1,92 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const Http = require("../../src/helpers/Http");
+
+describe("Http", () => {
+    let server, baseURL;
+    const hits = {};
+    before(done => {
+        server = http.createServer((req, res) => {
+            hits[req.url] = (hits[req.url] || 0) + 1;
+            switch (req.url) {
+                case "/json":
+                    res.end(JSON.stringify({hits: hits[req.url]}));
+                    break;
+                case "/redirect":
+                    res.writeHead(302, {Location: "/json"});
+                    res.end();
+                    break;
+                case "/flaky":
+                    res.writeHead(hits[req.url] < 3 ? 503 : 200);
+                    res.end("Eventually");
+                    break;
+                case "/large":
+                    res.end("x".repeat(2048));
+                    break;
+                case "/slow":
+                    setTimeout(() => res.end("Too late"), 200);
+                    break;
+                default:
+                    res.writeHead(404);
+                    res.end("Not found");
+            }
+        });
+        server.listen(0, "127.0.0.1", () => {
+            baseURL = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+    after(done => server.close(done));
+
+    const client = new Http({retryDelay: 1, timeout: 100});
+
+    it("follows redirects", async () => {
+        assert.deepStrictEqual(await client.getJSON(baseURL + "/redirect"), {hits: 1});
+    });
+
+    it("caches GET responses", async () => {
+        const first = await client.getJSON(baseURL + "/json", {cache: 1000});
+        const second = await client.getJSON(baseURL + "/json", {cache: 1000});
+        assert.deepStrictEqual(first, second);
+    });
+
+    it("evicts the least recently used responses", async () => {
+        const small = new Http({cacheEntries: 2, cache: 1000});
+        await small.get(baseURL + "/json");
+        await small.get(baseURL + "/large");
+        await small.get(baseURL + "/json");
+        await small.get(baseURL + "/redirect");
+        assert.deepStrictEqual(Array.from(small.cache.keys()), [`GET ${baseURL}/json`, `GET ${baseURL}/redirect`]);
+    });
+
+    it("retries server errors", async () => {
+        const {body} = await client.get(baseURL + "/flaky");
+        assert.strictEqual(body, "Eventually");
+        assert.strictEqual(hits["/flaky"], 3);
+    });
+
+    it("rejects HTTP errors with their status code", async () => {
+        await assert.rejects(client.get(baseURL + "/missing"), err => err.statusCode === 404);
+    });
+
+    it("enforces size limits and timeouts", async () => {
+        await assert.rejects(client.get(baseURL + "/large", {maxSize: 1024}), /larger than 1024 bytes/);
+        await assert.rejects(client.get(baseURL + "/slow", {retries: 0}), /timed out/);
+    });
+
+    it("records and replays fixtures", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-http-"));
+        const recorder = new Http();
+        recorder.useFixtures(dir, {record: true});
+        const recorded = await recorder.getJSON(baseURL + "/json");
+
+        const replayer = new Http();
+        replayer.useFixtures(dir);
+        assert.deepStrictEqual(await replayer.getJSON(baseURL + "/json"), recorded);
+        await assert.rejects(replayer.get(baseURL + "/unrecorded"), /No fixture/);
+    });
+});
@@ -0,0 +1,46 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const InlineQueries = require("../../src/helpers/InlineQueries");
+
+const makeQuery = (id, text) => ({id, from: {id: 123}, query: text, offset: ""});
+
+describe("InlineQueries", () => {
+    it("tags results by plugin", () => {
+        const results = InlineQueries.merge([
+            {plugin: "Text", results: [{type: "article", title: "a"}, {type: "article", title: "b"}]},
+            {plugin: "Reverse", results: [{type: "article", title: "c"}]}
+        ]);
+        assert.deepStrictEqual(results.map(result => result.id), ["Text:0", "Text:1", "Reverse:0"]);
+        assert.strictEqual(results[2].title, "c");
+    });
+
+    it("paginates results", () => {
+        const inlineQueries = new InlineQueries({pageSize: 2});
+        const results = [1, 2, 3, 4, 5];
+
+        assert.deepStrictEqual(inlineQueries.page(results, ""), {results: [1, 2], nextOffset: "2"});
+        assert.deepStrictEqual(inlineQueries.page(results, "2"), {results: [3, 4], nextOffset: "4"});
+        assert.deepStrictEqual(inlineQueries.page(results, "4"), {results: [5], nextOffset: ""});
+    });
+
+    it("caches results per user and query", () => {
+        const inlineQueries = new InlineQueries({cacheTime: 60});
+        inlineQueries.set(makeQuery("1", "text hello"), ["result"]);
+        assert.deepStrictEqual(inlineQueries.get(makeQuery("2", "text hello")), ["result"]);
+        assert.strictEqual(inlineQueries.get(makeQuery("3", "text hell")), undefined);
+        const otherUser = Object.assign(makeQuery("4", "text hello"), {from: {id: 456}});
+        assert.strictEqual(inlineQueries.get(otherUser), undefined);
+
+        const expired = new InlineQueries({cacheTime: -1});
+        expired.set(makeQuery("1", "text hello"), ["result"]);
+        assert.strictEqual(expired.get(makeQuery("2", "text hello")), undefined);
+    });
+
+    it("only answers the latest of rapid queries", async () => {
+        const inlineQueries = new InlineQueries({debounce: 10});
+        const first = inlineQueries.debounce(makeQuery("1", "text h"));
+        const second = inlineQueries.debounce(makeQuery("2", "text hello"));
+
+        assert.deepStrictEqual(await Promise.all([first, second]), [false, true]);
+    });
+});
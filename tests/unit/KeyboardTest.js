@@ -0,0 +1,54 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Keyboard = require("../../src/helpers/Keyboard");
+const CallbackStore = require("../../src/helpers/CallbackStore");
+
+describe("Keyboard", () => {
+    let store;
+    beforeEach(() => {
+        const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-callbacks-")), "callbacks.json");
+        store = new CallbackStore({dbPath});
+    });
+
+    it("namespaces callbacks and stores payloads", () => {
+        const longText = "A spoiler much longer than the 64 bytes Telegram allows in callback_data";
+        const {inline_keyboard: [[plain, withPayload, link]]} = Keyboard.build("Spoiler", [[
+            {text: "Plain", callback: "plain"},
+            {text: "Reveal", callback: "reveal", payload: longText},
+            {text: "Link", url: "https://example.com"}
+        ]], store);
+
+        assert.deepStrictEqual(plain, {text: "Plain", callback_data: "Spoiler:plain"});
+        assert.deepStrictEqual(link, {text: "Link", url: "https://example.com"});
+        const route = Keyboard.parse(withPayload.callback_data);
+        assert.strictEqual(route.plugin, "Spoiler");
+        assert.strictEqual(route.callback, "reveal");
+        assert.strictEqual(store.get(route.token), longText);
+    });
+
+    it("rejects callback data that doesn't fit", () => {
+        assert.throws(() => Keyboard.build("Plugin", [[{text: "Bad", callback: "with spaces"}]], store));
+        assert.throws(() => Keyboard.build("Plugin", [[{text: "Long", callback: "a".repeat(64)}]], store));
+    });
+
+    it("doesn't parse data in other formats", () => {
+        assert.strictEqual(Keyboard.parse("spoiler The butler: did it"), undefined);
+        assert.strictEqual(Keyboard.parse(undefined), undefined);
+    });
+
+    it("writes payloads when synchronizing", async () => {
+        const token = store.put("Saved");
+        assert(!fs.existsSync(store.dbPath));
+        await store.synchronize();
+        const restarted = new CallbackStore({dbPath: store.dbPath});
+        assert.strictEqual(restarted.get(token), "Saved");
+    });
+
+    it("forgets expired payloads", () => {
+        const token = store.put("Short-lived", -1);
+        assert.strictEqual(store.get(token), undefined);
+    });
+});
@@ -0,0 +1,102 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const Messages = require("../../src/helpers/Messages");
+const Util = require("../../src/Util");
+
+const lines = (n, prefix = "line") => Array.from({length: n}, (_, i) => `${prefix} ${i}`).join("\n");
+
+describe("Messages", () => {
+    describe("split", () => {
+        it("leaves short texts alone", () => {
+            assert.deepStrictEqual(Messages.split("Hello", undefined, 100), ["Hello"]);
+        });
+
+        it("splits on line boundaries", () => {
+            const messages = Messages.split(lines(20), undefined, 50);
+            assert(messages.length > 1);
+            assert(messages.every(message => message.length <= 50));
+            assert.strictEqual(messages.join("\n"), lines(20));
+        });
+
+        it("cuts lines longer than a message at spaces", () => {
+            const messages = Messages.split("word ".repeat(30).trim(), undefined, 50);
+            assert(messages.every(message => message.length <= 50 && !/^ | $/.test(message)));
+        });
+
+        it("reopens Markdown code blocks", () => {
+            const messages = Messages.split("```\n" + lines(20) + "\n```", "Markdown", 100);
+            assert(messages.length > 1);
+            for (const message of messages) {
+                assert(message.length <= 100);
+                assert.strictEqual((message.match(/```/g) || []).length, 2, message);
+            }
+        });
+
+        it("keeps the language of reopened code blocks", () => {
+            const messages = Messages.split("```js\n" + lines(20) + "\n```", "Markdown", 100);
+            assert(messages.length > 1);
+            assert(messages.every(message => message.startsWith("```js\n")), messages.join("\n---\n"));
+        });
+
+        it("doesn't cut lines inside inline Markdown entities", () => {
+            const line = "word ".repeat(20) + "*bold " + "word ".repeat(10) + "end* " + "word ".repeat(30);
+            const messages = Messages.split(line.trim(), "Markdown", 200);
+            assert(messages.length > 1);
+            for (const message of messages)
+                assert.strictEqual((message.match(/\*/g) || []).length % 2, 0, message);
+        });
+
+        it("reopens HTML tags", () => {
+            const messages = Messages.split("<b>Title</b>\n<pre>" + lines(20) + "</pre>", "HTML", 100);
+            assert(messages.length > 1);
+            for (const message of messages) {
+                assert(message.length <= 100);
+                assert.strictEqual((message.match(/<pre>/g) || []).length, (message.match(/<\/pre>/g) || []).length, message);
+            }
+        });
+    });
+
+    describe("send", () => {
+        it("replies with the first message and attaches the keyboard to the last one", async () => {
+            const sent = [];
+            const sendMessage = (chatID, text, options) => Promise.resolve(sent.push(options));
+            await Messages.send(sendMessage, -1, lines(1000), {reply_to_message_id: 1, reply_markup: {}});
+            assert(sent.length > 1);
+            assert.strictEqual(sent[0].reply_to_message_id, 1);
+            assert(!("reply_markup" in sent[0]));
+            assert(!("reply_to_message_id" in sent[sent.length - 1]));
+            assert("reply_markup" in sent[sent.length - 1]);
+        });
+
+        it("falls back to plain text when Telegram can't parse the message", async () => {
+            const sent = [];
+            const sendMessage = (chatID, text, options) => {
+                if (options.parse_mode) {
+                    const err = new Error("ETELEGRAM: 400 Bad Request: can't parse entities");
+                    err.response = {body: {description: "Bad Request: can't parse entities: Can't find end of the entity"}};
+                    return Promise.reject(err);
+                }
+                sent.push(text);
+                return Promise.resolve({message_id: 1});
+            };
+            await Messages.send(sendMessage, -1, "<b>Unclosed &amp; bold", {parse_mode: "HTML"});
+            assert.deepStrictEqual(sent, ["Unclosed & bold"]);
+        });
+    });
+});
+
+describe("Util.formatter", () => {
+    it("escapes Markdown", () => {
+        const md = Util.formatter("Markdown");
+        assert.strictEqual(md.escape("user_name [1]"), "user\\_name \\[1]");
+        assert.strictEqual(md.bold("a*b"), "*ab*");
+        assert.strictEqual(md.code("`rm`"), "`'rm'`");
+        assert.strictEqual(md.mention({id: 123, first_name: "John", last_name: "Doe"}), "[John Doe](tg://user?id=123)");
+    });
+
+    it("escapes HTML", () => {
+        const html = Util.formatter("HTML");
+        assert.strictEqual(html.bold("<script>"), "<b>&lt;script&gt;</b>");
+        assert.strictEqual(html.link("Q&A", "https://example.com/?a=\"b\""), "<a href=\"https://example.com/?a=&quot;b&quot;\">Q&amp;A</a>");
+    });
+});
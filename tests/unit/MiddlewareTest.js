@@ -0,0 +1,85 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const Middleware = require("../../src/helpers/Middleware");
+
+function makePlugin(name, middlewarePriority, middleware) {
+    return {
+        plugin: {name, middlewarePriority},
+        blacklist: new Set(),
+        isEnabledIn(chatID) {
+            return !this.blacklist.has(chatID);
+        },
+        middleware
+    };
+}
+
+const message = {text: "Hello", chat: {id: -1}, from: {id: 123}};
+
+describe("Middleware", () => {
+    it("runs in order of priority", async () => {
+        const calls = [];
+        const plugins = [
+            makePlugin("Late", undefined, () => calls.push("Late")),
+            makePlugin("Second", 20, () => calls.push("Second")),
+            makePlugin("First", 10, () => calls.push("First"))
+        ];
+        const ctx = await Middleware.run(plugins, new Middleware.Context("text", message));
+
+        assert.deepStrictEqual(calls, ["First", "Second", "Late"]);
+        assert(!ctx.dropped);
+    });
+
+    it("stops at the first step that drops the update", async () => {
+        const calls = [];
+        const plugins = [
+            makePlugin("Dropper", 10, ctx => {
+                calls.push("Dropper");
+                ctx.drop("spam");
+            }),
+            makePlugin("Other", 20, () => calls.push("Other"))
+        ];
+        const ctx = await Middleware.run(plugins, new Middleware.Context("text", message));
+
+        assert.deepStrictEqual(calls, ["Dropper"]);
+        assert(ctx.dropped);
+        assert.strictEqual(ctx.reason, "spam");
+        assert.strictEqual(ctx.droppedBy, "Dropper");
+    });
+
+    it("shares state between steps", async () => {
+        const plugins = [
+            makePlugin("Enricher", 10, ctx => {
+                ctx.state.user = {id: ctx.message.from.id};
+            }),
+            makePlugin("Reader", 20, ctx => {
+                if (ctx.state.user.id !== 123)
+                    ctx.drop("wrong user");
+            })
+        ];
+        const ctx = await Middleware.run(plugins, new Middleware.Context("text", message));
+
+        assert(!ctx.dropped);
+        assert.deepStrictEqual(ctx.state.user, {id: 123});
+    });
+
+    it("skips plugins disabled in the chat", async () => {
+        const plugin = makePlugin("Disabled", 10, ctx => ctx.drop("disabled"));
+        plugin.blacklist.add(-1);
+        const ctx = await Middleware.run([plugin], new Middleware.Context("text", message));
+
+        assert(!ctx.dropped);
+    });
+
+    it("supports legacy proxies", async () => {
+        const proxy = {
+            plugin: {name: "Proxy", isProxy: true},
+            blacklist: new Set(),
+            isEnabledIn: () => true,
+            proxy: () => Promise.reject()
+        };
+        const ctx = await Middleware.run([proxy], new Middleware.Context("text", message));
+
+        assert(ctx.dropped);
+        assert.strictEqual(ctx.droppedBy, "Proxy");
+    });
+});
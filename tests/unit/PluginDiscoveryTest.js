@@ -0,0 +1,70 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PluginDiscovery = require("../../src/PluginDiscovery");
+
+function makePluginDir(plugins) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-plugins-"));
+    for (const filename of Object.keys(plugins))
+        fs.writeFileSync(path.join(directory, filename), plugins[filename]);
+    return directory;
+}
+
+describe("PluginDiscovery", () => {
+    it("finds built-in plugins", () => {
+        const echo = PluginDiscovery.discover({}).find(entry => entry.name === "Echo");
+        assert(echo);
+        assert.strictEqual(echo.source, "builtin");
+        assert(!echo.error);
+    });
+
+    it("finds plugins in pluginPaths, using the declared name and version", () => {
+        const directory = makePluginDir({
+            "external.js": `module.exports = Plugin => class External extends Plugin {
+                static get plugin() {
+                    return {name: "MyExternal", description: "External plugin", version: "1.2.3"};
+                }
+            };`
+        });
+        const entry = PluginDiscovery.find("myexternal", {pluginPaths: [directory]});
+        assert.strictEqual(entry.name, "MyExternal");
+        assert.strictEqual(entry.version, "1.2.3");
+        assert.strictEqual(entry.source, "path");
+        assert.strictEqual(typeof PluginDiscovery.requirePlugin(entry.path), "function");
+    });
+
+    it("keeps built-in plugins when names collide", () => {
+        const directory = makePluginDir({
+            "echo.js": `module.exports = Plugin => class Echo extends Plugin {
+                static get plugin() {
+                    return {name: "Echo", description: "Another echo"};
+                }
+            };`
+        });
+        const config = {pluginPaths: [directory]};
+        const entries = PluginDiscovery.discover(config).filter(entry => entry.name === "Echo");
+        assert.strictEqual(entries.length, 2);
+        assert(!entries.find(entry => entry.source === "builtin").error);
+        assert(/built-in/.test(entries.find(entry => entry.source === "path").error));
+        assert.strictEqual(PluginDiscovery.find("Echo", config).source, "builtin");
+    });
+
+    it("refuses external plugins whose names collide", () => {
+        const plugin = `module.exports = Plugin => class Twin extends Plugin {
+            static get plugin() {
+                return {name: "Twin", description: "One of two"};
+            }
+        };`;
+        const config = {pluginPaths: [makePluginDir({"twin.js": plugin}), makePluginDir({"twin.js": plugin})]};
+        const entries = PluginDiscovery.discover(config).filter(entry => entry.name === "Twin");
+        assert.strictEqual(entries.length, 2);
+        assert(entries.every(entry => /Name collides/.test(entry.error)));
+        assert.throws(() => PluginDiscovery.find("Twin", config), /collides/);
+    });
+
+    it("throws for unknown plugins", () => {
+        assert.throws(() => PluginDiscovery.find("NoSuchPlugin", {}), /No such file/);
+    });
+});
@@ -0,0 +1,159 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const EventEmitter = require("events");
+const Plugin = require("../../src/Plugin");
+const Scheduler = require("../../src/helpers/Scheduler");
+
+class TestPlugin extends Plugin {
+    static get plugin() {
+        return {
+            name: "LifecycleTest",
+            description: "Test plugin"
+        };
+    }
+}
+
+describe("Plugin", () => {
+    describe("plugin-scoped API", () => {
+        it("removes listeners on unload", () => {
+            const plugin = new TestPlugin({db: {}});
+            const emitter = new EventEmitter();
+            let calls = 0;
+            plugin.listen(emitter, "event", () => calls++);
+            emitter.emit("event");
+            plugin.releaseResources();
+            emitter.emit("event");
+            assert.strictEqual(calls, 1);
+            assert.strictEqual(emitter.listenerCount("event"), 0);
+        });
+
+        it("clears timers on unload", done => {
+            const plugin = new TestPlugin({db: {}});
+            let fired = false;
+            plugin.setTimeout(() => {
+                fired = true;
+            }, 10);
+            plugin.setInterval(() => {
+                fired = true;
+            }, 10);
+            plugin.releaseResources();
+            setTimeout(() => {
+                assert(!fired);
+                done();
+            }, 50);
+        });
+
+        it("suspends Scheduler events until the plugin is loaded again", done => {
+            const plugin = new TestPlugin({db: {}});
+            plugin.scheduler.scheduleOneoff("lifecycleTest", {n: 1}, Date.now() + 10);
+            assert.strictEqual(plugin.scheduler.events.length, 1);
+            assert.strictEqual(plugin.scheduler.events[0].metadata.plugin, "LifecycleTest");
+            plugin.releaseResources();
+
+            let fired = 0;
+            Scheduler.on("lifecycleTest", () => fired++);
+            setTimeout(() => {
+                assert.strictEqual(fired, 0);
+                // Loading the plugin again fires the event that expired in the meantime
+                const reloaded = new TestPlugin({db: {}});
+                reloaded.scheduler.on("lifecycleTest", ({n}) => {
+                    assert.strictEqual(n, 1);
+                    assert.strictEqual(fired, 1);
+                    reloaded.releaseResources();
+                    Scheduler.cancel(it => it.metadata.plugin === "LifecycleTest");
+                    Scheduler.removeAllListeners("lifecycleTest");
+                    done();
+                });
+            }, 50);
+        });
+
+        it("keeps Scheduler events across restarts until the plugin is loaded", async () => {
+            const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+            Scheduler.scheduleOneoff("restartTest", {plugin: "LifecycleTest"}, Date.now() + 10);
+            await Scheduler.synchronize();
+            // A new instance reads the events from disk, like after a restart
+            const restarted = new Scheduler.constructor();
+            let fired = 0;
+            restarted.on("restartTest", () => fired++);
+            Scheduler.cancel(it => it.name === "restartTest");
+            await wait(50);
+            assert.strictEqual(fired, 0);
+            assert.strictEqual(restarted.events.filter(it => it.name === "restartTest").length, 1);
+            const scope = restarted.scope("LifecycleTest");
+            await wait(10);
+            assert.strictEqual(fired, 1);
+            scope.release();
+            restarted.cancel(() => true);
+            await Scheduler.synchronize();
+        });
+    });
+
+    describe("isEnabledIn", () => {
+        it("follows the chat lists, then the plugin default", () => {
+            const plugin = new TestPlugin({db: {}, blacklist: [1], whitelist: [2]});
+            assert.deepStrictEqual([1, 2, 3].map(id => plugin.isEnabledIn(id)), [false, true, true]);
+            plugin.enabledByDefault = false;
+            assert.deepStrictEqual([1, 2, 3].map(id => plugin.isEnabledIn(id)), [false, true, false]);
+        });
+
+        it("reads the default from the configuration", () => {
+            const plugin = new TestPlugin({db: {}, config: {chatDefaults: {LifecycleTest: false}}});
+            assert.strictEqual(plugin.isEnabledIn(3), false);
+        });
+    });
+
+    describe("smartReply", () => {
+        const message = {message_id: 42, chat: {id: -1}, from: {id: 123}};
+        let plugin, calls;
+        beforeEach(() => {
+            plugin = new TestPlugin({db: {}});
+            calls = [];
+            let id = 100;
+            for (const method of ["sendMessage", "sendMediaGroup", "sendPoll", "editMessageText", "deleteMessage"]) {
+                plugin[method] = (...args) => {
+                    calls.push([method, ...args]);
+                    return Promise.resolve({message_id: id++});
+                };
+            }
+        });
+        afterEach(() => plugin.releaseResources());
+
+        it("sends arrays of replies in order", async () => {
+            await plugin.smartReply([
+                "First",
+                {type: "mediaGroup", media: [{type: "photo", media: "abc"}, {type: "photo", media: "def"}]},
+                {type: "poll", question: "Ready?", answers: ["Yes", "No"]}
+            ], message);
+            assert.deepStrictEqual(calls.map(call => call[0]), ["sendMessage", "sendMediaGroup", "sendPoll"]);
+            assert.deepStrictEqual(calls[2].slice(2, 4), ["Ready?", ["Yes", "No"]]);
+        });
+
+        it("replies to the triggering message", async () => {
+            await plugin.smartReply({type: "text", text: "Hi", reply: true}, message);
+            plugin.replyToMessage = true;
+            await plugin.smartReply("Hi again", message);
+            await plugin.smartReply({type: "text", text: "Bye", reply: false}, message);
+            assert.deepStrictEqual(calls.map(call => call[3].reply_to_message_id), [42, 42, undefined]);
+        });
+
+        it("edits and deletes messages", async () => {
+            await plugin.smartReply([
+                {type: "edit", message_id: 7, text: "Edited"},
+                {type: "delete"}
+            ], message);
+            assert.deepStrictEqual(calls, [
+                ["editMessageText", "Edited", {chat_id: -1, message_id: 7}],
+                ["deleteMessage", -1, 42]
+            ]);
+        });
+
+        it("deletes replies after their TTL", done => {
+            plugin.smartReply({type: "text", text: "Self-destructing", ttl: 0.01}, message).then(sent => {
+                setTimeout(() => {
+                    assert.deepStrictEqual(calls[1], ["deleteMessage", -1, sent.message_id]);
+                    done();
+                }, 50);
+            });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const SendQueue = require("../../src/helpers/SendQueue");
+
+const log = {debug() {}, warn() {}};
+
+function telegramError(errorCode, parameters) {
+    const err = new Error(`ETELEGRAM: ${errorCode}`);
+    err.code = "ETELEGRAM";
+    err.response = {statusCode: errorCode, body: {ok: false, error_code: errorCode, parameters}};
+    return err;
+}
+
+function makeBot(failures = []) {
+    return {
+        sent: [],
+        sendMessage(chatID, text) {
+            const failure = failures.shift();
+            if (failure)
+                return Promise.reject(failure);
+            this.sent.push({chatID, text, time: Date.now()});
+            return Promise.resolve({chat: {id: chatID}, text});
+        }
+    };
+}
+
+describe("SendQueue", () => {
+    it("only wraps methods that send to a chat", () => {
+        assert(SendQueue.isSendMethod("sendMessage"));
+        assert(SendQueue.isSendMethod("forwardMessage"));
+        assert(!SendQueue.isSendMethod("getChat"));
+        assert(!SendQueue.isSendMethod("kickChatMember"));
+    });
+
+    it("sends messages in order and resolves with the result", async () => {
+        const bot = makeBot();
+        const queue = new SendQueue(bot, {}, log);
+        const send = queue.wrap("sendMessage");
+        const results = await Promise.all([send(-1, "a"), send(-1, "b"), send(-2, "c")]);
+
+        assert.deepStrictEqual(results.map(it => it.text), ["a", "b", "c"]);
+        assert.deepStrictEqual(bot.sent.filter(it => it.chatID === -1).map(it => it.text), ["a", "b"]);
+        assert.strictEqual(queue.depth, 0);
+    });
+
+    it("enforces the rate limits", async () => {
+        const bot = makeBot();
+        const queue = new SendQueue(bot, {globalLimit: 2}, log);
+        const send = queue.wrap("sendMessage");
+        const start = Date.now();
+        await Promise.all([send(-1, "a"), send(-2, "b"), send(-3, "c")]);
+
+        assert(bot.sent[1].time - start < 500);
+        assert(bot.sent[2].time - start >= 900, "The third message was sent too early");
+    });
+
+    it("honors retry_after", async () => {
+        const bot = makeBot([telegramError(429, {retry_after: 1})]);
+        const queue = new SendQueue(bot, {}, log);
+        const start = Date.now();
+        await queue.wrap("sendMessage")(-1, "a");
+
+        assert.strictEqual(bot.sent.length, 1);
+        assert(bot.sent[0].time - start >= 900, "The message was retried too early");
+    });
+
+    it("retries network errors with backoff", async () => {
+        const networkError = new Error("EFATAL: socket hang up");
+        networkError.code = "EFATAL";
+        const bot = makeBot([networkError, networkError]);
+        const queue = new SendQueue(bot, {retryDelay: 10}, log);
+        await queue.wrap("sendMessage")(-1, "a");
+
+        assert.strictEqual(bot.sent.length, 1);
+    });
+
+    it("doesn't retry other errors", async () => {
+        const bot = makeBot([telegramError(400)]);
+        const queue = new SendQueue(bot, {}, log);
+        await assert.rejects(queue.wrap("sendMessage")(-1, "a"), /400/);
+        assert.strictEqual(bot.sent.length, 0);
+        await queue.drain();
+    });
+});
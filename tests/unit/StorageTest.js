@@ -0,0 +1,118 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Storage = require("../../src/storage");
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-"));
+}
+
+describe("Storage", () => {
+    describe("ChangeTracker", () => {
+        it("tracks top-level writes", () => {
+            const tracker = new Storage.ChangeTracker({});
+            tracker.proxy.foo = 1;
+            delete tracker.proxy.bar;
+            assert.deepStrictEqual(Array.from(tracker.flush()).sort(), ["bar", "foo"]);
+            assert.strictEqual(tracker.flush().size, 0);
+        });
+
+        it("tracks nested writes under their top-level key", () => {
+            const tracker = new Storage.ChangeTracker({chats: {1: {count: 0}}, list: [], other: {}});
+            tracker.proxy.chats[1].count++;
+            tracker.proxy.list.push("item");
+            assert.deepStrictEqual(Array.from(tracker.flush()).sort(), ["chats", "list"]);
+            assert.deepStrictEqual(tracker.target, {chats: {1: {count: 1}}, list: ["item"], other: {}});
+        });
+
+        it("ignores reads", () => {
+            const tracker = new Storage.ChangeTracker({chats: {1: [1, 2]}});
+            JSON.stringify(tracker.proxy);
+            tracker.proxy.chats[1].indexOf(2);
+            assert.strictEqual(tracker.flush().size, 0);
+        });
+    });
+
+    describe("LogStorage", () => {
+        it("appends changes and replays them", async () => {
+            const directory = makeTempDir();
+            const storage = new Storage.adapters.log("Test", {directory});
+            await storage.save({a: 1, b: 2}, null, [123]);
+            await storage.save({a: 3}, new Set(["a", "b"]), [123], [456]);
+
+            const data = new Storage.adapters.log("Test", {directory}).load();
+            assert.deepStrictEqual(data, {db: {a: 3}, blacklist: [123], whitelist: [456]});
+        });
+
+        it("skips a truncated last record", async () => {
+            const directory = makeTempDir();
+            const storage = new Storage.adapters.log("Test", {directory});
+            await storage.save({a: 1}, null, []);
+            fs.appendFileSync(storage.path, "{\"k\":\"a\",\"v\":");
+
+            assert.deepStrictEqual(storage.load(), {db: {a: 1}, blacklist: [], whitelist: []});
+        });
+
+        it("compacts the log", async () => {
+            const directory = makeTempDir();
+            const storage = new Storage.adapters.log("Test", {directory, compactionThreshold: 5});
+            for (let i = 0; i < 10; i++)
+                await storage.save({a: i}, new Set(["a"]), []);
+
+            const lines = fs.readFileSync(storage.path, "utf8").split("\n").filter(line => line !== "");
+            assert(lines.length <= 6);
+            assert.deepStrictEqual(storage.load(), {db: {a: 9}, blacklist: [], whitelist: []});
+        });
+
+        it("migrates from the JSON adapter", () => {
+            const directory = makeTempDir();
+            fs.writeFileSync(path.join(directory, "plugin_Test.json"), JSON.stringify({db: {a: 1}, blacklist: [1]}));
+            const storage = new Storage.adapters.log("Test", {directory});
+            assert.deepStrictEqual(storage.load(), {db: {a: 1}, blacklist: [1], whitelist: []});
+        });
+    });
+
+    it("rejects unknown adapters", () => {
+        assert.throws(() => Storage.create("Test", {storage: {adapter: "nope"}}), /Unknown storage adapter/);
+    });
+});
+
+describe("AtomicFile", () => {
+    const AtomicFile = Storage.AtomicFile;
+
+    it("keeps previous generations", async () => {
+        const file = path.join(makeTempDir(), "test.json");
+        for (let i = 0; i < 5; i++)
+            await AtomicFile.write(file, JSON.stringify(i), {generations: 2});
+
+        assert.strictEqual(fs.readFileSync(file, "utf8"), "4");
+        assert.strictEqual(fs.readFileSync(file + ".1", "utf8"), "3");
+        assert.strictEqual(fs.readFileSync(file + ".2", "utf8"), "2");
+        assert(!fs.existsSync(file + ".3"));
+    });
+
+    it("restores the last good generation of a truncated file", async () => {
+        const file = path.join(makeTempDir(), "test.json");
+        await AtomicFile.write(file, JSON.stringify({a: 1}));
+        await AtomicFile.write(file, JSON.stringify({a: 2}));
+        fs.writeFileSync(file, "{\"a\":");
+
+        assert.deepStrictEqual(AtomicFile.readSync(file), {a: 1});
+        assert.strictEqual(fs.readFileSync(file, "utf8"), "{\"a\":1}");
+    });
+
+    it("removes incomplete temporary files", () => {
+        const file = path.join(makeTempDir(), "test.json");
+        fs.writeFileSync(file, "1");
+        fs.writeFileSync(file + ".1234.0.tmp", "2");
+
+        assert.strictEqual(AtomicFile.readSync(file), 1);
+        assert(!fs.existsSync(file + ".1234.0.tmp"));
+    });
+
+    it("returns undefined for missing files", () => {
+        assert.strictEqual(AtomicFile.readSync(path.join(makeTempDir(), "test.json")), undefined);
+    });
+});
@@ -0,0 +1,98 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const http = require("http");
+const Webhook = require("../../src/helpers/Webhook");
+const Logger = require("../../src/Log");
+
+const log = new Logger("WebhookTest", {loggingLevel: "error"});
+
+class FakeBot {
+    constructor() {
+        this.updates = [];
+    }
+    processUpdate(update) {
+        this.updates.push(update);
+    }
+    setWebHook(url, options) {
+        this.webhook = {url, options};
+        return Promise.resolve(true);
+    }
+    deleteWebHook() {
+        this.webhook = null;
+        return Promise.resolve(true);
+    }
+}
+
+function post(port, path, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({port, path, method: "POST", headers}, res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on("error", reject);
+        req.end(body);
+    });
+}
+
+describe("Webhook", () => {
+    let bot;
+    let webhook;
+    let port;
+
+    beforeEach(async () => {
+        bot = new FakeBot();
+        webhook = new Webhook(bot, {
+            url: "https://example.com/hook",
+            port: 0,
+            path: "/hook",
+            secretToken: "s3cret"
+        }, log);
+        await webhook.start();
+        port = webhook.server.address().port;
+    });
+
+    afterEach(() => webhook.stop());
+
+    it("registers the webhook with the secret token", () => {
+        assert.deepStrictEqual(bot.webhook, {url: "https://example.com/hook", options: {secret_token: "s3cret"}});
+    });
+
+    it("feeds valid updates to the bot", async () => {
+        const update = {update_id: 1, message: {text: "hi"}};
+        const status = await post(port, "/hook", JSON.stringify(update), {"X-Telegram-Bot-Api-Secret-Token": "s3cret"});
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(bot.updates, [update]);
+    });
+
+    it("rejects requests with a wrong secret token", async () => {
+        const status = await post(port, "/hook", "{}", {"X-Telegram-Bot-Api-Secret-Token": "wrong"});
+        assert.strictEqual(status, 403);
+        assert.strictEqual(bot.updates.length, 0);
+    });
+
+    it("rejects other paths and malformed bodies", async () => {
+        assert.strictEqual(await post(port, "/other", "{}"), 404);
+        assert.strictEqual(await post(port, "/hook", "{", {"X-Telegram-Bot-Api-Secret-Token": "s3cret"}), 400);
+        assert.strictEqual(bot.updates.length, 0);
+    });
+
+    it("generates a secret token if none is configured", async () => {
+        const other = new Webhook(new FakeBot(), {url: "https://example.com/hook", port: 0, path: "/hook"}, log);
+        await other.start();
+        try {
+            const token = other.bot.webhook.options.secret_token;
+            assert(/^[0-9a-f]{64}$/.test(token));
+            const otherPort = other.server.address().port;
+            assert.strictEqual(await post(otherPort, "/hook", "{}"), 403);
+            assert.strictEqual(await post(otherPort, "/hook", "{}", {"X-Telegram-Bot-Api-Secret-Token": token}), 200);
+        } finally {
+            await other.stop();
+        }
+    });
+
+    it("removes the webhook on stop", async () => {
+        await webhook.stop();
+        assert.strictEqual(bot.webhook, null);
+        // afterEach stops it again: closing twice must be harmless.
+    });
+});
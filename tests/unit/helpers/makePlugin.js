@@ -0,0 +1,18 @@
+/* Instantiates a plugin for unit tests. The given bot methods are replaced by
+ * stubs that record their calls in `plugin.calls`, as [method, ...args], and
+ * resolve to `returns(n)`, where n is the number of calls so far.
+ */
+module.exports = function makePlugin(Plugin, {db = {}, auth, methods = [], returns = () => true} = {}) {
+    const plugin = new Plugin({db, auth});
+    plugin.calls = [];
+    for (const method of methods) {
+        plugin[method] = (...args) => {
+            plugin.calls.push([method, ...args]);
+            return Promise.resolve(returns(plugin.calls.length));
+        };
+    }
+    return plugin;
+};
+
+// For methods that send messages: every message gets a new ID
+module.exports.sentMessage = n => ({message_id: 100 + n});
@@ -0,0 +1,192 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const Plugin = require("../../../src/plugins/Antiflood");
+const Middleware = require("../../../src/helpers/Middleware");
+const stubPlugin = require("../helpers/makePlugin");
+
+const auth = {isChatAdmin: userId => userId === 1};
+
+const makePlugin = (db = {}) => stubPlugin(Plugin, {
+    db,
+    auth,
+    methods: ["sendMessage", "deleteMessage", "restrictChatMember", "kickChatMember", "unbanChatMember"]
+});
+
+function flood(plugin, userId, n, makeMessage = () => ({text: "spam"})) {
+    const dropped = [];
+    for (let i = 0; i < n; i++) {
+        const ctx = new Middleware.Context("text", Object.assign({
+            message_id: i,
+            chat: {id: -1},
+            from: {id: userId, first_name: "Spammer"},
+            date: Math.round(Date.now() / 1000)
+        }, makeMessage(i)));
+        plugin.middleware(ctx);
+        dropped.push(ctx.dropped);
+    }
+    return dropped;
+}
+
+const actions = plugin => plugin.calls.map(call => call[0]).filter(method => method !== "sendMessage" && method !== "deleteMessage");
+const deleted = plugin => plugin.calls.filter(call => call[0] === "deleteMessage").map(call => call[2]);
+
+describe("Plugins", () => {
+    describe("Antiflood", () => {
+        it("ignores users over the limit", () => {
+            const plugin = makePlugin();
+            plugin.updateSettings(-1, {ignore: 3});
+            assert.deepStrictEqual(flood(plugin, 2, 5), [false, false, false, true, true]);
+            assert.deepStrictEqual(flood(plugin, 3, 1), [false]);
+        });
+
+        it("escalates from warnings to bans", async () => {
+            const plugin = makePlugin();
+            plugin.updateSettings(-1, {limit: 3});
+            for (let i = 0; i < 5; i++) {
+                flood(plugin, 2, 4);
+                // Start a new window
+                plugin.recent = {};
+            }
+            // Kicked users are unbanned once the kick went through
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(plugin.calls[0][2], "User Spammer [2] is flooding!");
+            assert.deepStrictEqual(actions(plugin), ["restrictChatMember", "kickChatMember", "kickChatMember", "kickChatMember", "unbanChatMember"]);
+            assert.strictEqual(plugin.calls.find(call => call[0] === "restrictChatMember")[3].can_send_messages, false);
+        });
+
+        it("forgives users after a quiet period", () => {
+            const db = {};
+            const plugin = makePlugin(db);
+            plugin.updateSettings(-1, {limit: 3, ladder: ["warn", "ban"]});
+            flood(plugin, 2, 4);
+            db[-1].offences[2].last -= 2 * 60 * 60 * 1000;
+            plugin.recent = {};
+            flood(plugin, 2, 4);
+            assert.deepStrictEqual(actions(plugin), []);
+            assert.strictEqual(db[-1].offences[2].count, 1);
+        });
+
+        it("rejects empty ladders", () => {
+            const plugin = makePlugin();
+            const reply = plugin.commands.floodladder.handler({message: {chat: {id: -1}}, params: {actions: " , "}});
+            assert(reply.startsWith("Syntax"));
+            assert.deepStrictEqual(plugin.settingsOf(-1).ladder, ["warn", "mute", "kick", "ban"]);
+        });
+
+        it("rejects mute durations that Telegram takes as forever", () => {
+            const plugin = makePlugin();
+            const floodmute = duration => plugin.commands.floodmute.handler({message: {chat: {id: -1}}, params: {duration}});
+            for (const duration of [0, 10 * 1000, 367 * 24 * 60 * 60 * 1000])
+                assert(floodmute(duration).startsWith("Mutes must last between"));
+            assert.strictEqual(plugin.settingsOf(-1).muteDuration, 5 * 60 * 1000);
+            assert.strictEqual(floodmute(60 * 1000), "Users who flood will be muted for 1m.");
+        });
+
+        it("ignores unknown punishments", async () => {
+            const plugin = makePlugin();
+            plugin.updateSettings(-1, {limit: 3, ladder: ["shame"]});
+            flood(plugin, 2, 4);
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(plugin.calls, []);
+        });
+
+        it("punishes even if it can't post in the chat", async () => {
+            const plugin = makePlugin();
+            plugin.sendMessage = () => Promise.reject(new Error("Forbidden"));
+            const unhandled = [];
+            const onRejection = err => unhandled.push(err);
+            process.on("unhandledRejection", onRejection);
+            try {
+                for (const action of ["mute", "kick", "ban"])
+                    plugin.punish({chat: {id: -1}, from: {id: 2, first_name: "Spammer"}}, plugin.settingsOf(-1), action);
+                await new Promise(resolve => setTimeout(resolve, 10));
+            } finally {
+                process.removeListener("unhandledRejection", onRejection);
+            }
+            assert.deepStrictEqual(unhandled, []);
+            assert.deepStrictEqual(actions(plugin), ["restrictChatMember", "kickChatMember", "kickChatMember", "unbanChatMember"]);
+        });
+
+        it("keeps its settings and offences in the database", () => {
+            const db = {};
+            makePlugin(db).updateSettings(-1, {limit: 3, ladder: ["ban"]});
+            const restarted = makePlugin(db);
+            flood(restarted, 2, 4);
+            assert.deepStrictEqual(actions(restarted), ["kickChatMember"]);
+        });
+
+        describe("detectors", () => {
+            it("catch near-identical texts", () => {
+                const plugin = makePlugin();
+                plugin.updateSettings(-1, {detectors: {duplicates: {threshold: 3, action: "mute"}}});
+                const texts = ["Buy cheap followers at spam.example!", "buy cheap followers at spam.example", "Buy cheap followers at spam.example!!1", "Hello everyone"];
+                assert.deepStrictEqual(flood(plugin, 2, 4, i => ({text: texts[i]})), [false, false, true, false]);
+                assert.deepStrictEqual(deleted(plugin), [2]);
+                assert.deepStrictEqual(actions(plugin), ["restrictChatMember"]);
+            });
+
+            it("count links and mentions", () => {
+                const plugin = makePlugin();
+                plugin.updateSettings(-1, {detectors: {links: {threshold: 4}}});
+                const entities = [{type: "url", offset: 0, length: 5}, {type: "mention", offset: 6, length: 5}];
+                assert.deepStrictEqual(flood(plugin, 2, 3, () => ({text: "a.com @spam", entities})), [false, true, true]);
+                assert.deepStrictEqual(actions(plugin), []);
+            });
+
+            it("punish once per burst, even when the count skips the threshold", () => {
+                const plugin = makePlugin();
+                plugin.updateSettings(-1, {detectors: {links: {threshold: 3, action: "mute"}}});
+                const entities = [{type: "url", offset: 0, length: 5}, {type: "mention", offset: 6, length: 5}];
+                assert.deepStrictEqual(flood(plugin, 2, 4, () => ({text: "a.com @spam", entities})), [false, true, true, true]);
+                assert.deepStrictEqual(actions(plugin), ["restrictChatMember"]);
+                // A new burst, once the window is over
+                plugin.recent = {};
+                for (const key of Object.keys(plugin.punished))
+                    plugin.punished[key] = Date.now() - 1;
+                flood(plugin, 2, 2, () => ({text: "a.com @spam", entities}));
+                assert.deepStrictEqual(actions(plugin), ["restrictChatMember", "restrictChatMember"]);
+            });
+
+            it("count albums once", () => {
+                const plugin = makePlugin();
+                plugin.updateSettings(-1, {detectors: {media: {threshold: 3, action: "kick"}}});
+                const album = flood(plugin, 2, 4, () => ({photo: [], media_group_id: "1"}));
+                assert.deepStrictEqual(album, [false, false, false, false]);
+                assert.deepStrictEqual(flood(plugin, 2, 2, () => ({sticker: {}})), [false, true]);
+                assert.deepStrictEqual(actions(plugin), ["kickChatMember"]);
+            });
+
+            it("only count forwards from channels", () => {
+                const plugin = makePlugin();
+                plugin.updateSettings(-1, {detectors: {forwards: {threshold: 2, action: "escalate"}}});
+                flood(plugin, 2, 3, () => ({text: "Hi", forward_from_chat: {type: "group"}}));
+                assert.deepStrictEqual(flood(plugin, 2, 2, i => ({text: `News ${i}`, forward_from_chat: {type: "channel"}})), [false, true]);
+                assert.strictEqual(plugin.calls.find(call => call[0] === "sendMessage")[2], "User Spammer [2] is flooding!");
+            });
+        });
+
+        it("doesn't count edits and member updates", () => {
+            const plugin = makePlugin();
+            plugin.updateSettings(-1, {limit: 1, ladder: ["ban"]});
+            const date = Math.round(Date.now() / 1000);
+            for (const event of ["edited_message", "chat_member", "edited_message"]) {
+                plugin.middleware(new Middleware.Context(event, {
+                    message_id: 1,
+                    chat: {id: -1},
+                    from: {id: 2, first_name: "Spammer"},
+                    date,
+                    edit_date: date
+                }));
+            }
+            assert.deepStrictEqual(flood(plugin, 2, 1), [false]);
+            assert.deepStrictEqual(actions(plugin), []);
+        });
+
+        it("doesn't punish chat admins", () => {
+            const plugin = makePlugin();
+            plugin.updateSettings(-1, {limit: 3, ladder: ["ban"]});
+            flood(plugin, 1, 10);
+            assert.deepStrictEqual(plugin.calls, []);
+        });
+    });
+});
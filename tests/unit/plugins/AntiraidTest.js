@@ -0,0 +1,94 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const Plugin = require("../../../src/plugins/Antiraid");
+const Middleware = require("../../../src/helpers/Middleware");
+const stubPlugin = require("../helpers/makePlugin");
+
+const auth = {
+    isChatAdmin: userId => userId === 1,
+    getChatAdmins: () => [1]
+};
+const chat = {id: -1, title: "Test group", type: "supergroup"};
+
+const makePlugin = (db = {}) => stubPlugin(Plugin, {
+    db,
+    auth,
+    methods: ["sendMessage", "restrictChatMember", "kickChatMember", "unbanChatMember"]
+});
+
+const join = (plugin, ...ids) => plugin.onNewChatMembers({
+    message: {chat, new_chat_members: ids.map(id => ({id, first_name: `User ${id}`}))}
+});
+const callsTo = (plugin, method) => plugin.calls.filter(call => call[0] === method).map(call => call[2]);
+
+describe("Plugins", () => {
+    describe("Antiraid", () => {
+        let plugin;
+        afterEach(() => {
+            plugin.scheduler.cancel(() => true);
+            plugin.releaseResources();
+        });
+
+        it("locks the chat down on mass joins", async () => {
+            plugin = makePlugin();
+            plugin.updateSettings(-1, {joins: 3});
+            await join(plugin, 10, 11);
+            assert(!plugin.lockdownOf(-1));
+            await join(plugin, 12, 1);
+            assert(plugin.lockdownOf(-1));
+            assert.deepStrictEqual(callsTo(plugin, "restrictChatMember"), [10, 11, 12]);
+            // Admins are alerted privately
+            assert(plugin.calls.some(call => call[0] === "sendMessage" && call[1] === 1));
+            assert.strictEqual(plugin.scheduler.events.length, 1);
+
+            await join(plugin, 13);
+            assert.deepStrictEqual(callsTo(plugin, "restrictChatMember"), [10, 11, 12, 13]);
+        });
+
+        it("kicks raiders if asked to", async () => {
+            plugin = makePlugin();
+            plugin.updateSettings(-1, {joins: 2, kick: true});
+            await join(plugin, 10, 11);
+            await join(plugin, 12);
+            assert.deepStrictEqual(callsTo(plugin, "kickChatMember"), [10, 11]);
+            assert.deepStrictEqual(callsTo(plugin, "restrictChatMember"), [12]);
+        });
+
+        it("unmutes everyone on /unlock", async () => {
+            const db = {};
+            plugin = makePlugin(db);
+            plugin.startLockdown(-1, 60 * 1000);
+            await join(plugin, 10);
+            assert.strictEqual(await plugin.commands.unlock.handler({message: {chat}}), "The lockdown is over: new members can talk again.");
+            assert(!db[-1].lockdown);
+            assert.strictEqual(plugin.scheduler.events.length, 0);
+            const restrictions = plugin.calls.filter(call => call[0] === "restrictChatMember");
+            assert.strictEqual(restrictions[1][3].can_send_messages, true);
+        });
+
+        it("mutes for at least 30 seconds, and unmutes when the lockdown ends", async () => {
+            const db = {};
+            plugin = makePlugin(db);
+            plugin.startLockdown(-1, 5 * 1000);
+            await join(plugin, 10);
+            const [, , , mute] = plugin.calls.find(call => call[0] === "restrictChatMember");
+            // Telegram mutes forever for less than 30 seconds
+            assert(mute.until_date >= Date.now() / 1000 + 30);
+            // The scheduled end, once the lockdown is over
+            db[-1].lockdown.until = Date.now() - 1;
+            await plugin.endLockdown(-1);
+            const restrictions = plugin.calls.filter(call => call[0] === "restrictChatMember");
+            assert.deepStrictEqual(restrictions.map(call => [call[2], call[3].can_send_messages]), [[10, false], [10, true]]);
+        });
+
+        it("tells the other plugins about lockdowns", () => {
+            plugin = makePlugin();
+            const ctx = new Middleware.Context("callback_query", {id: "1", message: {chat}});
+            plugin.middleware(ctx);
+            assert.strictEqual(ctx.state.lockdown, undefined);
+            plugin.startLockdown(-1, 60 * 1000);
+            plugin.middleware(ctx);
+            assert.strictEqual(ctx.state.lockdown.until, plugin.lockdownOf(-1).until);
+        });
+    });
+});
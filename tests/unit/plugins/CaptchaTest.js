@@ -0,0 +1,124 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Plugin = require("../../../src/plugins/Captcha");
+const CallbackStore = require("../../../src/helpers/CallbackStore");
+const Keyboard = require("../../../src/helpers/Keyboard");
+const stubPlugin = require("../helpers/makePlugin");
+
+const auth = {isChatAdmin: userId => userId === 1};
+const chat = {id: -1, title: "Test group", type: "supergroup"};
+const newcomer = {id: 10, first_name: "Newcomer"};
+
+function makePlugin(db = {}) {
+    const plugin = stubPlugin(Plugin, {
+        db,
+        auth,
+        methods: ["sendMessage", "deleteMessage", "restrictChatMember", "kickChatMember", "unbanChatMember"],
+        returns: stubPlugin.sentMessage
+    });
+    const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "nikoro-captcha-")), "callbacks.json");
+    plugin.callbackStore = new CallbackStore({dbPath});
+    return plugin;
+}
+
+// Returns the buttons of the challenge as {text, callback, payload}
+function buttons(plugin) {
+    const [, , , {reply_markup}] = plugin.calls.find(call => call[0] === "sendMessage");
+    return [].concat(...reply_markup.inline_keyboard).map(button => {
+        const route = Keyboard.parse(button.callback_data);
+        return {text: button.text, callback: route.callback, payload: plugin.callbackStore.get(route.token)};
+    });
+}
+
+const press = (plugin, button, from = newcomer, state = {}) => plugin.callbacks[button.callback]({query: {from}, payload: button.payload, state});
+const methods = plugin => plugin.calls.map(call => call[0]);
+
+describe("Plugins", () => {
+    describe("Captcha", () => {
+        let plugin;
+        beforeEach(async () => {
+            plugin = makePlugin();
+            plugin.updateSettings(-1, {type: "math"});
+            await plugin.onNewChatMembers({message: {chat, new_chat_members: [newcomer, {id: 11, is_bot: true}]}, state: {}});
+        });
+        afterEach(() => {
+            plugin.scheduler.cancel(() => true);
+            plugin.releaseResources();
+        });
+
+        it("restricts newcomers and schedules their timeout", () => {
+            assert.deepStrictEqual(methods(plugin), ["restrictChatMember", "sendMessage"]);
+            assert.strictEqual(plugin.calls[0][3].can_send_messages, false);
+            // Lifted by Telegram if the bot misses the timeout
+            assert(plugin.calls[0][3].until_date > plugin.scheduler.events[0].date / 1000);
+            assert.strictEqual(plugin.pendingOf(-1, 10).messageId, 102);
+            assert(plugin.pendingOf(-1, 10));
+            assert.deepStrictEqual(plugin.scheduler.events.map(it => it.metadata.user), [10]);
+        });
+
+        it("lets newcomers in when they answer correctly", async () => {
+            const answer = buttons(plugin).find(button => button.callback === "answer" && button.text === plugin.pendingOf(-1, 10).answer);
+            assert.strictEqual(await press(plugin, answer, {id: 12}), "This question isn't for you.");
+            assert.strictEqual(await press(plugin, answer), "Welcome!");
+            assert(!plugin.pendingOf(-1, 10));
+            assert.strictEqual(plugin.calls.find(call => call[0] === "restrictChatMember" && call[3].can_send_messages)[2], 10);
+            assert.strictEqual(plugin.scheduler.events.length, 0);
+        });
+
+        it("kicks newcomers after too many wrong answers", async () => {
+            const wrong = buttons(plugin).find(button => button.callback === "answer" && button.text !== plugin.pendingOf(-1, 10).answer);
+            await press(plugin, wrong);
+            await press(plugin, wrong);
+            assert.strictEqual(await press(plugin, wrong), "Wrong answer.");
+            assert.deepStrictEqual(methods(plugin).slice(-3), ["deleteMessage", "kickChatMember", "unbanChatMember"]);
+        });
+
+        it("kicks newcomers on timeout", async () => {
+            await plugin.fail(-1, 10, "timeout");
+            assert(methods(plugin).includes("kickChatMember"));
+            assert(!plugin.pendingOf(-1, 10));
+        });
+
+        it("gives up when the question can't be sent", async () => {
+            plugin.sendMessage = () => Promise.reject(new Error("Forbidden"));
+            await plugin.onNewChatMembers({message: {chat, new_chat_members: [{id: 13, first_name: "Other"}]}, state: {}});
+            assert(!plugin.pendingOf(-1, 13));
+            assert.deepStrictEqual(plugin.scheduler.events.map(it => it.metadata.user), [10]);
+            const [, , userId, permissions] = plugin.calls[plugin.calls.length - 1];
+            assert.strictEqual(userId, 13);
+            assert.strictEqual(permissions.can_send_messages, true);
+        });
+
+        it("keeps newcomers muted until the end of a lockdown", async () => {
+            const lockdown = {until: Date.now() + 60 * 60 * 1000};
+            await plugin.onNewChatMembers({message: {chat, new_chat_members: [{id: 13, first_name: "Other"}]}, state: {lockdown}});
+            const restricted = plugin.calls.filter(call => call[0] === "restrictChatMember" && call[2] === 13);
+            assert.strictEqual(restricted[0][3].until_date, Math.ceil(lockdown.until / 1000));
+
+            const answer = buttons(plugin).find(button => button.callback === "answer" && button.text === plugin.pendingOf(-1, 10).answer);
+            assert.strictEqual(await press(plugin, answer, newcomer, {lockdown}), "Welcome!");
+            const [, , , permissions] = plugin.calls.filter(call => call[0] === "restrictChatMember").pop();
+            assert.deepStrictEqual(permissions, {until_date: Math.ceil(lockdown.until / 1000), can_send_messages: false});
+        });
+
+        it("doesn't mute for good at the end of a lockdown", async () => {
+            // Telegram mutes forever for less than 30 seconds
+            const lockdown = {until: Date.now() + 10 * 1000};
+            const answer = buttons(plugin).find(button => button.callback === "answer" && button.text === plugin.pendingOf(-1, 10).answer);
+            assert.strictEqual(await press(plugin, answer, newcomer, {lockdown}), "Welcome!");
+            const [, , , permissions] = plugin.calls.filter(call => call[0] === "restrictChatMember").pop();
+            assert.strictEqual(permissions.can_send_messages, false);
+            assert(permissions.until_date >= Date.now() / 1000 + 30);
+        });
+
+        it("lets admins approve newcomers", async () => {
+            const approve = buttons(plugin).find(button => button.callback === "approve");
+            assert.strictEqual(await press(plugin, approve), "Only admins can approve new members.");
+            assert.strictEqual(await press(plugin, approve, {id: 1}), "Approved.");
+            assert(!plugin.pendingOf(-1, 10));
+        });
+    });
+});
@@ -0,0 +1,24 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const path = require("path");
+const Util = require("../../../src/Util");
+const Plugin = require("../../../src/plugins/Reddit");
+
+describe("Plugins", () => {
+    describe("Reddit", () => {
+        before(() => Util.http.useFixtures(path.join(__dirname, "../fixtures/http")));
+        after(() => Util.http.useFixtures(null));
+
+        it("links a random post", async () => {
+            const plugin = new Plugin({db: {}});
+            const reply = await plugin.onCommand({message: {}, command: "reddit", args: ["pics"]});
+            assert.strictEqual(reply.text, "<a href=\"https://reddit.com/r/pics/comments/abc/a_sunset/\">A sunset</a> - r/pics");
+        });
+
+        it("sends a random image", async () => {
+            const plugin = new Plugin({db: {}});
+            const reply = await plugin.onCommand({message: {}, command: "redimg", args: ["pics"]});
+            assert.strictEqual(reply.photo, "https://i.redd.it/sunset.jpg");
+        });
+    });
+});
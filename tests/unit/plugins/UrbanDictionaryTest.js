@@ -0,0 +1,18 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const path = require("path");
+const Util = require("../../../src/Util");
+const Plugin = require("../../../src/plugins/UrbanDictionary");
+
+describe("Plugins", () => {
+    describe("UrbanDictionary", () => {
+        before(() => Util.http.useFixtures(path.join(__dirname, "../fixtures/http")));
+        after(() => Util.http.useFixtures(null));
+
+        it("escapes the definition", async () => {
+            const plugin = new Plugin({db: {}});
+            const reply = await plugin.onCommand({command: "ud", args: ["yeet"]});
+            assert.strictEqual(reply.text, "<b>yeet</b>: To throw &lt;something&gt;\n\n<i>He yeeted the ball &amp; ran</i>");
+        });
+    });
+});
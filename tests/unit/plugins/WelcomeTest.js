@@ -0,0 +1,92 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const Plugin = require("../../../src/plugins/Welcome");
+const stubPlugin = require("../helpers/makePlugin");
+
+const chat = {id: -1, title: "Test_group", type: "supergroup"};
+const admin = {id: 1, first_name: "Admin"};
+const user = {id: 10, first_name: "John", last_name: "Doe", username: "john_doe"};
+
+function makePlugin(db = {}) {
+    const plugin = stubPlugin(Plugin, {db, methods: ["sendMessage", "sendPhoto", "deleteMessage"], returns: stubPlugin.sentMessage});
+    plugin.getChatMembersCount = () => Promise.resolve(42);
+    return plugin;
+}
+
+const run = (plugin, command, params, extra = {}) =>
+    plugin.commands[command].handler({message: Object.assign({chat, from: admin}, extra), params});
+const join = plugin => plugin.onNewChatMembers({message: {chat, new_chat_members: [user]}});
+const sent = plugin => plugin.calls.filter(call => call[0] !== "deleteMessage");
+
+describe("Plugins", () => {
+    describe("Welcome", () => {
+        it("says welcome by default", async () => {
+            const plugin = makePlugin({[-1]: []});
+            await join(plugin);
+            assert.strictEqual(plugin.calls[0][2], "Welcome @john\\_doe!");
+        });
+
+        it("fills in placeholders", async () => {
+            const plugin = makePlugin();
+            run(plugin, "setwelcome", {text: "Hi {name}, welcome to {chat}! You are member #{count}.\n[Read the rules](https://example.com/rules)"});
+            await join(plugin);
+            const [, , text, options] = plugin.calls[0];
+            assert.strictEqual(text, "Hi John Doe, welcome to Test\\_group! You are member #42.");
+            assert.deepStrictEqual(options.reply_markup, {inline_keyboard: [[{text: "Read the rules", url: "https://example.com/rules"}]]});
+        });
+
+        it("sends media from the replied message", async () => {
+            const plugin = makePlugin();
+            const photo = {photo: [{file_id: "small"}, {file_id: "large"}], caption: "Welcome {first_name}!"};
+            run(plugin, "setwelcome", {}, {reply_to_message: photo});
+            await join(plugin);
+            assert.deepStrictEqual(plugin.calls[0].slice(0, 3), ["sendPhoto", -1, "large"]);
+            assert.strictEqual(plugin.calls[0][3].caption, "Welcome John!");
+        });
+
+        it("checks the length of captions", () => {
+            const plugin = makePlugin();
+            const photo = {photo: [{file_id: "large"}]};
+            assert(/at most 1024 characters/.test(run(plugin, "setwelcome", {text: "a".repeat(1025)}, {reply_to_message: photo})));
+            assert.strictEqual(plugin.db[-1].welcome.text, undefined);
+        });
+
+        it("sends captions as plain text if Telegram can't parse them", async () => {
+            const plugin = makePlugin();
+            const sendPhoto = plugin.sendPhoto;
+            plugin.sendPhoto = (chatId, photo, options) => {
+                if (options.parse_mode)
+                    return Promise.reject({response: {body: {description: "Bad Request: can't parse entities"}}});
+                return sendPhoto(chatId, photo, options);
+            };
+            run(plugin, "setwelcome", {}, {reply_to_message: {photo: [{file_id: "large"}], caption: "Welcome to *the chat"}});
+            await join(plugin);
+            assert.strictEqual(plugin.calls[0][3].caption, "Welcome to *the chat");
+            assert.strictEqual(plugin.calls[0][3].parse_mode, undefined);
+        });
+
+        it("remembers the last part of long welcome messages", async () => {
+            const plugin = makePlugin();
+            run(plugin, "cleanwelcome", {state: "on"});
+            run(plugin, "setwelcome", {text: "Welcome!\n" + "a".repeat(5000)});
+            await join(plugin);
+            assert.strictEqual(plugin.db[-1].lastWelcome, 102);
+        });
+
+        it("deletes the previous welcome message", async () => {
+            const plugin = makePlugin();
+            run(plugin, "cleanwelcome", {state: "on"});
+            await join(plugin);
+            await join(plugin);
+            assert.deepStrictEqual(plugin.calls[2], ["deleteMessage", -1, 101]);
+        });
+
+        it("can be turned off per chat", async () => {
+            const plugin = makePlugin();
+            run(plugin, "welcome", {state: "off"});
+            await join(plugin);
+            await plugin.onLeftChatMember({message: {chat, left_chat_member: user}});
+            assert.deepStrictEqual(sent(plugin).map(call => call[2]), ["Goodbye @john\\_doe!"]);
+        });
+    });
+});
@@ -0,0 +1,23 @@
+/* eslint-env mocha*/
+const assert = require("assert");
+const path = require("path");
+const Util = require("../../../src/Util");
+const Plugin = require("../../../src/plugins/xkcd");
+
+describe("Plugins", () => {
+    describe("xkcd", () => {
+        before(() => Util.http.useFixtures(path.join(__dirname, "../fixtures/http")));
+        after(() => Util.http.useFixtures(null));
+
+        it("sends the latest comic", async () => {
+            const plugin = new Plugin({db: {}});
+            const reply = await plugin.onCommand({command: "xkcd", args: []});
+            assert.deepStrictEqual(reply, {type: "photo", photo: "https://imgs.xkcd.com/comics/xkcd_phone_2000.png"});
+        });
+
+        it("handles missing comics", async () => {
+            const plugin = new Plugin({db: {}});
+            assert.strictEqual(await plugin.onCommand({command: "xkcd", args: ["404"]}), "Comic strip not found!");
+        });
+    });
+});